@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { createTwoFilesPatch } = require("diff");
+const configLoader = require("./config");
+const figmaApi = require("./figma_api");
+const githubApi = require("./github_api");
+const http = require("./http");
+const pipeline = require("./pipeline");
+
+/**
+ * Local CLI to preview what the action does to a Markdown description without GitHub
+ */
+
+const USAGE = `Usage: figma-pr-images process [--in <file>] [--out <file>] [--dry-run]
+
+Replaces Figma links in a Markdown file with references to generated Design Specs.
+
+Options:
+  --in <file>   Markdown file to read (defaults to stdin)
+  --out <file>  File to write the result to (defaults to stdout)
+  --dry-run     Print a unified diff of the changes instead of writing the result
+  --help        Show this help
+
+Configuration is read from .github/figma-pr-images.yml (or the "figma" key in package.json)
+in the current directory.
+
+Environment:
+  FIGMA_TOKEN   Figma API token (required)
+  Refresh, drift, pruning and HTTP settings are read from the same environment variables as the GitHub Action.`;
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @returns {{command: string|null, inPath: string|null, outPath: string|null, dryRun: boolean, help: boolean}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    inPath: null,
+    outPath: null,
+    dryRun: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--in" || arg === "--out") {
+      const value = argv[++i];
+      if (!value || value.startsWith("--")) {
+        throw new Error(`Missing file path after ${arg}`);
+      }
+      args[arg === "--in" ? "inPath" : "outPath"] = value;
+    } else if (arg === "--dry-run") {
+      args.dryRun = true;
+    } else if (arg === "--help" || arg === "-h") {
+      args.help = true;
+    } else if (!arg.startsWith("-") && !args.command) {
+      args.command = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Reads all of stdin
+ * @returns {Promise<string>} Stdin content
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Creates a unified diff between the original and processed body
+ * @param {string} original - Original Markdown
+ * @param {string} updated - Processed Markdown
+ * @param {string} fileName - Name shown in the diff header
+ * @returns {string} Unified diff
+ */
+function createBodyDiff(original, updated, fileName) {
+  return createTwoFilesPatch(
+    `a/${fileName}`,
+    `b/${fileName}`,
+    original,
+    updated
+  );
+}
+
+/**
+ * Main function of the CLI
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (args.command !== "process") {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const validation = githubApi.validateEnvironmentVariables(process.env, [
+    "FIGMA_TOKEN",
+  ]);
+  if (!validation.isValid) {
+    console.error(
+      `Missing required environment variables: ${validation.missing.join(", ")}`
+    );
+    return 1;
+  }
+
+  const body = args.inPath
+    ? fs.readFileSync(args.inPath, "utf8")
+    : await readStdin();
+
+  // Progress logs go to stderr so the result can be piped from stdout
+  console.log = (...messages) => console.error(...messages);
+
+  const { config, source } = configLoader.loadConfig(process.cwd());
+  if (source) console.log(`Using configuration from ${source}`);
+
+  http.configureHttp(http.getHttpOptionsFromEnv(process.env));
+  const updatedBody = await pipeline.processBody(body, {
+    figma: figmaApi.createFigmaClient(
+      process.env.FIGMA_TOKEN,
+      config.image,
+      config.designTokens.enabled
+    ),
+    imageStore: null, // Permanent hosting needs GitHub, so the CLI always uses Figma URLs
+    refreshOptions: pipeline.getRefreshOptions(process.env),
+    driftOptions: pipeline.getDriftOptions(process.env),
+    pruneOptions: pipeline.getPruneOptions(process.env),
+    config,
+  });
+
+  if (args.dryRun) {
+    process.stdout.write(
+      createBodyDiff(body, updatedBody, args.inPath || "stdin")
+    );
+  } else if (args.outPath) {
+    fs.writeFileSync(args.outPath, updatedBody);
+    console.error(`Wrote ${args.outPath}`);
+  } else {
+    process.stdout.write(updatedBody);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+      console.error("Script failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseArgs,
+  createBodyDiff,
+  main,
+};
@@ -0,0 +1,72 @@
+/**
+ * Comment output mode: Design Specs are kept in a single comment that is updated in place
+ * on every run, instead of in the description
+ */
+
+const OUTPUT_MODES = ["description", "comment"];
+
+// Hidden marker that identifies the specs comment among the other comments
+const SPECS_COMMENT_MARKER = "<!-- FIGMA_PR_IMAGES_SPECS_COMMENT -->";
+
+/**
+ * Reads output settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.OUTPUT] - "description" (default) to add specs to the description, or "comment"
+ * @param {string} [env.COMMENT_REFERENCES] - "true" to replace links in the description with references in comment mode
+ * @returns {{mode: string, replaceLinks: boolean}} Output options
+ */
+function getOutputOptions(env) {
+  const mode = env.OUTPUT || "description";
+  if (!OUTPUT_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid OUTPUT "${mode}". Expected "description" or "comment".`
+    );
+  }
+
+  return {
+    mode,
+    replaceLinks: env.COMMENT_REFERENCES === "true",
+  };
+}
+
+/**
+ * Finds the specs comment created by a previous run
+ * @param {Array<{id: number, body: string}>} comments - Comments on the issue or pull request
+ * @returns {{id: number, body: string}|null} Specs comment, or null if there is none yet
+ */
+function findSpecsComment(comments) {
+  return (
+    comments.find(
+      (comment) => comment.body && comment.body.includes(SPECS_COMMENT_MARKER)
+    ) || null
+  );
+}
+
+/**
+ * Reads the specs document out of a specs comment
+ * @param {{body: string}|null} comment - Specs comment from findSpecsComment
+ * @returns {string} Specs document ("" if there is no comment yet)
+ */
+function readSpecsComment(comment) {
+  if (!comment) return "";
+  return comment.body
+    .replace(/\r\n/g, "\n")
+    .replace(`${SPECS_COMMENT_MARKER}\n`, "");
+}
+
+/**
+ * Creates the content of the specs comment
+ * @param {string} specsBody - Specs document with a Design Specs section
+ * @returns {string} Comment content
+ */
+function createSpecsComment(specsBody) {
+  return `${SPECS_COMMENT_MARKER}\n${specsBody}`;
+}
+
+module.exports = {
+  SPECS_COMMENT_MARKER,
+  getOutputOptions,
+  findSpecsComment,
+  readSpecsComment,
+  createSpecsComment,
+};
@@ -0,0 +1,383 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const templates = require("./template");
+const imageOptions = require("./image_options");
+
+/**
+ * Repository configuration loaded from .github/figma-pr-images.yml or the "figma" key in package.json
+ */
+
+const CONFIG_FILE_PATH = ".github/figma-pr-images.yml";
+const PACKAGE_JSON_KEY = "figma";
+
+const DEFAULT_CONFIG = {
+  section: {
+    heading: "Design Specs",
+    headingLevel: 2,
+    endMarker: "END_DESIGN_SPECS - WILL NOT DETECT FIGMA LINKS BELOW THIS LINE",
+  },
+  referenceText: "Refer to Design Spec {{spec_number}} below",
+  image: {
+    format: "png",
+    scale: 1,
+    useAbsoluteBounds: false,
+  },
+  designTokens: {
+    enabled: false,
+  },
+  versions: {
+    snapshot: "latest", // "named" to snapshot the most recent named version
+  },
+  templates: {
+    specPath: null, // spec template file, relative to the repository root
+    spec: templates.DEFAULT_SPEC_TEMPLATE, // contents of specPath once loaded
+    reference: templates.DEFAULT_REFERENCE_TEMPLATE,
+  },
+};
+
+// Allowed keys as written in the config file, mapped to their DEFAULT_CONFIG property
+const CONFIG_SCHEMA = {
+  section: {
+    property: "section",
+    type: "object",
+    properties: {
+      heading: {
+        property: "heading",
+        type: "string",
+        pattern: /^[^\r\n#]+$/,
+        patternDescription: "a single line without '#'",
+      },
+      heading_level: {
+        property: "headingLevel",
+        type: "integer",
+        minimum: 1,
+        maximum: 6,
+      },
+      end_marker: {
+        property: "endMarker",
+        type: "string",
+        pattern: /^(?!.*--)[^\r\n<>]+$/,
+        patternDescription: "a single line without '--', '<' or '>'",
+      },
+    },
+  },
+  reference_text: {
+    property: "referenceText",
+    type: "string",
+    pattern: /^[^\r\n[\]]*\{\{spec_number\}\}[^\r\n[\]]*$/,
+    patternDescription:
+      "a single line without brackets containing {{spec_number}}",
+  },
+  image: {
+    property: "image",
+    type: "object",
+    properties: {
+      format: {
+        property: "format",
+        type: "string",
+        enum: imageOptions.IMAGE_FORMATS,
+      },
+      scale: {
+        property: "scale",
+        type: "number",
+        minimum: imageOptions.MIN_IMAGE_SCALE,
+        maximum: imageOptions.MAX_IMAGE_SCALE,
+      },
+      use_absolute_bounds: {
+        property: "useAbsoluteBounds",
+        type: "boolean",
+      },
+    },
+  },
+  design_tokens: {
+    property: "designTokens",
+    type: "object",
+    properties: {
+      enabled: {
+        property: "enabled",
+        type: "boolean",
+      },
+    },
+  },
+  versions: {
+    property: "versions",
+    type: "object",
+    properties: {
+      snapshot: {
+        property: "snapshot",
+        type: "string",
+        enum: ["latest", "named"],
+      },
+    },
+  },
+  templates: {
+    property: "templates",
+    type: "object",
+    properties: {
+      spec: {
+        property: "specPath",
+        type: "string",
+        pattern: /^[^\r\n]+$/,
+        patternDescription: "a file path",
+      },
+      reference: {
+        property: "reference",
+        type: "string",
+        pattern: /^[^\r\n]+$/,
+        patternDescription: "a single line",
+        validate: (value) =>
+          templates.validateTemplate(value, templates.REFERENCE_PLACEHOLDERS),
+      },
+    },
+  },
+};
+
+/**
+ * Describes the type of a config value for error messages
+ * @param {*} value - Config value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validates a config value against its schema entry and collects errors
+ * @param {*} value - Config value
+ * @param {Object} schema - Schema entry from CONFIG_SCHEMA
+ * @param {string} keyPath - Dotted key path for error messages
+ * @param {string[]} errors - Array to add errors to
+ * @returns {*} Value converted to the DEFAULT_CONFIG shape (undefined when invalid)
+ */
+function validateValue(value, schema, keyPath, errors) {
+  const actualType = describeType(value);
+  const typeMatches =
+    schema.type === "number"
+      ? actualType === "number" || actualType === "integer"
+      : actualType === schema.type;
+
+  if (!typeMatches) {
+    const article = /^[aeiou]/.test(schema.type) ? "an" : "a";
+    errors.push(
+      `${keyPath} must be ${article} ${schema.type} (got ${actualType})`
+    );
+    return undefined;
+  }
+
+  if (schema.type === "object") {
+    return validateObject(value, schema.properties, keyPath, errors);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${keyPath} must be one of ${schema.enum.join(", ")} (got "${value}")`
+    );
+    return undefined;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${keyPath} must be at least ${schema.minimum} (got ${value})`);
+    return undefined;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${keyPath} must be at most ${schema.maximum} (got ${value})`);
+    return undefined;
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(
+      `${keyPath} must be ${schema.patternDescription} (got "${value}")`
+    );
+    return undefined;
+  }
+  if (schema.validate) {
+    const problems = schema.validate(value);
+    if (problems.length > 0) {
+      errors.push(...problems.map((problem) => `${keyPath} ${problem}`));
+      return undefined;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Validates an object of config values against a set of schema properties
+ * @param {Object} value - Config object
+ * @param {Object} properties - Schema properties keyed by config file key
+ * @param {string} keyPath - Dotted key path of the object ("" for the root)
+ * @param {string[]} errors - Array to add errors to
+ * @returns {Object} Valid values converted to the DEFAULT_CONFIG shape
+ */
+function validateObject(value, properties, keyPath, errors) {
+  const result = {};
+
+  for (const [key, entryValue] of Object.entries(value)) {
+    const entryPath = keyPath ? `${keyPath}.${key}` : key;
+    const schema = properties[key];
+
+    if (!schema) {
+      errors.push(
+        `Unknown key "${entryPath}" (allowed: ${Object.keys(properties).join(
+          ", "
+        )})`
+      );
+      continue;
+    }
+
+    const converted = validateValue(entryValue, schema, entryPath, errors);
+    if (converted !== undefined) result[schema.property] = converted;
+  }
+
+  return result;
+}
+
+/**
+ * Validates raw config values and merges them over DEFAULT_CONFIG
+ * @param {*} rawConfig - Parsed config file contents (null or undefined for an empty file)
+ * @param {string} [source] - Where the config came from, used in error messages
+ * @returns {Object} Complete config in the DEFAULT_CONFIG shape
+ * @throws {Error} Listing every unknown key and invalid value
+ */
+function validateConfig(rawConfig, source = CONFIG_FILE_PATH) {
+  if (rawConfig === null || rawConfig === undefined) {
+    return mergeConfig(DEFAULT_CONFIG, {});
+  }
+
+  const errors = [];
+  let overrides = {};
+  if (describeType(rawConfig) === "object") {
+    overrides = validateObject(rawConfig, CONFIG_SCHEMA, "", errors);
+  } else {
+    errors.push(
+      `Configuration must be a mapping (got ${describeType(rawConfig)})`
+    );
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${source}:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  return mergeConfig(DEFAULT_CONFIG, overrides);
+}
+
+/**
+ * Deep-merges config overrides over a base config without mutating either
+ * @param {Object} base - Base config
+ * @param {Object} overrides - Validated overrides
+ * @returns {Object} Merged config
+ */
+function mergeConfig(base, overrides) {
+  const merged = {};
+  for (const [key, value] of Object.entries(base)) {
+    const override = overrides[key];
+    if (describeType(value) === "object") {
+      merged[key] = mergeConfig(value, override || {});
+    } else {
+      merged[key] = override !== undefined ? override : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Reads the raw repository configuration from .github/figma-pr-images.yml, falling back to the
+ * "figma" key in package.json
+ * @param {string} rootDir - Repository root directory
+ * @returns {{rawConfig: *, source: string|null}} Parsed config and where it came from (null if there is none)
+ * @throws {Error} If a config file cannot be parsed
+ */
+function readRawConfig(rootDir) {
+  const configPath = path.join(rootDir, CONFIG_FILE_PATH);
+  if (fs.existsSync(configPath)) {
+    try {
+      return {
+        rawConfig: YAML.parse(fs.readFileSync(configPath, "utf8")),
+        source: CONFIG_FILE_PATH,
+      };
+    } catch (error) {
+      throw new Error(`Could not parse ${CONFIG_FILE_PATH}: ${error.message}`);
+    }
+  }
+
+  const packageJsonPath = path.join(rootDir, "package.json");
+  if (fs.existsSync(packageJsonPath)) {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not parse package.json: ${error.message}`);
+    }
+    if (packageJson[PACKAGE_JSON_KEY] !== undefined) {
+      return {
+        rawConfig: packageJson[PACKAGE_JSON_KEY],
+        source: `package.json "${PACKAGE_JSON_KEY}" key`,
+      };
+    }
+  }
+
+  return { rawConfig: null, source: null };
+}
+
+/**
+ * Reads and validates the spec template file referenced by templates.spec
+ * @param {string} rootDir - Repository root directory
+ * @param {string} specPath - Template path relative to the repository root
+ * @param {string} source - Where the config came from, used in error messages
+ * @returns {string} Template contents
+ * @throws {Error} If the file is missing or not a valid spec template
+ */
+function readSpecTemplate(rootDir, specPath, source) {
+  const templatePath = path.join(rootDir, specPath);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(
+      `Invalid configuration in ${source}:\n  - templates.spec file "${specPath}" does not exist`
+    );
+  }
+
+  const template = fs.readFileSync(templatePath, "utf8");
+  const errors = templates.validateSpecTemplate(template);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid spec template ${specPath}:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Loads the repository configuration from .github/figma-pr-images.yml, falling back to the
+ * "figma" key in package.json and then to DEFAULT_CONFIG
+ * @param {string} [rootDir] - Repository root directory
+ * @returns {{config: Object, source: string|null}} Validated config and the file it came from (null for defaults)
+ * @throws {Error} If the config or spec template cannot be parsed or fails validation
+ */
+function loadConfig(rootDir = process.cwd()) {
+  const { rawConfig, source } = readRawConfig(rootDir);
+  const config = validateConfig(rawConfig, source || CONFIG_FILE_PATH);
+
+  if (config.templates.specPath) {
+    config.templates.spec = readSpecTemplate(
+      rootDir,
+      config.templates.specPath,
+      source
+    );
+  }
+
+  return { config, source };
+}
+
+module.exports = {
+  CONFIG_FILE_PATH,
+  DEFAULT_CONFIG,
+  validateConfig,
+  loadConfig,
+};
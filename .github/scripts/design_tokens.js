@@ -0,0 +1,241 @@
+/**
+ * Design token extraction from Figma node documents: colors, typography, corner radii
+ * and auto-layout spacing, named after the styles and variables bound to them
+ */
+
+const AUTO_LAYOUT_MODES = ["HORIZONTAL", "VERTICAL"];
+const PADDING_PROPERTIES = [
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+];
+const RADIUS_PROPERTIES = [
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomRightRadius",
+  "bottomLeftRadius",
+];
+
+/**
+ * Rounds a number to at most two decimals for display
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts a Figma color channel (0-1) to two hex digits
+ * @param {number} channel - Color channel
+ * @returns {string} Hex digits
+ */
+function toHex(channel) {
+  return Math.round(channel * 255)
+    .toString(16)
+    .padStart(2, "0")
+    .toUpperCase();
+}
+
+/**
+ * Formats padding values like the CSS shorthand
+ * @param {number[]} padding - Top, right, bottom and left padding
+ * @returns {string} e.g. "16" or "8 16"
+ */
+function formatPadding([top, right, bottom, left]) {
+  if (top === right && top === bottom && top === left) return formatNumber(top);
+  if (top === bottom && right === left) {
+    return `${formatNumber(top)} ${formatNumber(right)}`;
+  }
+  return [top, right, bottom, left].map(formatNumber).join(" ");
+}
+
+/**
+ * Returns the name of the style a node uses for a property
+ * @param {Object} node - Figma node
+ * @param {string} styleType - Style slot on the node ("fill", "stroke" or "text")
+ * @param {Object<string, {name: string}>} styles - Style metadata from the nodes endpoint
+ * @returns {string|null} Style name
+ */
+function getStyleName(node, styleType, styles) {
+  const styleId = node.styles && node.styles[styleType];
+  return styleId && styles[styleId] ? styles[styleId].name : null;
+}
+
+/**
+ * Returns the name of a variable alias
+ * @param {{id: string}|undefined} alias - Variable alias from a boundVariables property
+ * @param {Object<string, string>} variableNames - Variable names keyed by variable ID
+ * @returns {string|null} Variable name
+ */
+function getVariableName(alias, variableNames) {
+  return alias && variableNames[alias.id] ? variableNames[alias.id] : null;
+}
+
+/**
+ * Adds a token to a group unless an identical one was already found
+ * @param {Map<string, Object>} group - Tokens keyed by their content
+ * @param {Object} token - Token to add
+ * @param {string} [key] - Identity of the token (defaults to all of its values)
+ */
+function addToken(group, token, key = JSON.stringify(token)) {
+  if (!group.has(key)) group.set(key, token);
+}
+
+/**
+ * Collects the solid colors a node paints with
+ * @param {Object} node - Figma node
+ * @param {Map<string, Object>} colors - Color tokens found so far
+ * @param {Object} styles - Style metadata from the nodes endpoint
+ * @param {Object<string, string>} variableNames - Variable names keyed by variable ID
+ */
+function collectColors(node, colors, styles, variableNames) {
+  for (const [property, styleType] of [
+    ["fills", "fill"],
+    ["strokes", "stroke"],
+  ]) {
+    const styleName = getStyleName(node, styleType, styles);
+
+    for (const paint of node[property] || []) {
+      if (paint.type !== "SOLID" || paint.visible === false) continue;
+
+      const { r, g, b, a = 1 } = paint.color;
+      const opacity = Math.round(
+        a * (paint.opacity !== undefined ? paint.opacity : 1) * 100
+      );
+      addToken(colors, {
+        hex: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+        opacity,
+        name:
+          getVariableName(
+            paint.boundVariables && paint.boundVariables.color,
+            variableNames
+          ) || styleName,
+      });
+    }
+  }
+}
+
+/**
+ * Collects the text style of a text node
+ * @param {Object} node - Figma node
+ * @param {Map<string, Object>} typography - Typography tokens found so far
+ * @param {Object} styles - Style metadata from the nodes endpoint
+ */
+function collectTypography(node, typography, styles) {
+  if (node.type !== "TEXT" || !node.style) return;
+
+  const style = node.style;
+  addToken(typography, {
+    fontFamily: style.fontFamily,
+    fontWeight: style.fontWeight,
+    fontSize: formatNumber(style.fontSize),
+    lineHeight:
+      style.lineHeightUnit === "INTRINSIC_%" || !style.lineHeightPx
+        ? "Auto"
+        : formatNumber(style.lineHeightPx),
+    name: getStyleName(node, "text", styles),
+  });
+}
+
+/**
+ * Collects the corner radius of a node
+ * @param {Object} node - Figma node
+ * @param {Map<string, Object>} radii - Radius tokens found so far
+ * @param {Object<string, string>} variableNames - Variable names keyed by variable ID
+ */
+function collectRadius(node, radii, variableNames) {
+  const corners = node.rectangleCornerRadii || [
+    node.cornerRadius,
+    node.cornerRadius,
+    node.cornerRadius,
+    node.cornerRadius,
+  ];
+  if (!corners.some((corner) => corner > 0)) return;
+
+  const bound = node.boundVariables || {};
+  const names = [
+    ...new Set(
+      RADIUS_PROPERTIES.map((property) =>
+        getVariableName(bound[property], variableNames)
+      ).filter(Boolean)
+    ),
+  ];
+  addToken(radii, {
+    value: corners.every((corner) => corner === corners[0])
+      ? formatNumber(corners[0])
+      : corners.map((corner) => formatNumber(corner || 0)).join(" "),
+    name: names.join(", ") || null,
+  });
+}
+
+/**
+ * Collects the padding and gap of an auto-layout node
+ * @param {Object} node - Figma node
+ * @param {Map<string, Object>} spacing - Spacing tokens found so far
+ * @param {Object<string, string>} variableNames - Variable names keyed by variable ID
+ */
+function collectSpacing(node, spacing, variableNames) {
+  if (!AUTO_LAYOUT_MODES.includes(node.layoutMode)) return;
+
+  const bound = node.boundVariables || {};
+  const names = [
+    ...new Set(
+      [...PADDING_PROPERTIES, "itemSpacing"]
+        .map((property) => getVariableName(bound[property], variableNames))
+        .filter(Boolean)
+    ),
+  ];
+  const token = {
+    layer: node.name,
+    direction: node.layoutMode === "HORIZONTAL" ? "Horizontal" : "Vertical",
+    padding: formatPadding(
+      PADDING_PROPERTIES.map((property) => node[property] || 0)
+    ),
+    gap:
+      node.primaryAxisAlignItems === "SPACE_BETWEEN"
+        ? "Auto"
+        : formatNumber(node.itemSpacing || 0),
+    name: names.join(", ") || null,
+  };
+  // The same spacing on differently named layers is one token
+  const { layer, ...values } = token;
+  addToken(spacing, token, JSON.stringify(values));
+}
+
+/**
+ * Extracts the unique design tokens used by a node and its visible descendants
+ * @param {Object} document - Full node document from the Figma nodes endpoint
+ * @param {Object<string, {name: string}>} [styles] - Style metadata from the nodes endpoint, keyed by style ID
+ * @param {Object<string, string>} [variableNames] - Variable names keyed by variable ID
+ * @returns {{colors: Object[], typography: Object[], radii: Object[], spacing: Object[]}} Tokens in the order they were found
+ */
+function extractDesignTokens(document, styles = {}, variableNames = {}) {
+  const colors = new Map();
+  const typography = new Map();
+  const radii = new Map();
+  const spacing = new Map();
+
+  const visit = (node) => {
+    if (node.visible === false) return;
+
+    collectColors(node, colors, styles, variableNames);
+    collectTypography(node, typography, styles);
+    collectRadius(node, radii, variableNames);
+    collectSpacing(node, spacing, variableNames);
+    (node.children || []).forEach(visit);
+  };
+  visit(document);
+
+  return {
+    colors: [...colors.values()],
+    typography: [...typography.values()],
+    radii: [...radii.values()],
+    spacing: [...spacing.values()],
+  };
+}
+
+module.exports = {
+  extractDesignTokens,
+};
@@ -1,12 +1,19 @@
 #!/usr/bin/env node
 
-const regexPatterns = require("./regex");
-const utils = require("./util");
+const commentOutput = require("./comment_output");
+const configLoader = require("./config");
 const figmaApi = require("./figma_api");
 const githubApi = require("./github_api");
+const githubEvent = require("./github_event");
+const imageHosting = require("./image_hosting");
+const http = require("./http");
+const pipeline = require("./pipeline");
+const runReport = require("./run_report");
+const slashCommands = require("./slash_commands");
+const specStatus = require("./spec_status");
 
 /**
- * Main function to process Figma links in PR descriptions
+ * Main function to process Figma links in the PR, issue or comment that triggered the run
  */
 async function main() {
   // Validate environment variables
@@ -21,7 +28,6 @@ async function main() {
   const {
     FIGMA_TOKEN: figmaToken,
     GITHUB_TOKEN: githubToken,
-    PR_NUMBER: prNumber,
     GITHUB_REPOSITORY,
   } = process.env;
 
@@ -33,107 +39,151 @@ async function main() {
   }
 
   const { owner, repo } = repoInfo;
+  let target;
+  try {
+    target = githubEvent.loadEventTarget(process.env);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const targetLabel = githubEvent.describeTarget(target);
+  const { fetchBody, updateBody } = githubEvent.createBodyAccessors(
+    target,
+    owner,
+    repo,
+    githubToken
+  );
+  const { config } = loadConfigOrExit();
+  http.configureHttp(http.getHttpOptionsFromEnv(process.env));
+  const figma = figmaApi.createFigmaClient(
+    figmaToken,
+    config.image,
+    config.designTokens.enabled
+  );
 
   try {
-    // Fetch current PR body
-    console.log(
-      `Fetching current PR body for #${prNumber} in ${owner}/${repo}...`
-    );
-    const prBody = await githubApi.fetchCurrentPRBody(
-      owner,
-      repo,
-      prNumber,
-      githubToken
-    );
-    console.log(`Current PR body length: ${prBody.length}`);
+    const refreshOptions = pipeline.getRefreshOptions(process.env);
+    const driftOptions = pipeline.getDriftOptions(process.env);
+    const pruneOptions = pipeline.getPruneOptions(process.env);
+    const hostingOptions = imageHosting.getImageHostingOptions(process.env);
+    const outputOptions = commentOutput.getOutputOptions(process.env);
+    const maxFailedLinks = runReport.getMaxFailedLinks(process.env);
+    const statusOptions = specStatus.getStatusOptions(process.env);
+    const imageStore =
+      hostingOptions.mode === "branch"
+        ? imageHosting.createBranchImageStore({
+            owner,
+            repo,
+            branch: hostingOptions.branch,
+            path: hostingOptions.path,
+            githubToken,
+          })
+        : null;
+
+    // Writes a body computed from originalBody, with logging
+    const writeBody = (newBody, originalBody) =>
+      updateTargetBody(newBody, originalBody, targetLabel, updateBody);
+
+    // A "/figma" comment runs a command against the description instead of being processed itself
+    const commandEvent =
+      target.kind === "issue_comment"
+        ? slashCommands.getCommandEvent(
+            githubEvent.readEventPayload(process.env)
+          )
+        : null;
+
+    if (commandEvent) {
+      await handleSlashCommand(commandEvent, {
+        owner,
+        repo,
+        githubToken,
+        outputMode: outputOptions.mode,
+        pipelineOptions: { figma, imageStore, config },
+      });
+      return;
+    }
 
-    // Analyze Design Specs section
-    const specsAnalysis = analyzeDesignSpecsSection(prBody);
     console.log(
-      `Found ${specsAnalysis.existingSpecCount} existing Design Spec entrie(s) in Design Specs section`
+      `Fetching current body of ${targetLabel} in ${owner}/${repo}...`
     );
 
-    // Find Figma links to process
-    const figmaLinks = findFigmaLinks(prBody, specsAnalysis);
-    if (figmaLinks.length === 0) {
-      console.log("No Figma links found to process");
+    if (
+      !githubEvent.isCommentTarget(target) &&
+      outputOptions.mode === "comment"
+    ) {
+      const { report, specsBody } = await processToSpecsComment({
+        owner,
+        repo,
+        issueNumber: target.number,
+        githubToken,
+        fetchBody,
+        updateBody: writeBody,
+        pipelineOptions: {
+          figma,
+          imageStore,
+          refreshOptions,
+          driftOptions,
+          pruneOptions,
+          replaceLinks: outputOptions.replaceLinks,
+          config,
+        },
+      });
+      if (statusOptions.enabled) {
+        await publishSpecStatus(
+          { owner, repo, target, githubToken },
+          pipeline.findSectionSpecs(specsBody, config),
+          report,
+          statusOptions
+        );
+      }
+      reportRun(report, targetLabel, maxFailedLinks);
       return;
     }
 
-    const linksAbove = figmaLinks.filter(
-      (link) => !link.isInSpecsSection
-    ).length;
-    const linksWithin = figmaLinks.filter(
-      (link) => link.isInSpecsSection
-    ).length;
-
-    console.log(`Found ${figmaLinks.length} Figma link(s) to process:`);
-    if (linksAbove > 0) {
-      console.log(`  - ${linksAbove} above Design Specs section`);
-    }
-    if (linksWithin > 0) {
-      console.log(
-        `  - ${linksWithin} within Design Specs section (unprotected areas)`
-      );
-    }
-
-    // Process each Figma link
-    let updatedBody = prBody;
-    let specsContent = "";
-
-    for (let i = 0; i < figmaLinks.length; i++) {
-      try {
-        const result = await processFigmaLink(
-          figmaLinks[i],
-          specsAnalysis.existingSpecCount + i + 1,
-          figmaToken
-        );
-        specsContent += result.specSnippet;
-
-        // Replace link with reference text using safe replacement to avoid corrupting protected areas
-        updatedBody = safeReplaceLink(
-          updatedBody,
-          figmaLinks[i].fullMatch,
-          result.referenceText
-        );
-        console.log(
-          `Processed Figma link ${i + 1}/${figmaLinks.length}: ${
-            figmaLinks[i].url
-          }`
-        );
-      } catch (error) {
-        console.error(
-          `Error processing Figma link ${figmaLinks[i].url}:`,
-          error.message
-        );
+    // The body is fetched again before writing and reprocessed if it was edited in the meantime
+    let report;
+    const result = await githubEvent.updateLatestBody(
+      { fetchBody, updateBody: writeBody },
+      async (body) => {
+        console.log(`Current body length: ${body.length}`);
+        report = runReport.createRunReport();
+
+        if (!githubEvent.isCommentTarget(target)) {
+          return pipeline.processBody(body, {
+            figma,
+            imageStore,
+            refreshOptions,
+            driftOptions,
+            pruneOptions,
+            report,
+            config,
+          });
+        }
+        if (body.includes(commentOutput.SPECS_COMMENT_MARKER)) {
+          console.log("Skipping the specs comment written by this action");
+          return body;
+        }
+        return pipeline.processCommentBody(body, {
+          figma,
+          imageStore,
+          report,
+          config,
+        });
       }
-    }
+    );
 
-    // Update Design Specs section
-    if (specsContent) {
-      updatedBody = updateDesignSpecsSection(
-        updatedBody,
-        specsContent,
-        specsAnalysis
-      );
-      console.log(
-        `Added ${figmaLinks.length} design spec(s) to Design Specs section`
-      );
+    if (!result.updated) {
+      console.log("No updates needed");
     }
-
-    // Update PR if changes were made
-    if (updatedBody !== prBody) {
-      await updatePRDescription(
-        updatedBody,
-        prBody,
-        owner,
-        repo,
-        prNumber,
-        githubToken
+    if (statusOptions.enabled) {
+      await publishSpecStatus(
+        { owner, repo, target, githubToken },
+        pipeline.findSectionSpecs(result.body, config),
+        report,
+        statusOptions
       );
-    } else {
-      console.log("No updates needed");
     }
+    reportRun(report, targetLabel, maxFailedLinks);
   } catch (error) {
     console.error("Script failed:", error.message);
     process.exit(1);
@@ -141,352 +191,302 @@ async function main() {
 }
 
 /**
- * Analyzes the existing Design Specs section in the PR body
- * @param {string} prBody - Current PR body content
- * @returns {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number, existingSpecCount: number}}
+ * Comment output mode: adds specs for the Figma links in a PR or issue to the specs comment,
+ * creating it on the first run, and only touches the body when links are replaced with references.
+ * Both are checked for edits made while processing before anything is written.
+ * @param {Object} target - Where to read and write
+ * @param {string} target.owner - Repository owner
+ * @param {string} target.repo - Repository name
+ * @param {number} target.issueNumber - Pull request or issue number
+ * @param {string} target.githubToken - GitHub API token
+ * @param {function(): Promise<string>} target.fetchBody - Reads the current PR or issue body
+ * @param {function(string, string): Promise<void>} target.updateBody - Writes the updated body, given the body it was computed from
+ * @param {Object} target.pipelineOptions - Options for processBodyToSpecsComment
+ * @returns {Promise<{report: Object, specsBody: string}>} Run report and specs document of the attempt that was written
  */
-function analyzeDesignSpecsSection(prBody) {
-  // Check for multiple Design Specs sections
-  const designSpecsMatches = prBody.match(
-    new RegExp(regexPatterns.DESIGN_SPECS_SECTION_REGEX.source, "gim")
-  );
-  if (designSpecsMatches && designSpecsMatches.length > 1) {
-    throw new Error(
-      `Found ${designSpecsMatches.length} Design Specs sections. Only one is allowed. Please consolidate into a single "Design Specs" section.`
+async function processToSpecsComment({
+  owner,
+  repo,
+  issueNumber,
+  githubToken,
+  fetchBody,
+  updateBody,
+  pipelineOptions,
+}) {
+  const fetchSpecsComment = async () =>
+    commentOutput.findSpecsComment(
+      await githubApi.listIssueComments(owner, repo, issueNumber, githubToken)
     );
-  }
-
-  const hasSpecsSection = regexPatterns.DESIGN_SPECS_SECTION_REGEX.test(prBody);
-  const endMarker = utils.getDesignSpecsEndMarker();
 
-  let specsSectionIndex = -1;
-  let specsEndIndex = -1;
-  let existingSpecCount = 0;
-
-  if (hasSpecsSection) {
-    specsSectionIndex = prBody.search(regexPatterns.DESIGN_SPECS_SECTION_REGEX);
-    specsEndIndex = prBody.indexOf(endMarker);
+  let body = await fetchBody();
+  let specsComment = await fetchSpecsComment();
+  let report;
+  let writtenSpecsBody;
+
+  await githubEvent.retryOnConcurrentEdit(async () => {
+    const specsBody = commentOutput.readSpecsComment(specsComment);
+    report = runReport.createRunReport();
+    const result = await pipeline.processBodyToSpecsComment(body, specsBody, {
+      ...pipelineOptions,
+      report,
+    });
+
+    // Only what is about to be written needs to be unchanged
+    const latestBody = result.body !== body ? await fetchBody() : body;
+    const latestSpecsComment =
+      result.specsBody !== specsBody ? await fetchSpecsComment() : specsComment;
+    if (
+      latestBody !== body ||
+      commentOutput.readSpecsComment(latestSpecsComment) !== specsBody
+    ) {
+      body = latestBody;
+      specsComment = latestSpecsComment;
+      return false;
+    }
 
-    // Count existing Design Spec entries in the Design Specs section
-    const specsSectionContent = utils.extractSectionContent(
-      prBody,
-      specsSectionIndex,
-      specsEndIndex,
-      regexPatterns.NEXT_SECTION_REGEX
-    );
+    if (result.specsBody === specsBody) {
+      console.log("No updates needed to the specs comment");
+    } else if (specsComment) {
+      await githubApi.updateIssueComment(
+        owner,
+        repo,
+        specsComment.id,
+        commentOutput.createSpecsComment(result.specsBody),
+        githubToken
+      );
+      console.log(`Updated specs comment ${specsComment.id}`);
+    } else {
+      const commentId = await githubApi.createIssueComment(
+        owner,
+        repo,
+        issueNumber,
+        commentOutput.createSpecsComment(result.specsBody),
+        githubToken
+      );
+      console.log(`Created specs comment ${commentId}`);
+    }
 
-    const existingSpecHeaders = specsSectionContent.match(
-      regexPatterns.DESIGN_SPEC_HEADER_REGEX
-    );
-    existingSpecCount = existingSpecHeaders ? existingSpecHeaders.length : 0;
-  }
+    if (result.body !== body) {
+      await updateBody(result.body, body);
+    }
+    writtenSpecsBody = result.specsBody;
+    return true;
+  });
 
-  return {
-    hasSpecsSection,
-    specsSectionIndex,
-    specsEndIndex,
-    existingSpecCount,
-  };
+  return { report, specsBody: writtenSpecsBody };
 }
 
 /**
- * Finds all Figma links above the Design Specs section and in unprotected areas within it
- * @param {string} prBody - PR body content
- * @param {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number}} specsAnalysis - Design specs section analysis
- * @returns {Array<{url: string, fileId: string, nodeId: string, fullMatch: string, isMarkdownLink: boolean, linkText: string|null, isInSpecsSection: boolean}>}
+ * Runs a "/figma" command from a comment against the description of its pull request or issue,
+ * then reacts and replies to the comment with the outcome. Only collaborators with write access can run commands.
+ * @param {Object} commandEvent - Command comment from getCommandEvent
+ * @param {Object} context - Where and how to run the command
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {string} context.githubToken - GitHub API token
+ * @param {string} context.outputMode - Output mode from getOutputOptions
+ * @param {Object} context.pipelineOptions - Options for runCommand
  */
-function findFigmaLinks(prBody, specsAnalysis) {
-  const figmaLinks = [];
-
-  // 1. Search above the Design Specs section
-  const contentAboveSpecs = specsAnalysis.hasSpecsSection
-    ? prBody.substring(0, specsAnalysis.specsSectionIndex)
-    : prBody;
-
-  findFigmaLinksInContent(contentAboveSpecs, figmaLinks, false);
-
-  // 2. Search within unprotected areas of Design Specs section
-  if (specsAnalysis.hasSpecsSection) {
-    const specsSectionContent = utils.extractSectionContent(
-      prBody,
-      specsAnalysis.specsSectionIndex,
-      specsAnalysis.specsEndIndex,
-      regexPatterns.NEXT_SECTION_REGEX
+async function handleSlashCommand(
+  commandEvent,
+  { owner, repo, githubToken, outputMode, pipelineOptions }
+) {
+  const { number, commentId, author, commandLine } = commandEvent;
+  const respond = async (reaction, message, succeeded) => {
+    await githubApi.addCommentReaction(
+      owner,
+      repo,
+      commentId,
+      reaction,
+      githubToken
     );
+    await githubApi.createIssueComment(
+      owner,
+      repo,
+      number,
+      slashCommands.createCommandReply(commandLine, author, message, succeeded),
+      githubToken
+    );
+  };
 
-    const unprotectedContent =
-      utils.extractUnprotectedSpecsContent(specsSectionContent);
-    findFigmaLinksInContent(unprotectedContent, figmaLinks, true);
-  }
-
-  return figmaLinks;
-}
-
-/**
- * Finds Figma links in a given content string and adds them to the provided array
- * @param {string} content - Content to search in
- * @param {Array} figmaLinks - Array to add found links to
- * @param {boolean} isInSpecsSection - Whether the content is within the Design Specs section
- */
-function findFigmaLinksInContent(content, figmaLinks, isInSpecsSection) {
-  // Find markdown links with Figma URLs first
-  let markdownMatch;
-  const markdownRegex = new RegExp(
-    regexPatterns.MARKDOWN_FIGMA_LINK_REGEX.source,
-    "g"
+  const target = { kind: commandEvent.kind, number, commentId: null };
+  const targetLabel = githubEvent.describeTarget(target);
+  const { fetchBody, updateBody } = githubEvent.createBodyAccessors(
+    target,
+    owner,
+    repo,
+    githubToken
   );
+  let message;
 
-  while ((markdownMatch = markdownRegex.exec(content)) !== null) {
-    const linkText = markdownMatch[1];
-    const fullUrl = markdownMatch[2];
-    const parsed = figmaApi.parseFigmaUrl(fullUrl);
-
-    if (parsed) {
-      figmaLinks.push(
-        utils.createLinkObject(
-          fullUrl,
-          parsed.fileId,
-          parsed.nodeId,
-          markdownMatch[0], // full markdown match
-          true, // isMarkdownLink
-          linkText,
-          isInSpecsSection
-        )
+  try {
+    const permission = await githubApi.fetchCollaboratorPermission(
+      owner,
+      repo,
+      author,
+      githubToken
+    );
+    if (!slashCommands.canRunCommands(permission)) {
+      console.log(
+        `Ignoring "${commandLine}" from ${author}, who has ${permission} permission`
       );
+      await respond(
+        "-1",
+        "Only collaborators with write access can run `/figma` commands.",
+        false
+      );
+      return;
     }
-  }
 
-  // Find standalone Figma URLs
-  let standaloneMatch;
-  const standaloneRegex = new RegExp(regexPatterns.FIGMA_URL_REGEX.source, "g");
-
-  while ((standaloneMatch = standaloneRegex.exec(content)) !== null) {
-    const fullUrl = standaloneMatch[0];
-
-    // Skip if already captured as markdown link
-    const alreadyProcessed = figmaLinks.some((link) => link.url === fullUrl);
-    if (alreadyProcessed) continue;
-
-    const parsed = figmaApi.parseFigmaUrl(fullUrl);
-    if (parsed) {
-      figmaLinks.push(
-        utils.createLinkObject(
-          fullUrl,
-          parsed.fileId,
-          parsed.nodeId,
-          fullUrl, // full URL match
-          false, // isMarkdownLink
-          null, // no linkText for standalone URLs
-          isInSpecsSection
-        )
+    const command = slashCommands.parseCommand(commandLine);
+    if (outputMode === "comment") {
+      throw new Error(
+        "Commands work on the Design Specs section of the description, which is not used with `output: comment`."
       );
     }
+
+    console.log(`Running "${commandLine}" from ${author} on ${targetLabel}`);
+    const result = await githubEvent.updateLatestBody(
+      {
+        fetchBody,
+        updateBody: (newBody, originalBody) =>
+          updateTargetBody(newBody, originalBody, targetLabel, updateBody),
+      },
+      async (body) => {
+        const outcome = await slashCommands.runCommand(
+          command,
+          body,
+          pipelineOptions
+        );
+        message = outcome.message;
+        return outcome.body;
+      }
+    );
+    if (!result.updated) console.log("No updates needed");
+  } catch (error) {
+    console.error(`"${commandLine}" failed:`, error.message);
+    await respond("confused", error.message, false);
+    return;
   }
+
+  console.log(message);
+  await respond("+1", message, true);
 }
 
 /**
- * Processes a single Figma link to generate spec content and reference text
- * @param {{url: string, fileId: string, nodeId: string, fullMatch: string, isMarkdownLink: boolean, linkText: string|null, isInSpecsSection: boolean}} link - Figma link info
- * @param {number} specNumber - Sequential spec number
- * @param {string} figmaToken - Figma API token
- * @returns {Promise<{specSnippet: string, referenceText: string}>} Generated content
+ * Publishes the spec health of a pull request as a commit status on its head commit.
+ * Issues and comments have no head commit, so nothing is published for them.
+ * @param {Object} target - Where the specs came from
+ * @param {string} target.owner - Repository owner
+ * @param {string} target.repo - Repository name
+ * @param {{kind: string, number: number}} target.target - Target from loadEventTarget
+ * @param {string} target.githubToken - GitHub API token
+ * @param {Array<Object>} specs - Parsed specs from findSectionSpecs, after processing
+ * @param {Object} report - Run report from createRunReport
+ * @param {Object} statusOptions - Status options from getStatusOptions
  */
-async function processFigmaLink(link, specNumber, figmaToken) {
-  // Parse URL to get all components including version
-  const parsed = figmaApi.parseFigmaUrl(link.url);
-  let version;
-
-  if (parsed.versionId) {
-    console.log(`Using existing version from URL: ${parsed.versionId}`);
-    version = figmaApi.createVersionFromId(parsed.versionId);
-  } else {
-    version = await figmaApi.fetchLatestVersion(link.fileId, figmaToken);
+async function publishSpecStatus(
+  { owner, repo, target, githubToken },
+  specs,
+  report,
+  statusOptions
+) {
+  if (target.kind !== "pull_request") {
+    console.log(`Skipping the commit status, ${target.kind} has no head commit`);
+    return;
   }
 
-  // Get image URL (no need to download the data, we just use the URL)
-  const imageUrl = await figmaApi.fetchNodeImageUrl(
-    link.fileId,
-    link.nodeId,
-    figmaToken
+  const { headSha, labels } = await githubApi.fetchPullRequestHead(
+    owner,
+    repo,
+    target.number,
+    githubToken
   );
-  console.log(`Using Figma image URL (expires in 30 days): ${imageUrl}`);
-
-  // Generate content
-  const specId = `design-spec-${specNumber}`;
-  const expirationString = utils.calculateImageExpirationDate();
-  const cleanUrl = utils.createCleanFigmaUrl(
-    link.fileId,
-    link.nodeId,
-    version.id
+  const status = specStatus.evaluateSpecStatus(
+    specStatus.summarizeSpecHealth(specs, report),
+    statusOptions,
+    labels
   );
 
-  const specSnippet = utils.createDesignSpecSnippet(
-    specNumber,
-    specId,
-    imageUrl,
-    cleanUrl,
-    version.id,
-    version.created_at,
-    expirationString
+  await githubApi.createCommitStatus(
+    owner,
+    repo,
+    headSha,
+    {
+      ...status,
+      context: specStatus.STATUS_CONTEXT,
+      targetUrl: specStatus.getRunUrl(process.env),
+    },
+    githubToken
   );
-
-  // Create reference text for all links (both above and within Design Specs section)
-  const referenceText = utils.createReferenceText(
-    link.isMarkdownLink,
-    link.linkText,
-    specNumber,
-    specId
+  console.log(
+    `Set commit status on ${headSha.slice(0, 7)}: ${status.state} (${status.description})`
   );
-
-  return { specSnippet, referenceText };
 }
 
 /**
- * Updates the Design Specs section with new content
- * @param {string} body - Current PR body
- * @param {string} specsContent - New specs content to add
- * @param {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number}} specsAnalysis - Section analysis
- * @returns {string} Updated PR body
+ * Writes the job summary and step outputs of a run, and fails the run if too many links failed
+ * @param {Object} report - Run report from createRunReport
+ * @param {string} targetLabel - Description of the target for the summary
+ * @param {number} maxFailedLinks - Failure threshold from getMaxFailedLinks
  */
-function updateDesignSpecsSection(body, specsContent, specsAnalysis) {
-  const endMarker = utils.getDesignSpecsEndMarker();
-
-  if (specsAnalysis.hasSpecsSection) {
-    // Recalculate end marker position in case body was modified by link replacements
-    const currentEndMarkerIndex = body.indexOf(endMarker);
-
-    if (currentEndMarkerIndex > specsAnalysis.specsSectionIndex) {
-      // End marker exists - insert content before it
-      return (
-        body.substring(0, currentEndMarkerIndex) +
-        specsContent +
-        body.substring(currentEndMarkerIndex)
-      );
-    } else {
-      // No end marker - find end of Design Specs section and add content + marker
-      const afterSpecsSection = body.substring(specsAnalysis.specsSectionIndex);
-      const nextSectionMatch = afterSpecsSection.match(
-        regexPatterns.NEXT_SECTION_REGEX
-      );
+function reportRun(report, targetLabel, maxFailedLinks) {
+  runReport.writeStepSummary(
+    process.env,
+    runReport.createJobSummary(report, targetLabel)
+  );
+  runReport.writeStepOutputs(process.env, runReport.createStepOutputs(report));
 
-      if (nextSectionMatch) {
-        // Insert before the next section
-        const nextSectionIndex =
-          specsAnalysis.specsSectionIndex + nextSectionMatch.index;
-        return (
-          body.substring(0, nextSectionIndex) +
-          specsContent +
-          `\n${endMarker}\n` +
-          body.substring(nextSectionIndex)
-        );
-      } else {
-        // No next section - append to end
-        return body + specsContent + `\n${endMarker}`;
-      }
-    }
-  } else {
-    // Create new Design Specs section
-    return body + `\n## Design Specs\n${specsContent}\n${endMarker}`;
+  if (runReport.exceedsFailureThreshold(report, maxFailedLinks)) {
+    console.error(
+      `${runReport.countFailedLinks(report)} Figma link(s) failed, more than the allowed ${maxFailedLinks}`
+    );
+    process.exit(1);
   }
 }
 
 /**
- * Safely replaces a Figma link with reference text, avoiding replacement in protected areas and end marker
- * @param {string} body - Full PR body content
- * @param {string} linkMatch - The exact link text to replace
- * @param {string} referenceText - The reference text to replace it with
- * @returns {string} Updated PR body
+ * Loads the calling repository's configuration, exiting with the validation errors if it is invalid
+ * @returns {{config: Object, source: string|null}} Validated config and the file it came from
  */
-function safeReplaceLink(body, linkMatch, referenceText) {
-  const endMarker = utils.getDesignSpecsEndMarker();
-
-  // Find the end marker to avoid replacing anything within it
-  const endMarkerIndex = body.indexOf(endMarker);
-
-  // Split the body into parts: before end marker, end marker, after end marker
-  let beforeEndMarker, endMarkerSection, afterEndMarker;
-
-  if (endMarkerIndex !== -1) {
-    beforeEndMarker = body.substring(0, endMarkerIndex);
-    endMarkerSection = body.substring(
-      endMarkerIndex,
-      endMarkerIndex + endMarker.length
+function loadConfigOrExit() {
+  try {
+    const result = configLoader.loadConfig(process.cwd());
+    console.log(
+      result.source
+        ? `Using configuration from ${result.source}`
+        : "No configuration file found, using defaults"
     );
-    afterEndMarker = body.substring(endMarkerIndex + endMarker.length);
-  } else {
-    beforeEndMarker = body;
-    endMarkerSection = "";
-    afterEndMarker = "";
-  }
-
-  // Only replace in the part before the end marker
-  let updatedBeforeEndMarker = beforeEndMarker;
-  let searchIndex = 0;
-
-  while (true) {
-    const linkIndex = updatedBeforeEndMarker.indexOf(linkMatch, searchIndex);
-    if (linkIndex === -1) break;
-
-    // Check if this occurrence is within a protected spec entry block
-    const beforeLink = updatedBeforeEndMarker.substring(0, linkIndex);
-
-    // Count unclosed START_SPEC markers before this link
-    const startMarkers = (beforeLink.match(/<!-- START_SPEC_\d+ -->/g) || [])
-      .length;
-    const endMarkers = (beforeLink.match(/<!-- END_SPEC_\d+ -->/g) || [])
-      .length;
-
-    // If we have more start markers than end markers, we're inside a protected block
-    if (startMarkers > endMarkers) {
-      searchIndex = linkIndex + linkMatch.length;
-      continue; // Skip this occurrence, it's protected
-    }
-
-    // This occurrence is safe to replace
-    updatedBeforeEndMarker =
-      updatedBeforeEndMarker.substring(0, linkIndex) +
-      referenceText +
-      updatedBeforeEndMarker.substring(linkIndex + linkMatch.length);
-    break;
+    return result;
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
   }
-
-  // Reconstruct the full body
-  return updatedBeforeEndMarker + endMarkerSection + afterEndMarker;
 }
 
 /**
- * Updates the PR description via GitHub API
- * @param {string} updatedBody - New PR body content
- * @param {string} originalBody - Original PR body content
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} prNumber - Pull request number
- * @param {string} githubToken - GitHub API token
+ * Updates the body of the PR, issue or comment via GitHub API
+ * @param {string} updatedBody - New body content
+ * @param {string} originalBody - Original body content
+ * @param {string} targetLabel - Description of the target for log messages
+ * @param {function(string): Promise<number>} updateBody - Body writer from createBodyAccessors
  */
-async function updatePRDescription(
+async function updateTargetBody(
   updatedBody,
   originalBody,
-  owner,
-  repo,
-  prNumber,
-  githubToken
+  targetLabel,
+  updateBody
 ) {
-  console.log(`Updating PR #${prNumber} in ${owner}/${repo}...`);
+  console.log(`Updating ${targetLabel}...`);
   console.log(`Original body length: ${originalBody.length}`);
   console.log(`Updated body length: ${updatedBody.length}`);
   console.log(
     `Body diff: ${updatedBody.length - originalBody.length} characters added`
   );
 
-  const status = await githubApi.updatePRDescription(
-    owner,
-    repo,
-    prNumber,
-    updatedBody,
-    githubToken
-  );
-  console.log("PR update response status:", status);
-  console.log("Successfully updated PR description with Figma images");
+  const status = await updateBody(updatedBody);
+  console.log("Update response status:", status);
+  console.log(`Successfully updated ${targetLabel} with Figma images`);
 }
 
 // Run the main function
@@ -1,9 +1,20 @@
-const axios = require("axios");
+const http = require("./http");
+const { DEFAULT_CONFIG } = require("./config");
+const imageOptionsHelper = require("./image_options");
 
 /**
  * Figma API functions for fetching design data and images
  */
 
+// Human-readable explanations of Figma API error statuses, shown next to links that could not be processed
+const FIGMA_ERROR_EXPLANATIONS = {
+  400: "invalid request, check the node-id in the link",
+  403: "token lacks access to file, or the file_content:read scope",
+  404: "file or node not found, it may have been deleted",
+  429: "rate limited by Figma, will retry on the next run",
+  500: "Figma server error, will retry on the next run",
+};
+
 /**
  * Creates standard headers for Figma API requests
  * @param {string} figmaToken - Figma API token
@@ -13,6 +24,36 @@ function getFigmaHeaders(figmaToken) {
   return { "X-Figma-Token": figmaToken };
 }
 
+/**
+ * Fetches one page of version history for a Figma file (newest first)
+ * @param {string} fileId - Figma file ID
+ * @param {string} figmaToken - Figma API token
+ * @param {string|null} [pageUrl] - next_page URL of the previous page (defaults to the most recent page)
+ * @returns {Promise<{versions: Array<{id: string, created_at: string, label: string|null, description: string|null, user: Object}>, nextPage: string|null}>} Versions and the URL of the next (older) page, or null on the last page
+ */
+async function fetchVersionsPage(fileId, figmaToken, pageUrl = null) {
+  const response = await http.get(
+    pageUrl || `https://api.figma.com/v1/files/${fileId}/versions`,
+    { headers: getFigmaHeaders(figmaToken) }
+  );
+  const { pagination } = response.data;
+  return {
+    versions: response.data.versions,
+    nextPage: (pagination && pagination.next_page) || null,
+  };
+}
+
+/**
+ * Fetches the most recent page of version history for a Figma file (newest first)
+ * @param {string} fileId - Figma file ID
+ * @param {string} figmaToken - Figma API token
+ * @returns {Promise<Array<{id: string, created_at: string}>>} Version history, newest first
+ */
+async function fetchVersions(fileId, figmaToken) {
+  const page = await fetchVersionsPage(fileId, figmaToken);
+  return page.versions;
+}
+
 /**
  * Fetches the latest version information for a Figma file
  * @param {string} fileId - Figma file ID
@@ -20,11 +61,33 @@ function getFigmaHeaders(figmaToken) {
  * @returns {Promise<{id: string, created_at: string}>} Latest version info
  */
 async function fetchLatestVersion(fileId, figmaToken) {
-  const response = await axios.get(
-    `https://api.figma.com/v1/files/${fileId}/versions`,
+  const versions = await fetchVersions(fileId, figmaToken);
+  return versions[0];
+}
+
+/**
+ * Fetches image URLs for several nodes of the same Figma file in a single request
+ * @param {string} fileId - Figma file ID
+ * @param {string[]} nodeIds - Figma node IDs (in colon format)
+ * @param {string} figmaToken - Figma API token
+ * @param {string|null} [versionId] - Render the nodes as they were at this version (defaults to current state)
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [imageOptions] - Export settings (config image)
+ * @returns {Promise<Object<string, string|null>>} Image URLs keyed by node ID (null for nodes that could not be rendered)
+ */
+async function fetchNodeImageUrls(
+  fileId,
+  nodeIds,
+  figmaToken,
+  versionId = null,
+  imageOptions = DEFAULT_CONFIG.image
+) {
+  const imageParams = imageOptionsHelper.createImageQueryParams(imageOptions);
+  const versionParam = versionId ? `&version=${versionId}` : "";
+  const response = await http.get(
+    `https://api.figma.com/v1/images/${fileId}?ids=${nodeIds.join(",")}${imageParams}${versionParam}`,
     { headers: getFigmaHeaders(figmaToken) }
   );
-  return response.data.versions[0];
+  return response.data.images;
 }
 
 /**
@@ -32,15 +95,26 @@ async function fetchLatestVersion(fileId, figmaToken) {
  * @param {string} fileId - Figma file ID
  * @param {string} nodeId - Figma node ID (in colon format)
  * @param {string} figmaToken - Figma API token
+ * @param {string|null} [versionId] - Render the node as it was at this version (defaults to current state)
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [imageOptions] - Export settings (config image)
  * @returns {Promise<string>} Image URL from Figma API
  */
-async function fetchNodeImageUrl(fileId, nodeId, figmaToken) {
-  const response = await axios.get(
-    `https://api.figma.com/v1/images/${fileId}?ids=${nodeId}&format=png`,
-    { headers: getFigmaHeaders(figmaToken) }
+async function fetchNodeImageUrl(
+  fileId,
+  nodeId,
+  figmaToken,
+  versionId = null,
+  imageOptions = DEFAULT_CONFIG.image
+) {
+  const images = await fetchNodeImageUrls(
+    fileId,
+    [nodeId],
+    figmaToken,
+    versionId,
+    imageOptions
   );
-  
-  const imageUrl = response.data.images[nodeId];
+
+  const imageUrl = images[nodeId];
   if (!imageUrl) {
     throw new Error(`Could not get image for node ${nodeId}`);
   }
@@ -48,49 +122,550 @@ async function fetchNodeImageUrl(fileId, nodeId, figmaToken) {
   return imageUrl;
 }
 
+/**
+ * Fetches the documents of several nodes of the same Figma file in a single request
+ * @param {string} fileId - Figma file ID
+ * @param {string[]} nodeIds - Figma node IDs (in colon format)
+ * @param {string} figmaToken - Figma API token
+ * @param {string|null} [versionId] - Read the nodes as they were at this version (defaults to current state)
+ * @param {number|null} [depth] - Levels of children to include (null for the whole subtree)
+ * @returns {Promise<Object<string, {document: Object, styles: Object}|null>>} Node documents and the styles they use, keyed by node ID (null for nodes that do not exist)
+ */
+async function fetchNodeDocuments(
+  fileId,
+  nodeIds,
+  figmaToken,
+  versionId = null,
+  depth = 1
+) {
+  const depthParam = depth !== null ? `&depth=${depth}` : "";
+  const versionParam = versionId ? `&version=${versionId}` : "";
+  const response = await http.get(
+    `https://api.figma.com/v1/files/${fileId}/nodes?ids=${nodeIds.join(",")}${depthParam}${versionParam}`,
+    { headers: getFigmaHeaders(figmaToken) }
+  );
+
+  const documents = {};
+  for (const [nodeId, node] of Object.entries(response.data.nodes)) {
+    documents[nodeId] = node
+      ? { document: node.document, styles: node.styles || {} }
+      : null;
+  }
+  return documents;
+}
+
+/**
+ * Fetches the names of the variables defined in or used by a Figma file.
+ * The variables endpoint is only available on Enterprise plans with the file_variables:read scope.
+ * @param {string} fileId - Figma file ID
+ * @param {string} figmaToken - Figma API token
+ * @returns {Promise<Object<string, string>>} Variable names keyed by variable ID
+ */
+async function fetchVariableNames(fileId, figmaToken) {
+  const response = await http.get(
+    `https://api.figma.com/v1/files/${fileId}/variables/local`,
+    { headers: getFigmaHeaders(figmaToken) }
+  );
+
+  const variableNames = {};
+  for (const [variableId, variable] of Object.entries(
+    response.data.meta.variables
+  )) {
+    variableNames[variableId] = variable.name;
+  }
+  return variableNames;
+}
+
+// Tree depth of the first page name request (pages and their top-level frames)
+const PAGE_NAME_DEPTH = 2;
+
+// Deepest tree depth read to find the page of a nested node
+const MAX_PAGE_NAME_DEPTH = 32;
+
+/**
+ * Fetches the names of the pages that nodes of a Figma file are on.
+ * Given ids, the files endpoint only returns the path from each page to the node and the node's subtree,
+ * cut off at the requested depth. Nodes below that depth are looked up again with twice the depth.
+ * @param {string} fileId - Figma file ID
+ * @param {string[]} nodeIds - Figma node IDs (in colon format)
+ * @param {string} figmaToken - Figma API token
+ * @param {string|null} [versionId] - Read the file as it was at this version (defaults to current state)
+ * @returns {Promise<Object<string, string>>} Page names keyed by node ID (nodes that were not found are left out)
+ */
+async function fetchPageNames(fileId, nodeIds, figmaToken, versionId = null) {
+  const versionParam = versionId ? `&version=${versionId}` : "";
+  const pageNames = {};
+  let missing = nodeIds;
+
+  for (
+    let depth = PAGE_NAME_DEPTH;
+    missing.length > 0 && depth <= MAX_PAGE_NAME_DEPTH;
+    depth *= 2
+  ) {
+    const response = await http.get(
+      `https://api.figma.com/v1/files/${fileId}?ids=${missing.join(",")}&depth=${depth}${versionParam}`,
+      { headers: getFigmaHeaders(figmaToken) }
+    );
+
+    const requested = new Set(missing);
+    for (const page of response.data.document.children || []) {
+      const pending = [page];
+      while (pending.length > 0) {
+        const node = pending.pop();
+        if (requested.has(node.id)) pageNames[node.id] = page.name;
+        pending.push(...(node.children || []));
+      }
+    }
+    missing = missing.filter((nodeId) => !pageNames[nodeId]);
+  }
+  return pageNames;
+}
+
 /**
  * Downloads image data from a URL
  * @param {string} imageUrl - URL of the image to download
  * @returns {Promise<Buffer>} Image data as buffer
  */
 async function downloadImageData(imageUrl) {
-  const response = await axios.get(imageUrl, {
+  const response = await http.get(imageUrl, {
     responseType: "arraybuffer",
   });
   return response.data;
 }
 
 /**
- * Creates a version object from existing version ID
+ * Creates a version object from existing version ID, for versions missing from the fetched history
  * @param {string} versionId - Existing version ID from URL
- * @returns {{id: string, created_at: string}} Version object
+ * @returns {{id: string, created_at: null}} Version object without a creation time
  */
 function createVersionFromId(versionId) {
   return {
     id: versionId,
-    created_at: new Date().toISOString(), // Use current timestamp as fallback
+    created_at: null,
   };
 }
 
 /**
- * Parses a Figma URL to extract all relevant components
- * @param {string} url - Full Figma URL
- * @returns {{fileId: string, nodeId: string, versionId: string|null} | null} Parsed components or null if invalid
+ * Checks whether a version was named in Figma, as opposed to an autosave
+ * @param {{label: string|null}} version - Version from the versions endpoint
+ * @returns {boolean} True if the version has a name
  */
-function parseFigmaUrl(url) {
-  const fileIdMatch = url.match(/\/design\/([^/]+)\//);
-  const nodeIdMatch = url.match(/node-id=([^&\s)]+)/);
-  const versionMatch = url.match(/version-id=([^&\s)]+)/);
-  
-  if (fileIdMatch && nodeIdMatch) {
+function isNamedVersion(version) {
+  return Boolean(version.label && version.label.trim());
+}
+
+// Maximum number of node IDs per images or nodes request (keeps request URLs short)
+const IMAGE_BATCH_SIZE = 50;
+
+// Maximum number of version history pages searched for a pinned or named version
+const MAX_VERSION_PAGES = 10;
+
+/**
+ * Creates a run-scoped Figma client that memoizes version lookups per file
+ * and renders node images and fetches node details in batches per file and version
+ * @param {string} figmaToken - Figma API token
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [imageOptions] - Default export settings (config image)
+ * @param {boolean} [fetchNodeTrees] - Fetch whole node subtrees instead of just the nodes (needed for design tokens)
+ * @returns {Object} Figma client
+ */
+function createFigmaClient(
+  figmaToken,
+  imageOptions = DEFAULT_CONFIG.image,
+  fetchNodeTrees = false
+) {
+  const versionsByFile = new Map();
+  const versionPages = new Map();
+  const imageUrls = new Map();
+
+  const resolveImageOptions = (overrides = {}) => ({
+    ...imageOptions,
+    ...overrides,
+  });
+  const getBatchKey = (fileId, versionId, options) =>
+    `${fileId}@${versionId || "current"}/${imageOptionsHelper.getImageOptionsKey(
+      options
+    )}`;
+  const getImageKey = (fileId, nodeId, versionId, options) =>
+    `${getBatchKey(fileId, versionId, options)}:${nodeId}`;
+
+  /**
+   * Returns a page of version history, fetching each page at most once per run
+   * @param {string} fileId - Figma file ID
+   * @param {string|null} [pageUrl] - next_page URL of the previous page (defaults to the most recent page)
+   * @returns {Promise<{versions: Array<Object>, nextPage: string|null}>} Versions and the URL of the next page
+   */
+  function getVersionsPage(fileId, pageUrl = null) {
+    const cache = pageUrl ? versionPages : versionsByFile;
+    const key = pageUrl || fileId;
+    if (!cache.has(key)) {
+      const request = fetchVersionsPage(fileId, figmaToken, pageUrl);
+      // Don't memoize failures so later callers can retry
+      request.catch(() => cache.delete(key));
+      cache.set(key, request);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Returns the most recent page of version history for a file, fetching it at most once per run
+   * @param {string} fileId - Figma file ID
+   * @returns {Promise<Array<{id: string, created_at: string}>>} Version history, newest first
+   */
+  async function getVersions(fileId) {
+    const page = await getVersionsPage(fileId);
+    return page.versions;
+  }
+
+  /**
+   * Returns the latest version of a file, fetching version history at most once per run
+   * @param {string} fileId - Figma file ID
+   * @returns {Promise<{id: string, created_at: string}>} Latest version info
+   */
+  async function getLatestVersion(fileId) {
+    const versions = await getVersions(fileId);
+    return versions[0];
+  }
+
+  /**
+   * Searches version history page by page, newest first
+   * @param {string} fileId - Figma file ID
+   * @param {function(Object): boolean} predicate - Returns true for the version to find
+   * @returns {Promise<Object|null>} Newest matching version, or null if none is within MAX_VERSION_PAGES pages
+   */
+  async function findVersion(fileId, predicate) {
+    let page = await getVersionsPage(fileId);
+    for (let pageCount = 1; ; pageCount++) {
+      const version = page.versions.find(predicate);
+      if (version) return version;
+      if (!page.nextPage || pageCount >= MAX_VERSION_PAGES) return null;
+      page = await getVersionsPage(fileId, page.nextPage);
+    }
+  }
+
+  /**
+   * Looks up the version record of a pinned version, with its label, description and author
+   * @param {string} fileId - Figma file ID
+   * @param {string} versionId - Figma version ID
+   * @returns {Promise<Object>} Version record, or a version without creation time if it cannot be found
+   */
+  async function getVersion(fileId, versionId) {
+    try {
+      const version = await findVersion(
+        fileId,
+        (entry) => entry.id === versionId
+      );
+      if (version) return version;
+      console.log(
+        `Version ${versionId} is not in the last ${MAX_VERSION_PAGES} pages of version history of file ${fileId}`
+      );
+    } catch (error) {
+      console.log(
+        `Could not look up version ${versionId} of file ${fileId}, continuing without its details: ${error.message}`
+      );
+    }
+    return createVersionFromId(versionId);
+  }
+
+  /**
+   * Returns the most recent named version of a file, falling back to the latest version if none is named
+   * @param {string} fileId - Figma file ID
+   * @returns {Promise<Object>} Named or latest version
+   */
+  async function getLatestNamedVersion(fileId) {
+    const version = await findVersion(fileId, isNamedVersion);
+    if (version) return version;
+
+    console.log(
+      `File ${fileId} has no named version, using the latest version instead`
+    );
+    return getLatestVersion(fileId);
+  }
+
+  /**
+   * Renders the given nodes with one images request per file, version and set of image options.
+   * Failed batches are logged and left uncached so getNodeImageUrl can retry nodes individually.
+   * @param {Array<{fileId: string, nodeId: string, versionId: string|null, imageOverrides?: Object}>} nodes - Nodes to render
+   * @returns {Promise<void>}
+   */
+  async function prefetchNodeImages(nodes) {
+    const batches = new Map();
+    for (const { fileId, nodeId, versionId = null, imageOverrides } of nodes) {
+      const options = resolveImageOptions(imageOverrides);
+      if (imageUrls.has(getImageKey(fileId, nodeId, versionId, options))) {
+        continue;
+      }
+
+      const batchKey = getBatchKey(fileId, versionId, options);
+      if (!batches.has(batchKey)) {
+        batches.set(batchKey, {
+          fileId,
+          versionId,
+          options,
+          nodeIds: new Set(),
+        });
+      }
+      batches.get(batchKey).nodeIds.add(nodeId);
+    }
+
+    for (const { fileId, versionId, options, nodeIds } of batches.values()) {
+      const ids = [...nodeIds];
+      for (let i = 0; i < ids.length; i += IMAGE_BATCH_SIZE) {
+        const chunk = ids.slice(i, i + IMAGE_BATCH_SIZE);
+        try {
+          const images = await fetchNodeImageUrls(
+            fileId,
+            chunk,
+            figmaToken,
+            versionId,
+            options
+          );
+          for (const nodeId of chunk) {
+            if (images[nodeId]) {
+              imageUrls.set(
+                getImageKey(fileId, nodeId, versionId, options),
+                images[nodeId]
+              );
+            }
+          }
+          console.log(
+            `Rendered ${chunk.length} node image(s) for file ${fileId} in one request`
+          );
+        } catch (error) {
+          console.error(
+            `Error rendering node images for file ${fileId}:`,
+            error.message
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the image URL for a node, using prefetched results when available
+   * @param {string} fileId - Figma file ID
+   * @param {string} nodeId - Figma node ID (in colon format)
+   * @param {string|null} [versionId] - Render the node as it was at this version
+   * @param {Object} [imageOverrides] - Per-link image options that replace the defaults
+   * @returns {Promise<string>} Image URL from Figma API
+   */
+  async function getNodeImageUrl(
+    fileId,
+    nodeId,
+    versionId = null,
+    imageOverrides = {}
+  ) {
+    const options = resolveImageOptions(imageOverrides);
+    const key = getImageKey(fileId, nodeId, versionId, options);
+    if (!imageUrls.has(key)) {
+      imageUrls.set(
+        key,
+        await fetchNodeImageUrl(fileId, nodeId, figmaToken, versionId, options)
+      );
+    }
+    return imageUrls.get(key);
+  }
+
+  const nodeDocuments = new Map();
+  const pageNames = new Map();
+  const variableNamesByFile = new Map();
+  const nodeDepth = fetchNodeTrees ? null : 1;
+
+  /**
+   * Looks up the page names of nodes of a file, at most once per node and run.
+   * Names are cached per file rather than per version, since nodes rarely move between pages.
+   * Failures are logged and left uncached so a later lookup can retry.
+   * @param {string} fileId - Figma file ID
+   * @param {string[]} nodeIds - Figma node IDs (in colon format)
+   * @param {string|null} versionId - Figma version ID
+   * @returns {Promise<void>}
+   */
+  async function loadPageNames(fileId, nodeIds, versionId) {
+    const missing = nodeIds.filter(
+      (nodeId) => !pageNames.has(`${fileId}:${nodeId}`)
+    );
+    if (missing.length === 0) return;
+
+    try {
+      const names = await fetchPageNames(
+        fileId,
+        missing,
+        figmaToken,
+        versionId
+      );
+      for (const nodeId of missing) {
+        pageNames.set(`${fileId}:${nodeId}`, names[nodeId] || null);
+      }
+    } catch (error) {
+      console.log(
+        `Could not fetch page names for file ${fileId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Returns the names of a file's variables, fetching them at most once per run.
+   * Failures are logged and cached as no names, since most plans can't use the variables endpoint.
+   * @param {string} fileId - Figma file ID
+   * @returns {Promise<Object<string, string>>} Variable names keyed by variable ID
+   */
+  function getVariableNames(fileId) {
+    if (!variableNamesByFile.has(fileId)) {
+      variableNamesByFile.set(
+        fileId,
+        fetchVariableNames(fileId, figmaToken).catch((error) => {
+          console.log(
+            `Could not fetch variables for file ${fileId}, showing raw values instead: ${error.message}`
+          );
+          return {};
+        })
+      );
+    }
+    return variableNamesByFile.get(fileId);
+  }
+
+  /**
+   * Fetches node documents, and the pages the nodes are on, with one nodes and one files request per file and version.
+   * Failed batches are logged and left uncached so getNodeDetails can retry nodes individually.
+   * @param {Array<{fileId: string, nodeId: string, versionId: string|null}>} nodes - Nodes to fetch
+   * @returns {Promise<void>}
+   */
+  async function prefetchNodeDetails(nodes) {
+    const batches = new Map();
+    for (const { fileId, nodeId, versionId = null } of nodes) {
+      const batchKey = `${fileId}@${versionId || "current"}`;
+      if (nodeDocuments.has(`${batchKey}:${nodeId}`)) continue;
+
+      if (!batches.has(batchKey)) {
+        batches.set(batchKey, { fileId, versionId, nodeIds: new Set() });
+      }
+      batches.get(batchKey).nodeIds.add(nodeId);
+    }
+
+    for (const [batchKey, { fileId, versionId, nodeIds }] of batches) {
+      const ids = [...nodeIds];
+      for (let i = 0; i < ids.length; i += IMAGE_BATCH_SIZE) {
+        const chunk = ids.slice(i, i + IMAGE_BATCH_SIZE);
+        try {
+          const documents = await fetchNodeDocuments(
+            fileId,
+            chunk,
+            figmaToken,
+            versionId,
+            nodeDepth
+          );
+          for (const nodeId of chunk) {
+            nodeDocuments.set(`${batchKey}:${nodeId}`, documents[nodeId]);
+          }
+          await loadPageNames(
+            fileId,
+            chunk.filter((nodeId) => documents[nodeId]),
+            versionId
+          );
+        } catch (error) {
+          console.error(
+            `Error fetching node details for file ${fileId}:`,
+            error.message
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a node's document, the styles it uses and the name of the page it is on,
+   * using prefetched results when available
+   * @param {string} fileId - Figma file ID
+   * @param {string} nodeId - Figma node ID (in colon format)
+   * @param {string|null} [versionId] - Read the node as it was at this version
+   * @returns {Promise<{document: Object, styles: Object, pageName: string|null}>} Node details
+   */
+  async function getNodeDetails(fileId, nodeId, versionId = null) {
+    const key = `${fileId}@${versionId || "current"}:${nodeId}`;
+    if (!nodeDocuments.has(key)) {
+      const documents = await fetchNodeDocuments(
+        fileId,
+        [nodeId],
+        figmaToken,
+        versionId,
+        nodeDepth
+      );
+      nodeDocuments.set(key, documents[nodeId]);
+    }
+
+    const node = nodeDocuments.get(key);
+    if (!node) {
+      throw new Error(`Could not find node ${nodeId} in file ${fileId}`);
+    }
+
+    await loadPageNames(fileId, [nodeId], versionId);
     return {
-      fileId: fileIdMatch[1],
-      nodeId: nodeIdMatch[1].replace("-", ":"), // Convert to colon format
-      versionId: versionMatch ? versionMatch[1] : null
+      document: node.document,
+      styles: node.styles,
+      pageName: pageNames.get(`${fileId}:${nodeId}`) || null,
     };
   }
-  
-  return null;
+
+  return {
+    getVersions,
+    getLatestVersion,
+    getVersion,
+    getLatestNamedVersion,
+    prefetchNodeImages,
+    getNodeImageUrl,
+    prefetchNodeDetails,
+    getNodeDetails,
+    getVariableNames,
+  };
+}
+
+// Hosts that serve Figma editor and embed URLs
+const FIGMA_HOSTS = ["figma.com", "www.figma.com", "embed.figma.com"];
+
+// URL path prefixes mapped to the editor used for clean links
+const EDITOR_TYPES = {
+  design: "design",
+  file: "design", // legacy links from before the design/dev mode split
+  proto: "design",
+  board: "board", // FigJam
+};
+
+/**
+ * Parses a Figma URL to extract all relevant components.
+ * Supports /design/, legacy /file/, /proto/ and FigJam /board/ links, branch links, hosts with or without www
+ * and embed?url= links wrapping any of these. For branch links the branch key is returned as fileId since
+ * API calls must be made against the branch.
+ * @param {string} url - Full Figma URL
+ * @returns {{fileId: string, nodeId: string, versionId: string|null, editorType: string, mainFileId: string|null} | null} Parsed components or null if invalid
+ */
+function parseFigmaUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!FIGMA_HOSTS.includes(parsedUrl.hostname)) return null;
+
+  const segments = parsedUrl.pathname.split("/").filter(Boolean);
+  if (segments[0] === "embed") {
+    const embeddedUrl = parsedUrl.searchParams.get("url");
+    return embeddedUrl ? parseFigmaUrl(embeddedUrl) : null;
+  }
+
+  const editorType = EDITOR_TYPES[segments[0]];
+  const nodeId = parsedUrl.searchParams.get("node-id");
+  if (!editorType || !segments[1] || !nodeId) return null;
+
+  const isBranch = segments[2] === "branch" && Boolean(segments[3]);
+
+  return {
+    fileId: isBranch ? segments[3] : segments[1],
+    nodeId: nodeId.replace(/-/g, ":"), // Convert to colon format
+    versionId: parsedUrl.searchParams.get("version-id"),
+    editorType,
+    mainFileId: isBranch ? segments[1] : null,
+  };
 }
 
 /**
@@ -115,13 +690,41 @@ function extractVersionId(url) {
   return parsed ? parsed.versionId : null;
 }
 
+/**
+ * Explains why a Figma request failed
+ * @param {Error} error - Error thrown while processing a link (an Axios error for failed requests)
+ * @returns {string} Single-line explanation, e.g. "403 – token lacks access to file, or the file_content:read scope"
+ */
+function describeFigmaError(error) {
+  const response = error.response;
+  if (!response) return error.message.replace(/\s+/g, " ");
+
+  const status = response.status;
+  const explanation =
+    FIGMA_ERROR_EXPLANATIONS[status] ||
+    (status >= 500 && FIGMA_ERROR_EXPLANATIONS[500]) ||
+    (response.data && (response.data.err || response.data.message)) ||
+    error.message;
+  return `${status} – ${String(explanation).replace(/\s+/g, " ")}`;
+}
+
 module.exports = {
   getFigmaHeaders,
+  fetchVersionsPage,
+  fetchVersions,
   fetchLatestVersion,
+  fetchNodeImageUrls,
   fetchNodeImageUrl,
+  fetchNodeDocuments,
+  fetchPageNames,
+  fetchVariableNames,
   downloadImageData,
+  IMAGE_BATCH_SIZE,
+  createFigmaClient,
   createVersionFromId,
+  isNamedVersion,
   parseFigmaUrl,
   extractFigmaIds,
-  extractVersionId
+  extractVersionId,
+  describeFigmaError
 };
\ No newline at end of file
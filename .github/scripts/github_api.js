@@ -1,9 +1,21 @@
-const axios = require("axios");
+const http = require("./http");
 
 /**
  * GitHub API functions for PR operations
  */
 
+/**
+ * Creates standard headers for GitHub API requests
+ * @param {string} githubToken - GitHub API token
+ * @returns {Object} Headers object for axios requests
+ */
+function getGithubHeaders(githubToken) {
+  return {
+    Authorization: `token ${githubToken}`,
+    Accept: "application/vnd.github.v3+json",
+  };
+}
+
 /**
  * Fetches the current PR body from GitHub API
  * @param {string} owner - Repository owner
@@ -13,14 +25,9 @@ const axios = require("axios");
  * @returns {Promise<string>} Current PR body content
  */
 async function fetchCurrentPRBody(owner, repo, prNumber, githubToken) {
-  const response = await axios.get(
+  const response = await http.get(
     `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}`,
-    {
-      headers: {
-        Authorization: `token ${githubToken}`,
-        Accept: "application/vnd.github.v3+json",
-      },
-    }
+    { headers: getGithubHeaders(githubToken) }
   );
   return response.data.body || "";
 }
@@ -35,19 +42,388 @@ async function fetchCurrentPRBody(owner, repo, prNumber, githubToken) {
  * @returns {Promise<number>} HTTP status code of the update request
  */
 async function updatePRDescription(owner, repo, prNumber, updatedBody, githubToken) {
-  const response = await axios.patch(
+  const response = await http.patch(
     `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}`,
     { body: updatedBody },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.status;
+}
+
+/**
+ * Fetches the current body of an issue
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} issueNumber - Issue number
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string>} Current issue body content
+ */
+async function fetchIssueBody(owner, repo, issueNumber, githubToken) {
+  const response = await http.get(
+    `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}`,
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.data.body || "";
+}
+
+/**
+ * Updates the body of an issue
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} issueNumber - Issue number
+ * @param {string} updatedBody - New issue body content
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} HTTP status code of the update request
+ */
+async function updateIssueBody(owner, repo, issueNumber, updatedBody, githubToken) {
+  const response = await http.patch(
+    `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}`,
+    { body: updatedBody },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.status;
+}
+
+/**
+ * Fetches the current body of an issue or pull request comment
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Comment ID
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string>} Current comment content
+ */
+async function fetchIssueComment(owner, repo, commentId, githubToken) {
+  const response = await http.get(
+    `https://api.github.com/repos/${owner}/${repo}/issues/comments/${commentId}`,
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.data.body || "";
+}
+
+/**
+ * Fetches the current body of a pull request review comment (a comment on a line of the diff)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Review comment ID
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string>} Current comment content
+ */
+async function fetchReviewComment(owner, repo, commentId, githubToken) {
+  const response = await http.get(
+    `https://api.github.com/repos/${owner}/${repo}/pulls/comments/${commentId}`,
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.data.body || "";
+}
+
+/**
+ * Replaces the content of a pull request review comment
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Review comment ID
+ * @param {string} body - New comment content
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} HTTP status code of the update request
+ */
+async function updateReviewComment(owner, repo, commentId, body, githubToken) {
+  const response = await http.patch(
+    `https://api.github.com/repos/${owner}/${repo}/pulls/comments/${commentId}`,
+    { body },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.status;
+}
+
+// Page size for listing comments (the maximum GitHub allows)
+const COMMENTS_PER_PAGE = 100;
+
+/**
+ * Lists all comments on an issue or pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} issueNumber - Issue or pull request number
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<Array<{id: number, body: string}>>} Comments, oldest first
+ */
+async function listIssueComments(owner, repo, issueNumber, githubToken) {
+  const comments = [];
+
+  for (let page = 1; ; page++) {
+    const response = await http.get(
+      `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=${COMMENTS_PER_PAGE}&page=${page}`,
+      { headers: getGithubHeaders(githubToken) }
+    );
+    comments.push(...response.data);
+    if (response.data.length < COMMENTS_PER_PAGE) return comments;
+  }
+}
+
+/**
+ * Adds a comment to an issue or pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} issueNumber - Issue or pull request number
+ * @param {string} body - Comment content
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} ID of the new comment
+ */
+async function createIssueComment(owner, repo, issueNumber, body, githubToken) {
+  const response = await http.post(
+    `https://api.github.com/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
+    { body },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.data.id;
+}
+
+/**
+ * Replaces the content of an issue or pull request comment
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Comment ID
+ * @param {string} body - New comment content
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} HTTP status code of the update request
+ */
+async function updateIssueComment(owner, repo, commentId, body, githubToken) {
+  const response = await http.patch(
+    `https://api.github.com/repos/${owner}/${repo}/issues/comments/${commentId}`,
+    { body },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.status;
+}
+
+/**
+ * Fetches the head commit and labels of a pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} prNumber - Pull request number
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<{headSha: string, labels: string[]}>} Head commit SHA and label names
+ */
+async function fetchPullRequestHead(owner, repo, prNumber, githubToken) {
+  const response = await http.get(
+    `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}`,
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return {
+    headSha: response.data.head.sha,
+    labels: (response.data.labels || []).map((label) => label.name),
+  };
+}
+
+/**
+ * Sets a commit status, shown in the merge box of pull requests whose head is the commit
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {{state: string, description: string, context: string, targetUrl: string|null}} status - Status to set
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} HTTP status code of the request
+ */
+async function createCommitStatus(owner, repo, sha, status, githubToken) {
+  const response = await http.post(
+    `https://api.github.com/repos/${owner}/${repo}/statuses/${sha}`,
     {
-      headers: {
-        Authorization: `token ${githubToken}`,
-        Accept: "application/vnd.github.v3+json",
-      },
-    }
+      state: status.state,
+      description: status.description,
+      context: status.context,
+      ...(status.targetUrl && { target_url: status.targetUrl }),
+    },
+    { headers: getGithubHeaders(githubToken) }
+  );
+  return response.status;
+}
+
+/**
+ * Fetches a user's permission level on a repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} username - GitHub login
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string>} "admin", "maintain", "write", "triage", "read" or "none"
+ */
+async function fetchCollaboratorPermission(owner, repo, username, githubToken) {
+  const response = await http.get(
+    `https://api.github.com/repos/${owner}/${repo}/collaborators/${username}/permission`,
+    { headers: getGithubHeaders(githubToken) }
+  );
+  // role_name includes the maintain and triage roles that permission folds into write and read
+  return response.data.role_name || response.data.permission;
+}
+
+/**
+ * Adds a reaction to an issue or pull request comment
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} commentId - Comment ID
+ * @param {string} content - Reaction, e.g. "+1", "-1", "confused" or "eyes"
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<number>} HTTP status code of the request
+ */
+async function addCommentReaction(owner, repo, commentId, content, githubToken) {
+  const response = await http.post(
+    `https://api.github.com/repos/${owner}/${repo}/issues/comments/${commentId}/reactions`,
+    { content },
+    { headers: getGithubHeaders(githubToken) }
   );
   return response.status;
 }
 
+/**
+ * Fetches the commit SHA a branch points to
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string|null>} Commit SHA or null if the branch does not exist
+ */
+async function fetchBranchHeadSha(owner, repo, branch, githubToken) {
+  try {
+    const response = await http.get(
+      `https://api.github.com/repos/${owner}/${repo}/git/ref/heads/${branch}`,
+      { headers: getGithubHeaders(githubToken) }
+    );
+    return response.data.object.sha;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Checks whether a file exists on a branch
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} path - File path within the repository
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<boolean>} True if the file exists on the branch
+ */
+async function fileExistsOnBranch(owner, repo, branch, path, githubToken) {
+  try {
+    await http.get(
+      `https://api.github.com/repos/${owner}/${repo}/contents/${path}?ref=${branch}`,
+      { headers: getGithubHeaders(githubToken) }
+    );
+    return true;
+  } catch (error) {
+    if (error.response && error.response.status === 404) return false;
+    throw error;
+  }
+}
+
+// Attempts at committing to a branch that other runs are committing to at the same time
+const MAX_BRANCH_COMMIT_ATTEMPTS = 5;
+
+/**
+ * Commits a single file to a branch using the git data API.
+ * The branch is created as an orphan branch (no shared history) if it does not exist yet.
+ * If another run moves or creates the branch in the meantime, the commit is rebuilt on its new head.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} path - File path within the repository
+ * @param {Buffer} content - File content
+ * @param {string} message - Commit message
+ * @param {string} githubToken - GitHub API token
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function commitFileToBranch(
+  owner,
+  repo,
+  branch,
+  path,
+  content,
+  message,
+  githubToken
+) {
+  const baseUrl = `https://api.github.com/repos/${owner}/${repo}/git`;
+  const headers = getGithubHeaders(githubToken);
+
+  const blobResponse = await http.post(
+    `${baseUrl}/blobs`,
+    { content: Buffer.from(content).toString("base64"), encoding: "base64" },
+    { headers }
+  );
+
+  for (let attempt = 1; ; attempt++) {
+    const headSha = await fetchBranchHeadSha(owner, repo, branch, githubToken);
+    const commitSha = await createFileCommit(
+      baseUrl,
+      headers,
+      headSha,
+      { path, sha: blobResponse.data.sha },
+      message
+    );
+
+    try {
+      if (headSha) {
+        await http.patch(
+          `${baseUrl}/refs/heads/${branch}`,
+          { sha: commitSha },
+          { headers }
+        );
+      } else {
+        await http.post(
+          `${baseUrl}/refs`,
+          { ref: `refs/heads/${branch}`, sha: commitSha },
+          { headers }
+        );
+      }
+      return commitSha;
+    } catch (error) {
+      // 422: the update is not a fast-forward, or the branch was created by another run
+      const isConflict = error.response && error.response.status === 422;
+      if (!isConflict || attempt >= MAX_BRANCH_COMMIT_ATTEMPTS) throw error;
+
+      console.log(
+        `Branch ${branch} changed while storing ${path}, retrying on its new head (attempt ${attempt}/${MAX_BRANCH_COMMIT_ATTEMPTS - 1})`
+      );
+    }
+  }
+}
+
+/**
+ * Creates a commit that adds a file on top of a branch head
+ * @param {string} baseUrl - Git data API URL of the repository
+ * @param {Object} headers - Headers from getGithubHeaders
+ * @param {string|null} headSha - Commit the branch points to (null for a new orphan branch)
+ * @param {{path: string, sha: string}} file - File path and blob SHA
+ * @param {string} message - Commit message
+ * @returns {Promise<string>} SHA of the new commit
+ */
+async function createFileCommit(baseUrl, headers, headSha, file, message) {
+  let baseTreeSha;
+  if (headSha) {
+    const headCommit = await http.get(`${baseUrl}/commits/${headSha}`, {
+      headers,
+    });
+    baseTreeSha = headCommit.data.tree.sha;
+  }
+
+  const treeResponse = await http.post(
+    `${baseUrl}/trees`,
+    {
+      ...(baseTreeSha && { base_tree: baseTreeSha }),
+      tree: [{ path: file.path, mode: "100644", type: "blob", sha: file.sha }],
+    },
+    { headers }
+  );
+
+  const commitResponse = await http.post(
+    `${baseUrl}/commits`,
+    {
+      message,
+      tree: treeResponse.data.sha,
+      parents: headSha ? [headSha] : [],
+    },
+    { headers }
+  );
+  return commitResponse.data.sha;
+}
+
 /**
  * Parses repository information from environment variable
  * @param {string} repoString - Repository string in format "owner/repo"
@@ -67,12 +443,14 @@ function parseRepositoryInfo(repoString) {
  * @param {Object} env - Environment variables object
  * @param {string} env.FIGMA_TOKEN - Figma API token
  * @param {string} env.GITHUB_TOKEN - GitHub API token  
- * @param {string} env.PR_NUMBER - Pull request number
  * @param {string} env.GITHUB_REPOSITORY - Repository in owner/repo format
+ * @param {string[]} [required] - Variables to require (defaults to everything the GitHub Action needs)
  * @returns {{isValid: boolean, missing: string[]}} Validation result
  */
-function validateEnvironmentVariables(env) {
-  const required = ['FIGMA_TOKEN', 'GITHUB_TOKEN', 'PR_NUMBER', 'GITHUB_REPOSITORY'];
+function validateEnvironmentVariables(
+  env,
+  required = ['FIGMA_TOKEN', 'GITHUB_TOKEN', 'GITHUB_REPOSITORY']
+) {
   const missing = required.filter(key => !env[key]);
   
   return {
@@ -82,8 +460,24 @@ function validateEnvironmentVariables(env) {
 }
 
 module.exports = {
+  getGithubHeaders,
   fetchCurrentPRBody,
   updatePRDescription,
+  fetchIssueBody,
+  updateIssueBody,
+  listIssueComments,
+  createIssueComment,
+  fetchIssueComment,
+  updateIssueComment,
+  fetchReviewComment,
+  updateReviewComment,
+  fetchPullRequestHead,
+  createCommitStatus,
+  fetchCollaboratorPermission,
+  addCommentReaction,
+  fetchBranchHeadSha,
+  fileExistsOnBranch,
+  commitFileToBranch,
   parseRepositoryInfo,
   validateEnvironmentVariables
 };
\ No newline at end of file
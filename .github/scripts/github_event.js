@@ -0,0 +1,236 @@
+const fs = require("fs");
+const githubApi = require("./github_api");
+
+/**
+ * Detects which pull request, issue or comment triggered the workflow run
+ * and reads and writes its Markdown body without losing concurrent edits
+ */
+
+// Targets whose body is a comment, where specs are rendered inline instead of in a Design Specs section
+const COMMENT_TARGET_KINDS = ["issue_comment", "review_comment"];
+
+// How often processing is repeated when the body keeps being edited while it runs
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Determines what to process from a workflow event payload
+ * @param {Object} payload - Event payload (the JSON file at GITHUB_EVENT_PATH)
+ * @returns {{kind: string, number: number, commentId: number|null}|null} Target, or null for events without a body to process
+ */
+function getEventTarget(payload) {
+  // pull_request_review_comment events carry both the comment and its pull request
+  if (payload.comment && payload.pull_request) {
+    return {
+      kind: "review_comment",
+      number: payload.pull_request.number,
+      commentId: payload.comment.id,
+    };
+  }
+  if (payload.comment && payload.issue) {
+    return {
+      kind: "issue_comment",
+      number: payload.issue.number,
+      commentId: payload.comment.id,
+    };
+  }
+  if (payload.pull_request) {
+    return {
+      kind: "pull_request",
+      number: payload.pull_request.number,
+      commentId: null,
+    };
+  }
+  if (payload.issue) {
+    return { kind: "issue", number: payload.issue.number, commentId: null };
+  }
+  return null;
+}
+
+/**
+ * Reads the event payload of the current run
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.GITHUB_EVENT_PATH] - Path of the event payload written by GitHub Actions
+ * @returns {Object|null} Event payload, or null outside GitHub Actions
+ */
+function readEventPayload(env) {
+  if (!env.GITHUB_EVENT_PATH || !fs.existsSync(env.GITHUB_EVENT_PATH)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(env.GITHUB_EVENT_PATH, "utf8"));
+}
+
+/**
+ * Reads the target of the current run from the event payload, falling back to PR_NUMBER
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.GITHUB_EVENT_PATH] - Path of the event payload written by GitHub Actions
+ * @param {string} [env.PR_NUMBER] - Pull request number, used when there is no event payload
+ * @returns {{kind: string, number: number, commentId: number|null}} Target
+ * @throws {Error} If the event is not supported or there is nothing to process
+ */
+function loadEventTarget(env) {
+  const payload = readEventPayload(env);
+  if (payload) {
+    const target = getEventTarget(payload);
+    if (!target) {
+      throw new Error(
+        "Unsupported event. Expected a pull_request, issues, issue_comment or pull_request_review_comment event."
+      );
+    }
+    return target;
+  }
+
+  if (env.PR_NUMBER) {
+    return { kind: "pull_request", number: env.PR_NUMBER, commentId: null };
+  }
+  throw new Error(
+    "Could not determine what to process: GITHUB_EVENT_PATH and PR_NUMBER are not set"
+  );
+}
+
+/**
+ * Checks whether a target's body is a comment
+ * @param {{kind: string}} target - Target from loadEventTarget
+ * @returns {boolean} True for issue and review comments
+ */
+function isCommentTarget(target) {
+  return COMMENT_TARGET_KINDS.includes(target.kind);
+}
+
+/**
+ * Describes a target for log messages
+ * @param {{kind: string, number: number, commentId: number|null}} target - Target from loadEventTarget
+ * @returns {string} e.g. "PR #12" or "comment 345 on #12"
+ */
+function describeTarget(target) {
+  if (isCommentTarget(target)) {
+    return `comment ${target.commentId} on #${target.number}`;
+  }
+  return `${target.kind === "issue" ? "issue" : "PR"} #${target.number}`;
+}
+
+/**
+ * Creates functions to read and update the Markdown body of a target
+ * @param {{kind: string, number: number, commentId: number|null}} target - Target from loadEventTarget
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} githubToken - GitHub API token
+ * @returns {{fetchBody: function(): Promise<string>, updateBody: function(string): Promise<number>}} Body accessors
+ */
+function createBodyAccessors(target, owner, repo, githubToken) {
+  const { number, commentId } = target;
+
+  switch (target.kind) {
+    case "issue":
+      return {
+        fetchBody: () =>
+          githubApi.fetchIssueBody(owner, repo, number, githubToken),
+        updateBody: (body) =>
+          githubApi.updateIssueBody(owner, repo, number, body, githubToken),
+      };
+    case "issue_comment":
+      return {
+        fetchBody: () =>
+          githubApi.fetchIssueComment(owner, repo, commentId, githubToken),
+        updateBody: (body) =>
+          githubApi.updateIssueComment(
+            owner,
+            repo,
+            commentId,
+            body,
+            githubToken
+          ),
+      };
+    case "review_comment":
+      return {
+        fetchBody: () =>
+          githubApi.fetchReviewComment(owner, repo, commentId, githubToken),
+        updateBody: (body) =>
+          githubApi.updateReviewComment(
+            owner,
+            repo,
+            commentId,
+            body,
+            githubToken
+          ),
+      };
+    default:
+      return {
+        fetchBody: () =>
+          githubApi.fetchCurrentPRBody(owner, repo, number, githubToken),
+        updateBody: (body) =>
+          githubApi.updatePRDescription(owner, repo, number, body, githubToken),
+      };
+  }
+}
+
+/**
+ * Repeats an update attempt until it gets through without a concurrent edit
+ * @param {function(number): Promise<boolean>} attempt - Processes the latest content and writes the result, or resolves false without writing if the content changed in the meantime
+ * @param {number} [maxAttempts] - Maximum number of attempts
+ * @returns {Promise<void>}
+ * @throws {Error} If every attempt ran into a concurrent edit
+ */
+async function retryOnConcurrentEdit(
+  attempt,
+  maxAttempts = MAX_UPDATE_ATTEMPTS
+) {
+  for (let attemptNumber = 1; attemptNumber <= maxAttempts; attemptNumber++) {
+    if (await attempt(attemptNumber)) return;
+    console.log(
+      `Content was edited while it was being processed (attempt ${attemptNumber}/${maxAttempts}), processing the latest version again`
+    );
+  }
+
+  throw new Error(
+    `Content kept changing while it was being processed. Gave up after ${maxAttempts} attempts without overwriting it.`
+  );
+}
+
+/**
+ * Transforms the latest body and writes the result. The body is fetched again right before writing,
+ * and if it was edited in the meantime the transform is re-run on the edited body, so edits made
+ * while the transform ran are never overwritten.
+ * @param {{fetchBody: function(): Promise<string>, updateBody: function(string, string): Promise<*>}} accessors - Reads the body, and writes a new body given the body it was computed from
+ * @param {function(string): Promise<string>} transform - Computes the updated body
+ * @param {number} [maxAttempts] - Maximum number of attempts
+ * @returns {Promise<{updated: boolean, body: string}>} Whether the body was written, and the final body
+ */
+async function updateLatestBody(
+  { fetchBody, updateBody },
+  transform,
+  maxAttempts = MAX_UPDATE_ATTEMPTS
+) {
+  let body = await fetchBody();
+  let result = { updated: false, body };
+
+  await retryOnConcurrentEdit(async () => {
+    const updatedBody = await transform(body);
+    if (updatedBody === body) {
+      result = { updated: false, body };
+      return true;
+    }
+
+    const latestBody = await fetchBody();
+    if (latestBody !== body) {
+      body = latestBody;
+      return false;
+    }
+
+    await updateBody(updatedBody, body);
+    result = { updated: true, body: updatedBody };
+    return true;
+  }, maxAttempts);
+
+  return result;
+}
+
+module.exports = {
+  getEventTarget,
+  readEventPayload,
+  loadEventTarget,
+  isCommentTarget,
+  describeTarget,
+  createBodyAccessors,
+  retryOnConcurrentEdit,
+  updateLatestBody,
+};
@@ -0,0 +1,201 @@
+const axios = require("axios");
+
+/**
+ * Shared HTTP layer for Figma and GitHub requests with timeouts,
+ * exponential backoff and rate-limit handling
+ */
+
+const DEFAULT_HTTP_OPTIONS = {
+  timeoutMs: 30000, // per-request timeout
+  maxRetries: 4, // retries after the first attempt
+  baseDelayMs: 1000, // first backoff delay, doubled on every retry
+  maxDelayMs: 60000, // cap for a single backoff delay
+  maxTotalWaitMs: 120000, // cap for all backoff delays of a run combined
+};
+
+let httpOptions = { ...DEFAULT_HTTP_OPTIONS };
+let totalWaitMs = 0;
+let sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Configures the shared HTTP layer and resets the run's wait budget
+ * @param {Object} [options] - Overrides for DEFAULT_HTTP_OPTIONS
+ * @param {function(number): Promise<void>} [options.sleep] - Replaces the delay function (for tests)
+ */
+function configureHttp(options = {}) {
+  const { sleep: sleepOverride, ...overrides } = options;
+  httpOptions = { ...DEFAULT_HTTP_OPTIONS, ...overrides };
+  totalWaitMs = 0;
+  if (sleepOverride) sleep = sleepOverride;
+}
+
+/**
+ * Reads HTTP settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.HTTP_TIMEOUT_MS] - Per-request timeout in milliseconds
+ * @param {string} [env.HTTP_MAX_RETRIES] - Maximum retries per request
+ * @param {string} [env.HTTP_MAX_TOTAL_WAIT_MS] - Maximum time spent waiting between retries per run
+ * @returns {Object} HTTP options for configureHttp (only the ones that are set)
+ */
+function getHttpOptionsFromEnv(env) {
+  const options = {};
+  const numericSettings = {
+    timeoutMs: env.HTTP_TIMEOUT_MS,
+    maxRetries: env.HTTP_MAX_RETRIES,
+    maxTotalWaitMs: env.HTTP_MAX_TOTAL_WAIT_MS,
+  };
+
+  for (const [key, value] of Object.entries(numericSettings)) {
+    if (value === undefined || value === "") continue;
+
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 0) {
+      throw new Error(`Invalid HTTP setting ${key}: "${value}"`);
+    }
+    options[key] = parsed;
+  }
+
+  return options;
+}
+
+// Methods that are safe to send again when it is unknown whether the first attempt was applied
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+/**
+ * Checks whether a failed request is worth retrying.
+ * Requests that write (POST, PATCH) are only retried when they were certainly not applied,
+ * so a timeout after the server already created a comment does not create it twice.
+ * @param {Error} error - Axios error
+ * @param {string} [method] - HTTP method of the request
+ * @returns {boolean} True for 429 and GitHub rate-limit 403s, and for network errors, timeouts and 5xx of idempotent requests
+ */
+function isRetryableError(error, method = "get") {
+  const isIdempotent = IDEMPOTENT_METHODS.includes(method.toLowerCase());
+  if (!error.response) return isIdempotent; // network error or timeout
+
+  const { status, headers = {} } = error.response;
+  if (status === 429) return true;
+  if (status >= 500) return isIdempotent;
+
+  // GitHub reports exhausted primary and secondary rate limits as 403
+  return (
+    status === 403 &&
+    (headers["x-ratelimit-remaining"] === "0" ||
+      headers["retry-after"] !== undefined)
+  );
+}
+
+/**
+ * Determines how long to wait before retrying a failed request.
+ * Honors Retry-After and GitHub's x-ratelimit-reset, otherwise backs off exponentially.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(error, attempt, now = Date.now()) {
+  const headers = (error.response && error.response.headers) || {};
+
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const retryAt = Date.parse(retryAfter);
+    if (!isNaN(retryAt)) return Math.max(0, retryAt - now);
+  }
+
+  if (
+    headers["x-ratelimit-remaining"] === "0" &&
+    headers["x-ratelimit-reset"] !== undefined
+  ) {
+    const resetAt = Number(headers["x-ratelimit-reset"]) * 1000;
+    if (!isNaN(resetAt)) return Math.max(0, resetAt - now);
+  }
+
+  const backoff = httpOptions.baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * httpOptions.baseDelayMs;
+  return Math.min(httpOptions.maxDelayMs, backoff + jitter);
+}
+
+/**
+ * Sends a request, retrying transient failures until maxRetries or the run's wait budget is exhausted
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+async function request(config) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await axios.request({ timeout: httpOptions.timeoutMs, ...config });
+    } catch (error) {
+      if (
+        !isRetryableError(error, config.method) ||
+        attempt >= httpOptions.maxRetries
+      ) {
+        throw error;
+      }
+
+      const delayMs = Math.round(getRetryDelayMs(error, attempt));
+      if (totalWaitMs + delayMs > httpOptions.maxTotalWaitMs) {
+        error.message = `${error.message} (retry wait budget of ${httpOptions.maxTotalWaitMs}ms exhausted)`;
+        throw error;
+      }
+
+      const reason = error.response
+        ? `status ${error.response.status}`
+        : error.code || error.message;
+      console.log(
+        `Request to ${config.url} failed (${reason}), retrying in ${delayMs}ms (attempt ${
+          attempt + 1
+        }/${httpOptions.maxRetries})`
+      );
+
+      totalWaitMs += delayMs;
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Sends a GET request
+ * @param {string} url - Request URL
+ * @param {Object} [config] - Additional axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function get(url, config = {}) {
+  return request({ ...config, method: "get", url });
+}
+
+/**
+ * Sends a POST request
+ * @param {string} url - Request URL
+ * @param {Object} data - Request body
+ * @param {Object} [config] - Additional axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function post(url, data, config = {}) {
+  return request({ ...config, method: "post", url, data });
+}
+
+/**
+ * Sends a PATCH request
+ * @param {string} url - Request URL
+ * @param {Object} data - Request body
+ * @param {Object} [config] - Additional axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+function patch(url, data, config = {}) {
+  return request({ ...config, method: "patch", url, data });
+}
+
+module.exports = {
+  DEFAULT_HTTP_OPTIONS,
+  configureHttp,
+  getHttpOptionsFromEnv,
+  isRetryableError,
+  getRetryDelayMs,
+  request,
+  get,
+  post,
+  patch,
+};
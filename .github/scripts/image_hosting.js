@@ -0,0 +1,137 @@
+const figmaApi = require("./figma_api");
+const githubApi = require("./github_api");
+const { DEFAULT_CONFIG } = require("./config");
+
+/**
+ * Permanent preview image hosting on a dedicated branch of the repository
+ */
+
+const DEFAULT_IMAGE_BRANCH = "figma-previews";
+const DEFAULT_IMAGE_PATH = "previews";
+
+/**
+ * Reads image hosting settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.IMAGE_HOSTING] - "figma" (temporary Figma URLs, default) or "branch"
+ * @param {string} [env.IMAGE_BRANCH] - Branch that stores the preview images
+ * @param {string} [env.IMAGE_PATH] - Directory within the branch for preview images
+ * @returns {{mode: string, branch: string, path: string}} Image hosting options
+ */
+function getImageHostingOptions(env) {
+  const mode = env.IMAGE_HOSTING || "figma";
+  if (mode !== "figma" && mode !== "branch") {
+    throw new Error(
+      `Invalid IMAGE_HOSTING "${mode}". Expected "figma" or "branch".`
+    );
+  }
+
+  return {
+    mode,
+    branch: env.IMAGE_BRANCH || DEFAULT_IMAGE_BRANCH,
+    path: (env.IMAGE_PATH || DEFAULT_IMAGE_PATH).replace(/^\/+|\/+$/g, ""),
+  };
+}
+
+/**
+ * Builds the storage path for a rendered node snapshot, keyed by file, node, version and export settings
+ * @param {string} basePath - Directory within the branch
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID (in colon format)
+ * @param {string} versionId - Figma version ID
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [imageOptions] - Export settings of the image
+ * @returns {string} File path within the branch
+ */
+function createImagePath(
+  basePath,
+  fileId,
+  nodeId,
+  versionId,
+  imageOptions = DEFAULT_CONFIG.image
+) {
+  const safeNodeId = nodeId.replace(/[^A-Za-z0-9_-]/g, "-");
+  const scaleSuffix = imageOptions.scale !== 1 ? `@${imageOptions.scale}x` : "";
+  const boundsSuffix = imageOptions.useAbsoluteBounds ? "-bounds" : "";
+  const fileName = `${fileId}/${safeNodeId}/${versionId}${scaleSuffix}${boundsSuffix}.${imageOptions.format}`;
+  return basePath ? `${basePath}/${fileName}` : fileName;
+}
+
+/**
+ * Creates a stable URL for a file stored on a branch. The URL resolves for anyone who can read the repository.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {string} path - File path within the branch
+ * @returns {string} Raw file URL
+ */
+function createRawFileUrl(owner, repo, branch, path) {
+  return `https://github.com/${owner}/${repo}/raw/${branch}/${path}`;
+}
+
+/**
+ * Creates an image store that commits preview images to a branch and returns stable URLs
+ * @param {{owner: string, repo: string, branch: string, path: string, githubToken: string}} options - Store settings
+ * @returns {{getImageUrl: function(string, string, string, function(): Promise<string>, Object): Promise<string>}} Image store
+ */
+function createBranchImageStore({ owner, repo, branch, path, githubToken }) {
+  /**
+   * Returns the permanent URL of a node snapshot, uploading it first if it is not stored yet
+   * @param {string} fileId - Figma file ID
+   * @param {string} nodeId - Figma node ID (in colon format)
+   * @param {string} versionId - Figma version ID
+   * @param {function(): Promise<string>} renderImage - Fetches a temporary Figma image URL for the snapshot
+   * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [imageOptions] - Export settings of the image
+   * @returns {Promise<string>} Permanent image URL
+   */
+  async function getImageUrl(
+    fileId,
+    nodeId,
+    versionId,
+    renderImage,
+    imageOptions = DEFAULT_CONFIG.image
+  ) {
+    const imagePath = createImagePath(
+      path,
+      fileId,
+      nodeId,
+      versionId,
+      imageOptions
+    );
+    const imageUrl = createRawFileUrl(owner, repo, branch, imagePath);
+
+    const exists = await githubApi.fileExistsOnBranch(
+      owner,
+      repo,
+      branch,
+      imagePath,
+      githubToken
+    );
+    if (exists) {
+      console.log(`Reusing stored preview image: ${imagePath}`);
+      return imageUrl;
+    }
+
+    const figmaImageUrl = await renderImage();
+    const imageData = await figmaApi.downloadImageData(figmaImageUrl);
+    await githubApi.commitFileToBranch(
+      owner,
+      repo,
+      branch,
+      imagePath,
+      imageData,
+      `Add Figma preview ${fileId} ${nodeId} @ ${versionId}`,
+      githubToken
+    );
+    console.log(`Stored preview image on ${branch}: ${imagePath}`);
+
+    return imageUrl;
+  }
+
+  return { getImageUrl };
+}
+
+module.exports = {
+  getImageHostingOptions,
+  createImagePath,
+  createRawFileUrl,
+  createBranchImageStore,
+};
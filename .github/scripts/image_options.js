@@ -0,0 +1,142 @@
+/**
+ * Image export options (format, scale, absolute bounds) and their per-link overrides.
+ * Overrides are extra query parameters on a Figma link, e.g. "&fpi-scale=2".
+ */
+
+const IMAGE_FORMATS = ["png", "jpg", "svg", "pdf"];
+const MIN_IMAGE_SCALE = 0.01;
+const MAX_IMAGE_SCALE = 4;
+
+// Formats GitHub can show in an <img>; the rest are linked instead
+const INLINE_IMAGE_FORMATS = ["png", "jpg", "svg"];
+
+// Override query parameters mapped to the image option they set
+const OVERRIDE_PARAMS = {
+  "fpi-format": "format",
+  "fpi-scale": "scale",
+  "fpi-use-absolute-bounds": "useAbsoluteBounds",
+};
+
+/**
+ * Reads per-link image option overrides from query parameters
+ * @param {URLSearchParams} searchParams - Query parameters of a Figma link (or of a spec's stored overrides)
+ * @returns {{format?: string, scale?: number, useAbsoluteBounds?: boolean}} Overrides that are present
+ * @throws {Error} If an override has an invalid value
+ */
+function parseImageOverrides(searchParams) {
+  const overrides = {};
+
+  for (const [param, option] of Object.entries(OVERRIDE_PARAMS)) {
+    const value = searchParams.get(param);
+    if (value === null) continue;
+
+    if (option === "format") {
+      if (!IMAGE_FORMATS.includes(value)) {
+        throw new Error(
+          `Invalid ${param} "${value}": expected one of ${IMAGE_FORMATS.join(", ")}`
+        );
+      }
+      overrides.format = value;
+    } else if (option === "scale") {
+      const scale = Number(value);
+      if (!isValidScale(scale) || value.trim() === "") {
+        throw new Error(
+          `Invalid ${param} "${value}": expected a number from ${MIN_IMAGE_SCALE} to ${MAX_IMAGE_SCALE}`
+        );
+      }
+      overrides.scale = scale;
+    } else {
+      if (value !== "true" && value !== "false") {
+        throw new Error(`Invalid ${param} "${value}": expected true or false`);
+      }
+      overrides.useAbsoluteBounds = value === "true";
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Reads per-link image option overrides from a Figma URL
+ * @param {string} url - Figma URL as pasted by the author
+ * @returns {{format?: string, scale?: number, useAbsoluteBounds?: boolean}} Overrides that are present
+ * @throws {Error} If an override has an invalid value
+ */
+function parseImageOverridesFromUrl(url) {
+  return parseImageOverrides(new URL(url).searchParams);
+}
+
+/**
+ * Serializes overrides back into query parameters so they can be stored with a spec
+ * @param {{format?: string, scale?: number, useAbsoluteBounds?: boolean}} overrides - Image option overrides
+ * @returns {string} Query string without leading "?" (empty if there are no overrides)
+ */
+function formatImageOverrides(overrides) {
+  return Object.entries(OVERRIDE_PARAMS)
+    .filter(([, option]) => overrides[option] !== undefined)
+    .map(([param, option]) => `${param}=${overrides[option]}`)
+    .join("&");
+}
+
+/**
+ * Checks whether a scale is within the range the Figma images API accepts
+ * @param {number} scale - Image scale
+ * @returns {boolean} True if valid
+ */
+function isValidScale(scale) {
+  return (
+    typeof scale === "number" &&
+    scale >= MIN_IMAGE_SCALE &&
+    scale <= MAX_IMAGE_SCALE
+  );
+}
+
+/**
+ * Builds the Figma images API query parameters for a set of image options
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} imageOptions - Image options
+ * @returns {string} Query parameters starting with "&format="
+ */
+function createImageQueryParams(imageOptions) {
+  const scaleParam =
+    imageOptions.scale !== 1 ? `&scale=${imageOptions.scale}` : "";
+  const boundsParam = imageOptions.useAbsoluteBounds
+    ? "&use_absolute_bounds=true"
+    : "";
+  return `&format=${imageOptions.format}${scaleParam}${boundsParam}`;
+}
+
+/**
+ * Creates a stable key that identifies a set of image options (for caching and batching)
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} imageOptions - Image options
+ * @returns {string} Options key
+ */
+function getImageOptionsKey(imageOptions) {
+  return `${imageOptions.format}@${imageOptions.scale}x${
+    imageOptions.useAbsoluteBounds ? "-bounds" : ""
+  }`;
+}
+
+/**
+ * Checks whether images in this format can be shown inline on GitHub
+ * @param {string} format - Image format
+ * @param {boolean} [isRawFile] - Whether the image is served from a repository branch
+ * @returns {boolean} True for formats that render in an <img>
+ */
+function isInlineImageFormat(format, isRawFile = false) {
+  // GitHub serves raw SVG files as text/plain, which its image proxy won't display
+  if (isRawFile && format === "svg") return false;
+  return INLINE_IMAGE_FORMATS.includes(format);
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  MIN_IMAGE_SCALE,
+  MAX_IMAGE_SCALE,
+  parseImageOverrides,
+  parseImageOverridesFromUrl,
+  formatImageOverrides,
+  isValidScale,
+  createImageQueryParams,
+  getImageOptionsKey,
+  isInlineImageFormat,
+};
@@ -0,0 +1,364 @@
+const MarkdownIt = require("markdown-it");
+
+/**
+ * Finds the links in Markdown with the position where each occurs, so a link can be replaced exactly
+ * where it is. Parsing is left to markdown-it, so code, HTML blocks, inline code, HTML comments and the
+ * attributes of other HTML tags never yield links. markdown-it reports the lines of each block; the
+ * rules that create links are wrapped to record where each link starts and ends within its block.
+ */
+
+// Any URL outside link syntax, used when no other pattern is given
+const BARE_URL_REGEX = /https?:\/\/[^\s<>]+/;
+
+// Example input: "<a href=\"https://www.figma.com/design/abc123/Homepage?node-id=1-2\">"
+// Example output: Match with group [1], [2] or [3]=the URL (by quote style)
+const HTML_LINK_OPEN_REGEX =
+  /^<a\s[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))[^>]*>$/i;
+
+// Example input: "</a>"
+const HTML_LINK_CLOSE_REGEX = /^<\/a\s*>$/i;
+
+// Line breaks as markdown-it normalizes them
+const LINE_BREAK_REGEX = /\r\n|\r|\n/g;
+
+/**
+ * Returns one of markdown-it's built-in rules, so it can be wrapped
+ * @param {string} parser - "block" or "inline"
+ * @param {string} name - Rule name
+ * @returns {Function} Rule function
+ */
+function getBuiltInRule(parser, name) {
+  const md = new MarkdownIt();
+  md[parser].ruler.enableOnly([name]);
+  return md[parser].ruler.getRules("")[0];
+}
+
+/**
+ * Wraps an inline rule to store the range of source text each link it creates was parsed from
+ * in the link token's meta. Positions are relative to the content of the block.
+ * @param {string} name - Name of the rule ("link", "image", "autolink", "linkify" or "html_inline")
+ * @param {string} tokenType - Type of the token that starts the link
+ * @returns {Function} Inline rule
+ */
+function recordInlineRange(name, tokenType) {
+  const rule = getBuiltInRule("inline", name);
+
+  return (state, silent) => {
+    const start = state.pos;
+    const pendingLength = state.pending.length;
+    const firstToken = state.tokens.length;
+    const matched = rule(state, silent);
+    if (!matched || silent) return matched;
+
+    const tokenIndex = state.tokens.findIndex(
+      (token, index) => index >= firstToken && token.type === tokenType
+    );
+    if (tokenIndex === -1) return true;
+
+    // linkify takes the URL scheme back from the pending text, which is flushed before the link
+    const flushedLength =
+      tokenIndex > firstToken ? state.tokens[firstToken].content.length : 0;
+    const range = {
+      start: name === "linkify" ? start - (pendingLength - flushedLength) : start,
+      end: state.pos,
+    };
+    if (name === "link" || name === "image") {
+      const labelStart = name === "image" ? start + 1 : start;
+      range.labelEnd = state.md.helpers.parseLinkLabel(
+        state,
+        labelStart,
+        name === "link"
+      );
+    }
+    state.tokens[tokenIndex].meta = { ...state.tokens[tokenIndex].meta, range };
+    return true;
+  };
+}
+
+/**
+ * Wraps the reference definition rule to store the lines of each definition, keyed by its label
+ * @returns {Function} Block rule
+ */
+function recordDefinitionLines() {
+  const rule = getBuiltInRule("block", "reference");
+
+  return (state, startLine, endLine, silent) => {
+    const known = new Set(Object.keys(state.env.references || {}));
+    if (!rule(state, startLine, endLine, silent)) return false;
+
+    if (!silent) {
+      for (const label of Object.keys(state.env.references || {})) {
+        if (!known.has(label)) {
+          state.env.definitionLines[label] = [startLine, state.line];
+        }
+      }
+    }
+    return true;
+  };
+}
+
+const md = new MarkdownIt({ html: true, linkify: true });
+// Links without a scheme (www.example.com, emails) are only found after parsing, without a position
+md.core.ruler.disable("linkify");
+md.inline.ruler.at("link", recordInlineRange("link", "link_open"));
+md.inline.ruler.at("image", recordInlineRange("image", "image"));
+md.inline.ruler.at("autolink", recordInlineRange("autolink", "link_open"));
+md.inline.ruler.at("linkify", recordInlineRange("linkify", "link_open"));
+md.inline.ruler.at(
+  "html_inline",
+  recordInlineRange("html_inline", "html_inline")
+);
+md.block.ruler.at("reference", recordDefinitionLines());
+
+/**
+ * Parses Markdown content into its links and reference definitions
+ * @param {string} content - Markdown content
+ * @param {RegExp} bareUrlRegex - Pattern for URLs outside link syntax
+ * @returns {{links: Array<Object>, definitionRanges: Object<string, [number, number]>}} Links in document order,
+ * and the start and end position of the lines of each reference definition, keyed by normalized label
+ */
+function parseMarkdown(content, bareUrlRegex) {
+  const env = { definitionLines: {} };
+  const tokens = md.parse(content, env);
+  const lineStarts = [0];
+  for (const match of content.matchAll(LINE_BREAK_REGEX)) {
+    lineStarts.push(match.index + match[0].length);
+  }
+  lineStarts.push(content.length);
+
+  // Table cells share a line, so each line is searched from where its previous cell ended
+  const lineCursors = new Map();
+  const links = [];
+  // Table cells carry no lines of their own, only the row they are in does
+  let rowLine = null;
+  for (const token of tokens) {
+    if (token.type === "tr_open") rowLine = token.map[0];
+    if (token.type !== "inline") continue;
+
+    const firstLine = token.map ? token.map[0] : rowLine;
+    if (firstLine === null) continue;
+    const toSource = createSourceMap(
+      content,
+      lineStarts,
+      lineCursors,
+      token.content,
+      firstLine
+    );
+    if (!toSource) continue;
+    for (const link of findInlineLinks(token, env, bareUrlRegex)) {
+      links.push({
+        ...link,
+        start: toSource(link.start),
+        end: toSource(link.end),
+      });
+    }
+  }
+
+  const definitionRanges = {};
+  for (const [label, [startLine, endLine]] of Object.entries(
+    env.definitionLines
+  )) {
+    definitionRanges[label] = [
+      lineStarts[startLine],
+      lineStarts[Math.min(endLine, lineStarts.length - 1)],
+    ];
+  }
+  return { links, definitionRanges };
+}
+
+/**
+ * Maps positions in the content of an inline token back to the source. Each line of the content
+ * is the text of one source line, without the indentation and markers of its containers.
+ * @param {string} content - Markdown source
+ * @param {number[]} lineStarts - Position of each source line
+ * @param {Map<number, number>} lineCursors - Where the previous inline token on each line ended
+ * @param {string} inlineContent - Content of the inline token
+ * @param {number} firstLine - Source line the content starts on
+ * @returns {function(number): number|null} Maps a content position to a source position, or null if the lines could not be matched
+ */
+function createSourceMap(
+  content,
+  lineStarts,
+  lineCursors,
+  inlineContent,
+  firstLine
+) {
+  const contentLineStarts = [];
+  const sourceLineStarts = [];
+  let contentPosition = 0;
+
+  for (const [index, text] of inlineContent.split("\n").entries()) {
+    const line = firstLine + index;
+    const lineText = content.slice(lineStarts[line], lineStarts[line + 1]);
+    const column = lineText.indexOf(text, lineCursors.get(line) || 0);
+    if (column === -1) return null;
+
+    lineCursors.set(line, column + text.length);
+    contentLineStarts.push(contentPosition);
+    sourceLineStarts.push(lineStarts[line] + column);
+    contentPosition += text.length + 1;
+  }
+
+  return (position) => {
+    let index = contentLineStarts.length - 1;
+    while (contentLineStarts[index] > position) index--;
+    return sourceLineStarts[index] + position - contentLineStarts[index];
+  };
+}
+
+/**
+ * Finds the links of an inline token from the ranges its rules recorded. Links nested in another link are skipped.
+ * @param {Object} token - Inline token
+ * @param {Object} env - Parser environment with the reference definitions
+ * @param {RegExp} bareUrlRegex - Pattern for URLs outside link syntax
+ * @returns {Array<Object>} Links with positions relative to the token's content
+ */
+function findInlineLinks(token, env, bareUrlRegex) {
+  const src = token.content;
+  const children = token.children || [];
+  const links = [];
+  let lastEnd = -1;
+
+  for (const [index, child] of children.entries()) {
+    const range = child.meta && child.meta.range;
+    if (!range || range.start < lastEnd) continue;
+
+    let link = null;
+    if (
+      child.type === "image" ||
+      (child.type === "link_open" && child.markup === "")
+    ) {
+      link = createBracketLink(child, range, src);
+    } else if (child.markup === "autolink") {
+      link = { kind: "autolink", ...range, url: child.attrGet("href") };
+    } else if (child.markup === "linkify") {
+      const bareUrl = new RegExp(bareUrlRegex.source, "y");
+      const match = bareUrl.exec(src.slice(range.start, range.end));
+      if (match && match[0]) {
+        link = {
+          kind: "bare",
+          start: range.start,
+          end: range.start + match[0].length,
+          url: match[0],
+        };
+      }
+    } else if (child.type === "html_inline") {
+      link = createHtmlLink(children, index, src);
+    }
+
+    if (link) {
+      links.push({ text: null, ...link });
+      lastEnd = link.end;
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Creates a link from an inline link, image or reference link
+ * @param {Object} token - link_open or image token
+ * @param {{start: number, end: number, labelEnd: number}} range - Source range of the link and the end of its text
+ * @param {string} src - Content of the inline token
+ * @returns {{kind: string, start: number, end: number, url: string, text: string, label: string|null}} Link, with the
+ * normalized label of the reference definition it uses (null for inline links)
+ */
+function createBracketLink(token, range, src) {
+  const isImage = token.type === "image";
+  const text = src.slice(range.start + (isImage ? 2 : 1), range.labelEnd);
+  const destination = src.slice(range.labelEnd + 1, range.end);
+  const isInline = destination.startsWith("(");
+
+  let label = null;
+  if (!isInline) {
+    label = md.utils.normalizeReference(
+      destination.length > 2 ? destination.slice(1, -1) : text
+    );
+  }
+
+  return {
+    kind: isImage ? "image" : isInline ? "inline" : "reference",
+    start: range.start,
+    end: range.end,
+    url: token.attrGet(isImage ? "src" : "href"),
+    text,
+    label,
+  };
+}
+
+/**
+ * Creates a link from an HTML <a> tag and its closing tag
+ * @param {Array<Object>} children - Tokens of the inline content
+ * @param {number} index - Index of the opening tag's token
+ * @param {string} src - Content of the inline token
+ * @returns {{kind: string, start: number, end: number, url: string, text: string} | null} Link, or null if the tag is not a link
+ */
+function createHtmlLink(children, index, src) {
+  const open = children[index];
+  const href = open.content.match(HTML_LINK_OPEN_REGEX);
+  if (!href) return null;
+
+  const close = children
+    .slice(index + 1)
+    .find(
+      (token) =>
+        token.type === "html_inline" &&
+        token.meta &&
+        HTML_LINK_CLOSE_REGEX.test(token.content)
+    );
+  if (!close) return null;
+
+  return {
+    kind: "html",
+    start: open.meta.range.start,
+    end: close.meta.range.end,
+    url: md.utils.unescapeAll(href[1] || href[2] || href[3]),
+    text: src
+      .slice(open.meta.range.end, close.meta.range.start)
+      .replace(/<[^>]*>/g, "")
+      .trim(),
+  };
+}
+
+/**
+ * Finds all links in Markdown content, in document order
+ * @param {string} content - Markdown content
+ * @param {RegExp} [bareUrlRegex] - Pattern for URLs outside link syntax (any http(s) URL by default)
+ * @returns {Array<{kind: string, start: number, end: number, url: string, text: string|null, label?: string|null}>} Links with
+ * their position in the content. kind is "inline", "image", "reference", "autolink", "html" or "bare";
+ * text is the link text (or image alt text), null for autolinks and bare URLs. Links and images in brackets
+ * carry the normalized label of the reference definition they use (null for inline links).
+ */
+function findMarkdownLinks(content, bareUrlRegex = BARE_URL_REGEX) {
+  return parseMarkdown(content, bareUrlRegex).links;
+}
+
+/**
+ * Removes the reference definitions with the given labels that no link uses any more,
+ * e.g. after the reference links that used them were replaced
+ * @param {string} content - Markdown content
+ * @param {string[]} labels - Labels of the definitions, as written or normalized
+ * @returns {string} Content without those definitions
+ */
+function removeUnusedDefinitions(content, labels) {
+  if (labels.length === 0) return content;
+
+  const { links, definitionRanges } = parseMarkdown(content, BARE_URL_REGEX);
+  const usedLabels = new Set(links.map((link) => link.label).filter(Boolean));
+
+  // Removing from the end keeps the positions of the definitions before it valid
+  return [...new Set(labels.map(md.utils.normalizeReference))]
+    .filter((label) => definitionRanges[label] && !usedLabels.has(label))
+    .map((label) => definitionRanges[label])
+    .sort((a, b) => b[0] - a[0])
+    .reduce(
+      (updated, [start, end]) =>
+        updated.substring(0, start) + updated.substring(end),
+      content
+    );
+}
+
+module.exports = {
+  findMarkdownLinks,
+  removeUnusedDefinitions,
+};
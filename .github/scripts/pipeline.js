@@ -0,0 +1,1765 @@
+const regexPatterns = require("./regex");
+const utils = require("./util");
+const figmaApi = require("./figma_api");
+const designTokens = require("./design_tokens");
+const specParser = require("./spec_parser");
+const specMetadata = require("./spec_metadata");
+const templates = require("./template");
+const { DEFAULT_CONFIG } = require("./config");
+const imageOptions = require("./image_options");
+const runReport = require("./run_report");
+const markdownLinks = require("./markdown_links");
+
+/**
+ * Processing pipeline that turns Figma links in a Markdown body into Design Specs.
+ * Shared by the GitHub Action entry point and the local CLI.
+ */
+
+// Default number of days before expiry at which refresh mode re-renders a spec image
+const DEFAULT_REFRESH_WITHIN_DAYS = 7;
+
+// What to do with specs that are no longer referenced: keep them, move them to the archive or delete them
+const PRUNE_MODES = ["off", "archive", "remove"];
+
+// Markers around the collapsed archive of pruned specs, placed after the section end marker so its links are ignored
+const ARCHIVE_START_MARKER = "<!-- START_ARCHIVED_SPECS -->";
+const ARCHIVE_END_MARKER = "<!-- END_ARCHIVED_SPECS -->";
+
+/**
+ * Runs the full pipeline on a Markdown body: replaces Figma links with references, adds their specs
+ * to the Design Specs section, then checks existing specs for design drift and expiring images
+ * @param {string} body - Markdown body (e.g. a PR description)
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [options.imageStore] - Permanent image store (null to use temporary Figma URLs)
+ * @param {{enabled: boolean, withinDays: number}} options.refreshOptions - Refresh mode settings
+ * @param {{enabled: boolean, updateStale: boolean}} options.driftOptions - Design drift settings
+ * @param {{enabled: boolean, mode: string}} [options.pruneOptions] - Settings for specs that are no longer referenced
+ * @param {Object} [options.report] - Run report from createRunReport that records what happened to each link
+ * @param {Object} [options.config] - Repository configuration from loadConfig
+ * @returns {Promise<string>} Updated body
+ */
+async function processBody(
+  body,
+  {
+    figma,
+    imageStore = null,
+    refreshOptions,
+    driftOptions,
+    pruneOptions = { enabled: false, mode: "off" },
+    report = runReport.createRunReport(),
+    config = DEFAULT_CONFIG,
+  }
+) {
+  // Links that failed on an earlier run lose their error marker and are retried
+  body = removeLinkErrorMarkers(body);
+
+  // Analyze Design Specs section
+  const specsAnalysis = analyzeDesignSpecsSection(body, config);
+  console.log(
+    `Found ${specsAnalysis.existingSpecCount} existing Design Spec entrie(s) in Design Specs section`
+  );
+
+  // Find Figma links to process
+  const figmaLinks = findFigmaLinks(body, specsAnalysis, config);
+  if (figmaLinks.length === 0) {
+    console.log("No Figma links found to process");
+    if (
+      !refreshOptions.enabled &&
+      !driftOptions.enabled &&
+      !pruneOptions.enabled
+    ) {
+      return body;
+    }
+  }
+
+  const linksAbove = figmaLinks.filter(
+    (link) => !link.isInSpecsSection
+  ).length;
+  const linksWithin = figmaLinks.filter(
+    (link) => link.isInSpecsSection
+  ).length;
+
+  if (figmaLinks.length > 0) {
+    console.log(`Found ${figmaLinks.length} Figma link(s) to process:`);
+  }
+  if (linksAbove > 0) {
+    console.log(`  - ${linksAbove} above Design Specs section`);
+  }
+  if (linksWithin > 0) {
+    console.log(
+      `  - ${linksWithin} within Design Specs section (unprotected areas)`
+    );
+  }
+
+  // Links to nodes that already have a spec reuse it; repeated links share one new spec
+  const { specsContent, linkSpecs, createdCount } = await createLinkSpecs(
+    figmaLinks,
+    findSectionSpecs(body, config),
+    specsAnalysis.highestSpecNumber + 1,
+    { figma, imageStore, report, config }
+  );
+
+  // Replace links with reference text, and mark the links that failed
+  let updatedBody = replaceFigmaLinks(body, linkSpecs);
+
+  // Update Design Specs section
+  if (specsContent) {
+    updatedBody = updateDesignSpecsSection(
+      updatedBody,
+      specsContent,
+      specsAnalysis,
+      config
+    );
+    console.log(
+      `Added ${createdCount} design spec(s) to Design Specs section`
+    );
+  }
+  updatedBody = await recordLinkTexts(updatedBody, linkSpecs, config);
+
+  // Drop specs whose references were deleted and close the gaps they leave
+  if (pruneOptions.enabled) {
+    const pruneResult = pruneOrphanedSpecs(
+      updatedBody,
+      findReferencedSpecNumbers(updatedBody),
+      pruneOptions.mode,
+      config
+    );
+    report.prunedSpecs += pruneResult.prunedCount;
+    updatedBody = renumberSpecReferences(
+      pruneResult.body,
+      pruneResult.numbering,
+      config
+    );
+  }
+
+  return maintainExistingSpecs(updatedBody, {
+    figma,
+    imageStore,
+    refreshOptions,
+    driftOptions,
+    report,
+    config,
+  });
+}
+
+/**
+ * Runs the pipeline with specs kept out of the body: specs for the body's Figma links are added to
+ * a separate Markdown document (the specs comment), which has its own Design Specs section.
+ * Links that already have a spec in that document reuse it, so unchanged links are not snapshotted again.
+ * @param {string} body - Markdown body with the Figma links (e.g. a PR description)
+ * @param {string} specsBody - Current specs document ("" if there is none yet)
+ * @param {Object} options - Pipeline options, as for processBody
+ * @param {boolean} [options.replaceLinks] - Replace links in the body with references to their specs
+ * @returns {Promise<{body: string, specsBody: string}>} Updated body and specs document
+ */
+async function processBodyToSpecsComment(
+  body,
+  specsBody,
+  {
+    figma,
+    imageStore = null,
+    refreshOptions,
+    driftOptions,
+    pruneOptions = { enabled: false, mode: "off" },
+    replaceLinks = false,
+    report = runReport.createRunReport(),
+    config = DEFAULT_CONFIG,
+  }
+) {
+  if (replaceLinks) body = removeLinkErrorMarkers(body);
+
+  const figmaLinks = findFigmaLinks(
+    body,
+    analyzeDesignSpecsSection(body, config),
+    config
+  );
+  const specNumbers = specParser
+    .findSpecBlocks(specsBody)
+    .map((block) => block.specNumber);
+
+  const { specsContent, linkSpecs } = await createLinkSpecs(
+    figmaLinks,
+    findSectionSpecs(specsBody, config),
+    Math.max(0, ...specNumbers) + 1,
+    { figma, imageStore, report, config }
+  );
+
+  let updatedBody = replaceLinks ? replaceFigmaLinks(body, linkSpecs) : body;
+
+  let updatedSpecsBody = specsBody;
+  if (specsContent) {
+    updatedSpecsBody = updateDesignSpecsSection(
+      specsBody,
+      specsContent,
+      analyzeDesignSpecsSection(specsBody, config),
+      config
+    );
+  }
+  if (replaceLinks) {
+    updatedSpecsBody = await recordLinkTexts(
+      updatedSpecsBody,
+      linkSpecs,
+      config
+    );
+  }
+
+  // Specs are referenced by the links left in the body and, if links were replaced, by their references
+  if (pruneOptions.enabled) {
+    const referencedSpecNumbers = findReferencedSpecNumbers(updatedBody);
+    linkSpecs
+      .filter(({ specNumber }) => specNumber !== null)
+      .forEach(({ specNumber }) => referencedSpecNumbers.add(specNumber));
+
+    const pruneResult = pruneOrphanedSpecs(
+      updatedSpecsBody,
+      referencedSpecNumbers,
+      pruneOptions.mode,
+      config
+    );
+    updatedSpecsBody = pruneResult.body;
+    report.prunedSpecs += pruneResult.prunedCount;
+    updatedBody = renumberSpecReferences(
+      updatedBody,
+      pruneResult.numbering,
+      config
+    );
+  }
+
+  return {
+    body: updatedBody,
+    specsBody: await maintainExistingSpecs(updatedSpecsBody, {
+      figma,
+      imageStore,
+      refreshOptions,
+      driftOptions,
+      report,
+      config,
+    }),
+  };
+}
+
+/**
+ * Runs the pipeline on a comment, where a Design Specs section would be out of place:
+ * each Figma link is replaced in place by a compact, collapsible spec
+ * @param {string} body - Markdown comment body
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [options.imageStore] - Permanent image store (null to use temporary Figma URLs)
+ * @param {Object} [options.report] - Run report from createRunReport
+ * @param {Object} [options.config] - Repository configuration from loadConfig
+ * @returns {Promise<string>} Updated body
+ */
+async function processCommentBody(
+  body,
+  {
+    figma,
+    imageStore = null,
+    report = runReport.createRunReport(),
+    config = DEFAULT_CONFIG,
+  }
+) {
+  body = removeLinkErrorMarkers(body);
+
+  // Inline specs are protected blocks too, so links they contain are not processed again
+  const figmaLinks = findFigmaLinksInContent(body);
+  if (figmaLinks.length === 0) {
+    console.log("No Figma links found to process");
+    return body;
+  }
+  console.log(`Found ${figmaLinks.length} Figma link(s) to process`);
+
+  await prefetchLinkImages(figmaLinks, figma, config);
+
+  const inlineConfig = {
+    ...config,
+    templates: { ...config.templates, spec: templates.INLINE_SPEC_TEMPLATE },
+  };
+  const specNumbers = specParser
+    .findSpecBlocks(body)
+    .map((block) => block.specNumber);
+  let nextSpecNumber = Math.max(0, ...specNumbers) + 1;
+  const inlineSpecs = [];
+
+  for (const link of figmaLinks) {
+    let entry;
+    try {
+      const result = await processFigmaLink(
+        link,
+        nextSpecNumber,
+        figma,
+        imageStore,
+        inlineConfig
+      );
+      entry = createReportEntry(link, nextSpecNumber++, "created", result);
+      inlineSpecs.push({
+        link,
+        referenceText: `\n${result.specSnippet.trim()}\n`,
+      });
+      console.log(`Rendered inline spec for ${link.url}`);
+    } catch (error) {
+      console.error(`Error processing Figma link ${link.url}:`, error.message);
+      entry = createReportEntry(link, null, "failed", { error });
+      inlineSpecs.push({ link, referenceText: null, error: entry.error });
+    }
+    report.links.push(entry);
+  }
+
+  return replaceFigmaLinks(body, inlineSpecs);
+}
+
+/**
+ * Resolves the spec each link refers to. Links to a node that already has a spec reuse it,
+ * and repeated links to the same new node share one spec, so only genuinely new nodes are snapshotted.
+ * New spec numbers are allocated in order of first occurrence, skipping links that fail.
+ * @param {Array<Object>} figmaLinks - Links from findFigmaLinks
+ * @param {Array<Object>} existingSpecs - Parsed specs from findSectionSpecs
+ * @param {number} nextSpecNumber - Number of the first new spec
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [options.imageStore] - Permanent image store (null to use temporary Figma URLs)
+ * @param {Object} [options.report] - Run report from createRunReport
+ * @param {Object} [options.config] - Repository configuration from loadConfig
+ * @returns {Promise<{specsContent: string, linkSpecs: Array<{link: Object, specNumber: number|null, referenceText: string|null, error?: string}>, createdCount: number}>}
+ * New spec snippets, the spec and reference text of every link (or why it failed), and the number of new specs
+ */
+async function createLinkSpecs(
+  figmaLinks,
+  existingSpecs,
+  nextSpecNumber,
+  {
+    figma,
+    imageStore = null,
+    report = runReport.createRunReport(),
+    config = DEFAULT_CONFIG,
+  }
+) {
+  const newLinks = figmaLinks.filter(
+    (link) => !findMatchingSpec(link, existingSpecs)
+  );
+  const newLinkKeys = new Set(newLinks.map(getLinkKey));
+  if (figmaLinks.length > 0) {
+    console.log(
+      `${figmaLinks.length - newLinks.length} link(s) refer to existing specs, ${newLinkKeys.size} new node(s) to snapshot`
+    );
+  }
+
+  // Render all new snapshots up front with one images request per file
+  await prefetchLinkImages(newLinks, figma, config);
+
+  let specsContent = "";
+  const linkSpecs = [];
+  // Report entry of the first occurrence of each new node; failed nodes are not retried for their repeats
+  const newSpecs = new Map();
+
+  for (const link of figmaLinks) {
+    const existingSpec = findMatchingSpec(link, existingSpecs);
+    const key = getLinkKey(link);
+    let entry;
+
+    if (existingSpec) {
+      entry = createReportEntry(link, existingSpec.specNumber, "reused", {
+        versionId: existingSpec.versionId,
+      });
+    } else if (newSpecs.has(key)) {
+      const firstEntry = newSpecs.get(key);
+      entry = {
+        ...firstEntry,
+        url: link.url,
+        status: firstEntry.status === "failed" ? "failed" : "reused",
+        image: null,
+      };
+    } else {
+      try {
+        const result = await processFigmaLink(
+          link,
+          nextSpecNumber,
+          figma,
+          imageStore,
+          config
+        );
+        specsContent += result.specSnippet;
+        entry = createReportEntry(link, nextSpecNumber++, "created", result);
+        console.log(
+          `Created Design Spec ${entry.specNumber} for ${link.url}`
+        );
+      } catch (error) {
+        console.error(
+          `Error processing Figma link ${link.url}:`,
+          error.message
+        );
+        entry = createReportEntry(link, null, "failed", { error });
+      }
+      newSpecs.set(key, entry);
+    }
+
+    report.links.push(entry);
+    if (entry.specNumber === null) {
+      linkSpecs.push({
+        link,
+        specNumber: null,
+        referenceText: null,
+        error: entry.error,
+      });
+      continue;
+    }
+
+    linkSpecs.push({
+      link,
+      specNumber: entry.specNumber,
+      referenceText: utils.createReferenceText(
+        link.isMarkdownLink,
+        link.linkText,
+        entry.specNumber,
+        `design-spec-${entry.specNumber}`,
+        config.referenceText,
+        config.templates.reference
+      ),
+    });
+  }
+
+  return {
+    specsContent,
+    linkSpecs,
+    createdCount: Array.from(newSpecs.values()).filter(
+      (entry) => entry.status === "created"
+    ).length,
+  };
+}
+
+/**
+ * Creates the run report entry of a link
+ * @param {{url: string}} link - Figma link info
+ * @param {number|null} specNumber - Spec the link refers to (null if it failed)
+ * @param {string} status - "created", "reused" or "failed"
+ * @param {{versionId?: string, imageExpires?: string|null, error?: Error}} [result] - Result of processFigmaLink, or the error it threw
+ * @returns {Object} Report entry
+ */
+function createReportEntry(link, specNumber, status, result = {}) {
+  let image = null;
+  if (status === "created") {
+    image = result.imageExpires
+      ? `Figma URL, expires ${result.imageExpires}`
+      : "Stored permanently";
+  }
+
+  return {
+    url: link.url,
+    specNumber,
+    status,
+    versionId: result.versionId || null,
+    image,
+    error: result.error ? figmaApi.describeFigmaError(result.error) : null,
+  };
+}
+
+/**
+ * Identifies the snapshot a link asks for: links pinned to a version are distinct per version
+ * @param {{url: string, fileId: string, nodeId: string}} link - Figma link info
+ * @returns {string} Link key
+ */
+function getLinkKey(link) {
+  const parsed = figmaApi.parseFigmaUrl(link.url);
+  const versionId = parsed && parsed.versionId;
+  return `${link.fileId}:${link.nodeId}@${versionId || "latest"}`;
+}
+
+/**
+ * Finds the existing spec a link already has: the same file and node, and the same version if the link is pinned
+ * @param {{url: string, fileId: string, nodeId: string}} link - Figma link info
+ * @param {Array<Object>} specs - Parsed specs from findSectionSpecs
+ * @returns {Object|null} Most recent matching spec, or null
+ */
+function findMatchingSpec(link, specs) {
+  const parsed = figmaApi.parseFigmaUrl(link.url);
+  const versionId = parsed && parsed.versionId;
+  const matches = specs.filter(
+    (spec) =>
+      spec.fileId === link.fileId &&
+      spec.nodeId === link.nodeId &&
+      (!versionId || spec.versionId === versionId)
+  );
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Stores the text of every Markdown link replaced by a reference in the metadata of its spec,
+ * so that reverting can restore each link with its own text, not only the first link's
+ * @param {string} body - Markdown body (or specs document) with the Design Specs section
+ * @param {Array<{link: Object, specNumber: number|null}>} linkSpecs - Spec of every link, from createLinkSpecs
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<string>} Updated body
+ */
+async function recordLinkTexts(body, linkSpecs, config = DEFAULT_CONFIG) {
+  const linkTexts = new Map();
+  for (const { link, specNumber } of linkSpecs) {
+    if (specNumber === null || !link.isMarkdownLink || !link.linkText) {
+      continue;
+    }
+    if (!linkTexts.has(specNumber)) linkTexts.set(specNumber, []);
+    linkTexts.get(specNumber).push(link.linkText);
+  }
+  if (linkTexts.size === 0) return body;
+
+  const result = await rewriteSpecBlocks(
+    body,
+    async (block, spec) => {
+      const texts = linkTexts.get(block.specNumber);
+      if (!texts) return null;
+
+      const knownTexts =
+        spec.linkTexts.length > 0
+          ? spec.linkTexts
+          : [spec.linkText].filter(Boolean);
+      const newTexts = texts.filter(
+        (text, index) =>
+          !knownTexts.includes(text) && texts.indexOf(text) === index
+      );
+      if (newTexts.length === 0) return null;
+
+      return specMetadata.setSpecMetadata(block.content, {
+        linkTexts: [...knownTexts, ...newTexts],
+      });
+    },
+    config
+  );
+  return result.body;
+}
+
+/**
+ * Runs the enabled maintenance passes over existing specs: design drift, then expiring images
+ * @param {string} body - Markdown body with a Design Specs section
+ * @param {Object} options - Pipeline options, as for processBody
+ * @returns {Promise<string>} Updated body
+ */
+async function maintainExistingSpecs(
+  body,
+  {
+    figma,
+    imageStore = null,
+    refreshOptions,
+    driftOptions,
+    report = runReport.createRunReport(),
+    config = DEFAULT_CONFIG,
+  }
+) {
+  let updatedBody = body;
+
+  // Flag (or update) specs whose Figma file has moved on since the snapshot
+  if (driftOptions.enabled) {
+    const driftResult = await checkSpecDrift(
+      updatedBody,
+      figma,
+      driftOptions.updateStale,
+      imageStore,
+      config
+    );
+    updatedBody = driftResult.body;
+    report.staleSpecs += driftResult.staleCount;
+    report.updatedSpecs += driftResult.updatedCount;
+    console.log(
+      `Design drift: ${driftResult.staleCount} stale spec(s) flagged, ${driftResult.updatedCount} updated to latest version`
+    );
+  }
+
+  // Re-render spec images that are about to expire
+  if (refreshOptions.enabled) {
+    const refreshResult = await refreshExpiringImages(
+      updatedBody,
+      figma,
+      refreshOptions.withinDays,
+      imageStore,
+      config
+    );
+    updatedBody = refreshResult.body;
+    report.refreshedImages += refreshResult.refreshedCount;
+    console.log(
+      `Refreshed ${refreshResult.refreshedCount} expiring spec image(s)`
+    );
+  }
+
+  return updatedBody;
+}
+
+/**
+ * Reads refresh mode settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.REFRESH_IMAGES] - "true" to re-render expiring spec images
+ * @param {string} [env.REFRESH_WITHIN_DAYS] - Refresh images expiring within this many days
+ * @returns {{enabled: boolean, withinDays: number}} Refresh options
+ */
+function getRefreshOptions(env) {
+  const withinDays = parseInt(env.REFRESH_WITHIN_DAYS, 10);
+
+  return {
+    enabled: env.REFRESH_IMAGES === "true",
+    withinDays: isNaN(withinDays) ? DEFAULT_REFRESH_WITHIN_DAYS : withinDays,
+  };
+}
+
+/**
+ * Reads design drift settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.DETECT_DRIFT] - "true" to compare specs against the latest Figma version
+ * @param {string} [env.UPDATE_STALE_SPECS] - "true" to move stale specs to the latest version
+ * @returns {{enabled: boolean, updateStale: boolean}} Drift options
+ */
+function getDriftOptions(env) {
+  return {
+    enabled: env.DETECT_DRIFT === "true",
+    updateStale: env.UPDATE_STALE_SPECS === "true",
+  };
+}
+
+/**
+ * Reads pruning settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.PRUNE_SPECS] - "archive" or "remove" to prune specs that are no longer referenced ("off" by default)
+ * @returns {{enabled: boolean, mode: string}} Prune options (off for an unknown mode, since pruning deletes content)
+ */
+function getPruneOptions(env) {
+  const mode = env.PRUNE_SPECS || "off";
+  if (!PRUNE_MODES.includes(mode)) {
+    console.log(
+      `Invalid PRUNE_SPECS "${mode}", not pruning specs. Expected "off", "archive" or "remove".`
+    );
+    return { enabled: false, mode: "off" };
+  }
+
+  return { enabled: mode !== "off", mode };
+}
+
+/**
+ * Analyzes the existing Design Specs section in the PR body
+ * @param {string} prBody - Current PR body content
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number, existingSpecCount: number, highestSpecNumber: number}}
+ */
+function analyzeDesignSpecsSection(prBody, config = DEFAULT_CONFIG) {
+  const { heading, endMarker: endMarkerText } = config.section;
+  const sectionRegex = regexPatterns.createSectionHeadingRegex(heading);
+
+  // Check for multiple Design Specs sections
+  const designSpecsMatches = prBody.match(
+    new RegExp(sectionRegex.source, "gim")
+  );
+  if (designSpecsMatches && designSpecsMatches.length > 1) {
+    throw new Error(
+      `Found ${designSpecsMatches.length} ${heading} sections. Only one is allowed. Please consolidate into a single "${heading}" section.`
+    );
+  }
+
+  const hasSpecsSection = sectionRegex.test(prBody);
+  const endMarker = utils.getDesignSpecsEndMarker(endMarkerText);
+
+  let specsSectionIndex = -1;
+  let specsEndIndex = -1;
+  let existingSpecCount = 0;
+  let highestSpecNumber = 0;
+
+  if (hasSpecsSection) {
+    specsSectionIndex = prBody.search(sectionRegex);
+    specsEndIndex = prBody.indexOf(endMarker);
+
+    // Count existing Design Spec entries in the Design Specs section
+    const specsSectionContent = utils.extractSectionContent(
+      prBody,
+      specsSectionIndex,
+      specsEndIndex,
+      regexPatterns.NEXT_SECTION_REGEX
+    );
+
+    const specNumbers = specParser
+      .findSpecBlocks(specsSectionContent)
+      .map((block) => block.specNumber);
+    existingSpecCount = specNumbers.length;
+    highestSpecNumber = Math.max(0, ...specNumbers);
+  }
+
+  return {
+    hasSpecsSection,
+    specsSectionIndex,
+    specsEndIndex,
+    existingSpecCount,
+    highestSpecNumber,
+  };
+}
+
+/**
+ * Finds all Figma links above the Design Specs section and in unprotected areas within it.
+ * Links below the section end marker (or, without one, below the next section) are not processed.
+ * @param {string} prBody - PR body content
+ * @param {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number}} specsAnalysis - Design specs section analysis
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Array<{url: string, fileId: string, nodeId: string, fullMatch: string, isMarkdownLink: boolean, linkText: string|null, isInSpecsSection: boolean, index: number}>}
+ */
+function findFigmaLinks(prBody, specsAnalysis, config = DEFAULT_CONFIG) {
+  const endMarkerIndex = prBody.indexOf(
+    utils.getDesignSpecsEndMarker(config.section.endMarker)
+  );
+  let searchEnd = endMarkerIndex === -1 ? prBody.length : endMarkerIndex;
+
+  if (specsAnalysis.hasSpecsSection) {
+    const specsSectionContent = utils.extractSectionContent(
+      prBody,
+      specsAnalysis.specsSectionIndex,
+      specsAnalysis.specsEndIndex,
+      regexPatterns.NEXT_SECTION_REGEX
+    );
+    searchEnd = Math.min(
+      searchEnd,
+      specsAnalysis.specsSectionIndex + specsSectionContent.length
+    );
+  }
+
+  return findFigmaLinksInContent(
+    prBody,
+    searchEnd,
+    specsAnalysis.hasSpecsSection ? specsAnalysis.specsSectionIndex : -1
+  );
+}
+
+/**
+ * Finds the Figma links in Markdown content, in document order. Links in code, in spec blocks
+ * and in reference definitions are skipped; reference links, autolinks and HTML links are resolved.
+ * @param {string} content - Markdown content
+ * @param {number} [searchEnd] - Position where the search stops
+ * @param {number} [specsSectionIndex] - Position of the Design Specs section heading (-1 if there is none)
+ * @returns {Array<Object>} Links from createLinkObject, with their position in the content
+ */
+function findFigmaLinksInContent(
+  content,
+  searchEnd = content.length,
+  specsSectionIndex = -1
+) {
+  const specBlocks = specParser.findSpecBlocks(content);
+  const figmaLinks = [];
+
+  for (const link of markdownLinks.findMarkdownLinks(
+    content,
+    regexPatterns.FIGMA_URL_REGEX
+  )) {
+    const isProtected = specBlocks.some(
+      (block) => link.start < block.end && link.end > block.start
+    );
+    const parsed = figmaApi.parseFigmaUrl(link.url);
+    if (link.end > searchEnd || isProtected || !parsed) continue;
+
+    figmaLinks.push(
+      utils.createLinkObject(
+        link.url,
+        parsed.fileId,
+        parsed.nodeId,
+        content.substring(link.start, link.end),
+        link.text !== null,
+        link.text,
+        specsSectionIndex !== -1 && link.start >= specsSectionIndex,
+        link.start,
+        link.label || null
+      )
+    );
+  }
+
+  return figmaLinks;
+}
+
+/**
+ * Renders the snapshots for all links in as few Figma requests as possible:
+ * version history is fetched once per file, and node images and node details are fetched in one request per file and version
+ * @param {Array<{url: string, fileId: string, nodeId: string}>} figmaLinks - Links to process
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<void>}
+ */
+async function prefetchLinkImages(figmaLinks, figma, config = DEFAULT_CONFIG) {
+  const snapshots = [];
+
+  for (const link of figmaLinks) {
+    const parsed = figmaApi.parseFigmaUrl(link.url);
+    try {
+      const versionId =
+        parsed.versionId ||
+        (await getSnapshotVersion(link.fileId, figma, config)).id;
+      snapshots.push({
+        fileId: link.fileId,
+        nodeId: link.nodeId,
+        versionId,
+        imageOverrides: imageOptions.parseImageOverridesFromUrl(link.url),
+      });
+    } catch (error) {
+      // Reported when the link itself is processed
+      continue;
+    }
+  }
+
+  await figma.prefetchNodeImages(snapshots);
+  await figma.prefetchNodeDetails(snapshots);
+}
+
+/**
+ * Looks up the node's name, type, page, size and (when enabled) design tokens for its spec.
+ * Metadata is optional, so failures are logged and the spec is created without it.
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID
+ * @param {{id: string, user?: {handle: string}}} version - Figma version of the snapshot
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<Object|null>} Metadata from createNodeMetadata, or null if unavailable
+ */
+async function getNodeMetadata(
+  fileId,
+  nodeId,
+  version,
+  figma,
+  config = DEFAULT_CONFIG
+) {
+  try {
+    const { document, styles, pageName } = await figma.getNodeDetails(
+      fileId,
+      nodeId,
+      version.id
+    );
+    const metadata = utils.createNodeMetadata(
+      document,
+      pageName,
+      version.user ? version.user.handle : null
+    );
+
+    if (config.designTokens.enabled) {
+      const variableNames = await figma.getVariableNames(fileId);
+      metadata.designTokens = utils.createDesignTokensMarkdown(
+        designTokens.extractDesignTokens(document, styles, variableNames)
+      );
+    }
+
+    return metadata;
+  } catch (error) {
+    console.log(
+      `Could not fetch details for node ${nodeId}, continuing without them: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Processes a single Figma link to generate spec content and reference text
+ * @param {{url: string, fileId: string, nodeId: string, fullMatch: string, isMarkdownLink: boolean, linkText: string|null, isInSpecsSection: boolean}} link - Figma link info
+ * @param {number} specNumber - Sequential spec number
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [imageStore] - Permanent image store (null to use temporary Figma URLs)
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<{specSnippet: string, referenceText: string, versionId: string, imageExpires: string|null}>} Generated content, the snapshot version and the image expiration date (null for permanently stored images)
+ */
+async function processFigmaLink(
+  link,
+  specNumber,
+  figma,
+  imageStore = null,
+  config = DEFAULT_CONFIG
+) {
+  // Parse URL to get all components including version
+  const parsed = figmaApi.parseFigmaUrl(link.url);
+  const imageOverrides = imageOptions.parseImageOverridesFromUrl(link.url);
+  let version;
+
+  if (parsed.versionId) {
+    console.log(`Using existing version from URL: ${parsed.versionId}`);
+    version = await figma.getVersion(link.fileId, parsed.versionId);
+  } else {
+    version = await getSnapshotVersion(link.fileId, figma, config);
+  }
+
+  const resolvedImageOptions = { ...config.image, ...imageOverrides };
+  const { imageUrl, expirationString, isInline } = await resolveSpecImage(
+    link.fileId,
+    link.nodeId,
+    version.id,
+    figma,
+    imageStore,
+    resolvedImageOptions
+  );
+  const metadata = await getNodeMetadata(
+    link.fileId,
+    link.nodeId,
+    version,
+    figma,
+    config
+  );
+
+  // Generate content
+  const specId = `design-spec-${specNumber}`;
+  const cleanUrl = utils.createCleanFigmaUrl(
+    link.fileId,
+    link.nodeId,
+    version.id,
+    parsed.editorType,
+    parsed.mainFileId
+  );
+
+  const specSnippet = utils.createDesignSpecSnippet(
+    specNumber,
+    specId,
+    imageUrl,
+    cleanUrl,
+    version.id,
+    version.created_at,
+    expirationString,
+    config.templates.spec,
+    {
+      fileId: link.fileId,
+      nodeId: link.nodeId,
+      linkText: link.linkText,
+      originalUrl: link.url,
+      imageFormat: resolvedImageOptions.format,
+      imageInline: isInline,
+      imageOverrides,
+      metadata,
+      versionMetadata: utils.createVersionMetadata(version),
+    }
+  );
+
+  // Create reference text for all links (both above and within Design Specs section)
+  const referenceText = utils.createReferenceText(
+    link.isMarkdownLink,
+    link.linkText,
+    specNumber,
+    specId,
+    config.referenceText,
+    config.templates.reference
+  );
+
+  return {
+    specSnippet,
+    referenceText,
+    versionId: version.id,
+    imageExpires: expirationString,
+  };
+}
+
+/**
+ * Picks the version that new specs are snapshotted from, and that existing specs are compared against
+ * @param {string} fileId - Figma file ID
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<Object>} Most recent named version if config versions.snapshot is "named", otherwise the latest version
+ */
+function getSnapshotVersion(fileId, figma, config = DEFAULT_CONFIG) {
+  return config.versions.snapshot === "named"
+    ? figma.getLatestNamedVersion(fileId)
+    : figma.getLatestVersion(fileId);
+}
+
+/**
+ * Renders a node snapshot and returns the image URL to embed in its spec.
+ * With an image store the image is stored permanently; if that fails, the temporary Figma URL is used instead.
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID (in colon format)
+ * @param {string} versionId - Figma version ID of the snapshot
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} imageStore - Permanent image store (null to use temporary Figma URLs)
+ * @param {{format: string, scale: number, useAbsoluteBounds: boolean}} [resolvedImageOptions] - Export settings including per-link overrides
+ * @returns {Promise<{imageUrl: string, expirationString: string|null, isInline: boolean}>} Image URL, expiration date (null for permanent images) and whether GitHub can show it inline
+ */
+async function resolveSpecImage(
+  fileId,
+  nodeId,
+  versionId,
+  figma,
+  imageStore,
+  resolvedImageOptions = DEFAULT_CONFIG.image
+) {
+  let figmaImageUrl = null;
+  const renderImage = async () => {
+    figmaImageUrl = await figma.getNodeImageUrl(
+      fileId,
+      nodeId,
+      versionId,
+      resolvedImageOptions
+    );
+    return figmaImageUrl;
+  };
+
+  if (imageStore) {
+    try {
+      const imageUrl = await imageStore.getImageUrl(
+        fileId,
+        nodeId,
+        versionId,
+        renderImage,
+        resolvedImageOptions
+      );
+      return {
+        imageUrl,
+        expirationString: null,
+        isInline: imageOptions.isInlineImageFormat(
+          resolvedImageOptions.format,
+          true
+        ),
+      };
+    } catch (error) {
+      console.error(
+        "Could not store preview image permanently, falling back to Figma URL:",
+        error.message
+      );
+    }
+  }
+
+  // Get image URL (no need to download the data, we just use the URL)
+  const imageUrl = figmaImageUrl || (await renderImage());
+  console.log(`Using Figma image URL (expires in 30 days): ${imageUrl}`);
+
+  return {
+    imageUrl,
+    expirationString: utils.calculateImageExpirationDate(),
+    isInline: imageOptions.isInlineImageFormat(resolvedImageOptions.format),
+  };
+}
+
+/**
+ * Lists the parsed spec blocks of the Design Specs section
+ * @param {string} body - Current PR body
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Array<Object>} Parsed specs (see parseSpecBlock) with their specNumber
+ */
+function findSectionSpecs(body, config = DEFAULT_CONFIG) {
+  const specsAnalysis = analyzeDesignSpecsSection(body, config);
+  if (!specsAnalysis.hasSpecsSection) return [];
+
+  const sectionContent = utils.extractSectionContent(
+    body,
+    specsAnalysis.specsSectionIndex,
+    specsAnalysis.specsEndIndex,
+    regexPatterns.NEXT_SECTION_REGEX
+  );
+
+  return specParser
+    .findSpecBlocks(sectionContent)
+    .map((block) => {
+      const spec = specParser.parseSpecBlock(block.content);
+      return spec && { ...spec, specNumber: block.specNumber };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Applies an async rewrite to every spec block in the Design Specs section.
+ * Blocks for which the rewrite returns null are left untouched.
+ * @param {string} body - Current PR body
+ * @param {function({specNumber: number, content: string}, Object): Promise<string|null>} rewriteBlock - Receives the block and its parsed spec, returns new block content or null
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<{body: string, rewrittenCount: number}>} Updated body and number of rewritten blocks
+ */
+async function rewriteSpecBlocks(body, rewriteBlock, config = DEFAULT_CONFIG) {
+  const specsAnalysis = analyzeDesignSpecsSection(body, config);
+  if (!specsAnalysis.hasSpecsSection) {
+    return { body, rewrittenCount: 0 };
+  }
+
+  const sectionContent = utils.extractSectionContent(
+    body,
+    specsAnalysis.specsSectionIndex,
+    specsAnalysis.specsEndIndex,
+    regexPatterns.NEXT_SECTION_REGEX
+  );
+  const sectionEnd = specsAnalysis.specsSectionIndex + sectionContent.length;
+
+  // Walk blocks from last to first so earlier offsets stay valid while rewriting
+  const blocks = specParser.findSpecBlocks(sectionContent).reverse();
+  let updatedSection = sectionContent;
+  let rewrittenCount = 0;
+
+  for (const block of blocks) {
+    const spec = specParser.parseSpecBlock(block.content);
+    if (!spec) continue;
+
+    const rewrittenBlock = await rewriteBlock(block, spec);
+    if (rewrittenBlock === null || rewrittenBlock === block.content) continue;
+
+    updatedSection =
+      updatedSection.substring(0, block.start) +
+      rewrittenBlock +
+      updatedSection.substring(block.end);
+    rewrittenCount++;
+  }
+
+  return {
+    body:
+      body.substring(0, specsAnalysis.specsSectionIndex) +
+      updatedSection +
+      body.substring(sectionEnd),
+    rewrittenCount,
+  };
+}
+
+/**
+ * Re-renders the preview images of existing spec blocks whose image URLs expire soon.
+ * Only the image URL and "Image Expires" line of each block are rewritten.
+ * @param {string} body - Current PR body
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {number} withinDays - Refresh images expiring within this many days
+ * @param {Object|null} [imageStore] - Permanent image store; refreshed images are moved to it
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<{body: string, refreshedCount: number}>} Updated body and number of refreshed specs
+ */
+async function refreshExpiringImages(
+  body,
+  figma,
+  withinDays,
+  imageStore = null,
+  config = DEFAULT_CONFIG
+) {
+  const isExpiring = (spec) =>
+    Boolean(spec.imageUrl) &&
+    specParser.isImageExpiring(spec.imageExpires, withinDays);
+
+  // Earlier snapshots in the version history are rendered again along with the current image
+  await figma.prefetchNodeImages(
+    findSectionSpecs(body, config)
+      .filter(isExpiring)
+      .flatMap((spec) => [
+        spec,
+        ...spec.history.map((snapshot) => ({
+          ...spec,
+          versionId: snapshot.versionId,
+        })),
+      ])
+  );
+
+  const result = await rewriteSpecBlocks(
+    body,
+    async (block, spec) => {
+      if (!isExpiring(spec)) return null;
+
+      try {
+        const { imageUrl, expirationString } = await resolveSpecImage(
+          spec.fileId,
+          spec.nodeId,
+          spec.versionId,
+          figma,
+          imageStore,
+          { ...config.image, ...spec.imageOverrides }
+        );
+        const historyImageUrls = await renderHistoryImages(
+          spec,
+          figma,
+          imageStore,
+          config
+        );
+        // The comparison shows the current image as well
+        historyImageUrls.set(spec.imageUrl, imageUrl);
+        console.log(
+          `Refreshed image for Design Spec ${block.specNumber} (image expires ${spec.imageExpires})`
+        );
+        return specParser.replaceHistoryImages(
+          specParser.replaceSpecImage(
+            block.content,
+            imageUrl,
+            expirationString
+          ),
+          historyImageUrls
+        );
+      } catch (error) {
+        console.error(
+          `Error refreshing image for Design Spec ${block.specNumber}:`,
+          error.message
+        );
+        return null;
+      }
+    },
+    config
+  );
+
+  return { body: result.body, refreshedCount: result.rewrittenCount };
+}
+
+/**
+ * Compares each spec's pinned version against the file's version history.
+ * Stale specs get a drift banner, or are moved to the latest version when updateStale is set.
+ * @param {string} body - Current PR body
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {boolean} updateStale - Re-snapshot stale specs to the latest version instead of flagging them
+ * @param {Object|null} [imageStore] - Permanent image store for re-snapshotted images
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<{body: string, staleCount: number, updatedCount: number}>} Updated body and drift counts
+ */
+async function checkSpecDrift(
+  body,
+  figma,
+  updateStale,
+  imageStore = null,
+  config = DEFAULT_CONFIG
+) {
+  let staleCount = 0;
+  let updatedCount = 0;
+
+  if (updateStale) {
+    // Render all stale specs at their latest version with one images request per file
+    const staleSnapshots = [];
+    for (const spec of findSectionSpecs(body, config)) {
+      if (!spec.versionId) continue;
+      try {
+        const latestVersion = await getSnapshotVersion(
+          spec.fileId,
+          figma,
+          config
+        );
+        if (latestVersion && latestVersion.id !== spec.versionId) {
+          // The replaced and earlier snapshots are rendered again for the version history
+          staleSnapshots.push(
+            { ...spec, versionId: latestVersion.id },
+            spec,
+            ...spec.history.map((snapshot) => ({
+              ...spec,
+              versionId: snapshot.versionId,
+            }))
+          );
+        }
+      } catch (error) {
+        // Reported when the spec itself is checked
+        continue;
+      }
+    }
+    await figma.prefetchNodeImages(staleSnapshots);
+  }
+
+  const result = await rewriteSpecBlocks(
+    body,
+    async (block, spec) => {
+      if (!spec.versionId) return null;
+
+      try {
+        const latestVersion = await getSnapshotVersion(
+          spec.fileId,
+          figma,
+          config
+        );
+
+        if (!latestVersion || latestVersion.id === spec.versionId) {
+          return specParser.setDriftBanner(block.content, null);
+        }
+
+        if (updateStale) {
+          const updated = await moveSpecToVersion(
+            block.content,
+            spec,
+            latestVersion,
+            figma,
+            imageStore,
+            config
+          );
+          updatedCount++;
+          console.log(
+            `Updated Design Spec ${block.specNumber} from version ${spec.versionId} to ${latestVersion.id}`
+          );
+          return updated;
+        }
+
+        // Versions are newest first, so the pinned version's index is the number of newer versions.
+        // When snapshots are taken from named versions, only those count.
+        const countNamedOnly =
+          config.versions.snapshot === "named" &&
+          figmaApi.isNamedVersion(latestVersion);
+        const versions = (await figma.getVersions(spec.fileId)).filter(
+          (version) => !countNamedOnly || figmaApi.isNamedVersion(version)
+        );
+        const pinnedIndex = versions.findIndex(
+          (version) => version.id === spec.versionId
+        );
+        const isLowerBound = pinnedIndex === -1;
+        const versionsBehind = isLowerBound
+          ? Math.max(versions.length, 1)
+          : pinnedIndex;
+
+        staleCount++;
+        console.log(
+          `Design Spec ${block.specNumber} is ${versionsBehind}${
+            isLowerBound ? "+" : ""
+          } version(s) behind the latest Figma version`
+        );
+        return specParser.setDriftBanner(
+          block.content,
+          utils.createDriftBanner(
+            versionsBehind,
+            isLowerBound,
+            latestVersion.created_at
+          )
+        );
+      } catch (error) {
+        console.error(
+          `Error checking design drift for Design Spec ${block.specNumber}:`,
+          error.message
+        );
+        return null;
+      }
+    },
+    config
+  );
+
+  return { body: result.body, staleCount, updatedCount };
+}
+
+/**
+ * Re-snapshots a spec at another version: its design link, version details and image are replaced,
+ * and the replaced snapshot is added to the spec's version history
+ * @param {string} blockContent - Content of the spec block
+ * @param {Object} spec - Parsed spec from parseSpecBlock
+ * @param {{id: string, created_at: string|null}} version - Version to snapshot
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [imageStore] - Permanent image store for the new image
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<string>} Updated spec block content
+ */
+async function moveSpecToVersion(
+  blockContent,
+  spec,
+  version,
+  figma,
+  imageStore = null,
+  config = DEFAULT_CONFIG
+) {
+  const { imageUrl, expirationString, isInline } = await resolveSpecImage(
+    spec.fileId,
+    spec.nodeId,
+    version.id,
+    figma,
+    imageStore,
+    { ...config.image, ...spec.imageOverrides }
+  );
+  const updated = specParser.replaceSpecSnapshot(blockContent, {
+    cleanUrl: utils.createCleanFigmaUrl(
+      spec.fileId,
+      spec.nodeId,
+      version.id,
+      spec.editorType,
+      spec.mainFileId
+    ),
+    versionId: version.id,
+    versionDetails: utils.createVersionDetails(
+      utils.createVersionMetadata(version)
+    ),
+    snapshotTimestamp: version.created_at,
+    imageUrl,
+    expirationString,
+  });
+  if (!spec.imageUrl) return updated;
+
+  // Keep the replaced snapshot for a before/after comparison, newest first in the history.
+  // Its image and the earlier ones are rendered again so that they expire with the new image.
+  const history = [
+    {
+      versionId: spec.versionId,
+      snapshotTimestamp: spec.snapshotTimestamp,
+      imageUrl: spec.imageUrl,
+      isInline: spec.imageInline,
+    },
+    ...spec.history,
+  ];
+  const historyImageUrls = await renderHistoryImages(
+    { ...spec, history },
+    figma,
+    imageStore,
+    config
+  );
+  const renderedHistory = history.map((snapshot) => ({
+    ...snapshot,
+    imageUrl: historyImageUrls.get(snapshot.imageUrl) || snapshot.imageUrl,
+  }));
+  return specParser.setSpecHistory(
+    updated,
+    utils.createSpecHistoryMarkdown(
+      { versionId: version.id, imageUrl, isInline },
+      renderedHistory
+    ),
+    renderedHistory
+  );
+}
+
+/**
+ * Renders the earlier snapshots in a spec's version history again, so that their images don't outlive the current one.
+ * Snapshots that fail to render keep their image.
+ * @param {Object} spec - Parsed spec from parseSpecBlock
+ * @param {Object} figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} imageStore - Permanent image store (null to use temporary Figma URLs)
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {Promise<Map<string, string>>} New image URLs keyed by the URLs they replace
+ */
+async function renderHistoryImages(
+  spec,
+  figma,
+  imageStore,
+  config = DEFAULT_CONFIG
+) {
+  const imageUrls = new Map();
+  for (const snapshot of spec.history) {
+    try {
+      const { imageUrl } = await resolveSpecImage(
+        spec.fileId,
+        spec.nodeId,
+        snapshot.versionId,
+        figma,
+        imageStore,
+        { ...config.image, ...spec.imageOverrides }
+      );
+      imageUrls.set(snapshot.imageUrl, imageUrl);
+    } catch (error) {
+      console.error(
+        `Error rendering the version ${snapshot.versionId} image of ${spec.designUrl}:`,
+        error.message
+      );
+    }
+  }
+  return imageUrls;
+}
+
+/**
+ * Updates the Design Specs section with new content
+ * @param {string} body - Current PR body
+ * @param {string} specsContent - New specs content to add
+ * @param {{hasSpecsSection: boolean, specsSectionIndex: number, specsEndIndex: number}} specsAnalysis - Section analysis
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {string} Updated PR body
+ */
+function updateDesignSpecsSection(
+  body,
+  specsContent,
+  specsAnalysis,
+  config = DEFAULT_CONFIG
+) {
+  const endMarker = utils.getDesignSpecsEndMarker(config.section.endMarker);
+
+  if (specsAnalysis.hasSpecsSection) {
+    // Recalculate end marker position in case body was modified by link replacements
+    const currentEndMarkerIndex = body.indexOf(endMarker);
+
+    if (currentEndMarkerIndex > specsAnalysis.specsSectionIndex) {
+      // End marker exists - insert content before it
+      return (
+        body.substring(0, currentEndMarkerIndex) +
+        specsContent +
+        body.substring(currentEndMarkerIndex)
+      );
+    } else {
+      // No end marker - find end of Design Specs section and add content + marker
+      const afterSpecsSection = body.substring(specsAnalysis.specsSectionIndex);
+      const nextSectionMatch = afterSpecsSection.match(
+        regexPatterns.NEXT_SECTION_REGEX
+      );
+
+      if (nextSectionMatch) {
+        // Insert before the next section
+        const nextSectionIndex =
+          specsAnalysis.specsSectionIndex + nextSectionMatch.index;
+        return (
+          body.substring(0, nextSectionIndex) +
+          specsContent +
+          `\n${endMarker}\n` +
+          body.substring(nextSectionIndex)
+        );
+      } else {
+        // No next section - append to end
+        return body + specsContent + `\n${endMarker}`;
+      }
+    }
+  } else {
+    // Create new Design Specs section
+    const heading = utils.createDesignSpecsHeading(config.section);
+    return body + `\n${heading}\n${specsContent}\n${endMarker}`;
+  }
+}
+
+/**
+ * Removes the Design Specs section, with its end marker and the archive below it
+ * @param {string} body - Markdown body
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {string} Body without the section (unchanged if it has none)
+ */
+function removeDesignSpecsSection(body, config = DEFAULT_CONFIG) {
+  const specsAnalysis = analyzeDesignSpecsSection(body, config);
+  if (!specsAnalysis.hasSpecsSection) return body;
+
+  const sectionContent = utils.extractSectionContent(
+    body,
+    specsAnalysis.specsSectionIndex,
+    specsAnalysis.specsEndIndex,
+    regexPatterns.NEXT_SECTION_REGEX
+  );
+  let end = specsAnalysis.specsSectionIndex + sectionContent.length;
+
+  const endMarker = utils.getDesignSpecsEndMarker(config.section.endMarker);
+  if (body.startsWith(endMarker, end)) {
+    end += endMarker.length;
+    const archiveEnd = body.indexOf(ARCHIVE_END_MARKER, end);
+    if (
+      body.substring(end).trimStart().startsWith(ARCHIVE_START_MARKER) &&
+      archiveEnd !== -1
+    ) {
+      end = archiveEnd + ARCHIVE_END_MARKER.length;
+    }
+  }
+
+  const before = body.substring(0, specsAnalysis.specsSectionIndex).trimEnd();
+  const after = body.substring(end).trimStart();
+  return after ? `${before}\n\n${after}` : before;
+}
+
+/**
+ * Applies a transform to the content between spec blocks, leaving the blocks untouched
+ * @param {string} content - Content with spec blocks
+ * @param {function(string): string} transform - Rewrites a stretch of content outside the blocks
+ * @returns {string} Updated content
+ */
+function mapOutsideSpecBlocks(content, transform) {
+  let result = "";
+  let lastEnd = 0;
+
+  for (const block of specParser.findSpecBlocks(content)) {
+    result +=
+      transform(content.substring(lastEnd, block.start)) + block.content;
+    lastEnd = block.end;
+  }
+
+  return result + transform(content.substring(lastEnd));
+}
+
+/**
+ * Lists the spec numbers that #design-spec-n references outside the spec blocks point to
+ * @param {string} content - Markdown body
+ * @returns {Set<number>} Referenced spec numbers
+ */
+function findReferencedSpecNumbers(content) {
+  const specNumbers = new Set();
+
+  mapOutsideSpecBlocks(content, (text) => {
+    for (const match of text.matchAll(regexPatterns.SPEC_REFERENCE_REGEX)) {
+      specNumbers.add(parseInt(match[2], 10));
+    }
+    return text;
+  });
+
+  return specNumbers;
+}
+
+/**
+ * Points #design-spec-n references outside the spec blocks at renumbered specs.
+ * Reference labels are updated too when they still read as generated from config referenceText.
+ * @param {string} content - Markdown body
+ * @param {Map<number, number>} numbering - New spec number for each old spec number
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {string} Updated body
+ */
+function renumberSpecReferences(content, numbering, config = DEFAULT_CONFIG) {
+  const isRenumbered = Array.from(numbering).some(
+    ([specNumber, newSpecNumber]) => specNumber !== newSpecNumber
+  );
+  if (!isRenumbered) return content;
+
+  const renderLabel = (specNumber) =>
+    templates.renderTemplate(config.referenceText, {
+      spec_number: specNumber,
+    });
+
+  return mapOutsideSpecBlocks(content, (text) =>
+    text.replace(regexPatterns.SPEC_REFERENCE_REGEX, (match, label, number) => {
+      const specNumber = parseInt(number, 10);
+      if (!numbering.has(specNumber)) return match;
+
+      const newSpecNumber = numbering.get(specNumber);
+      const anchor = `#design-spec-${newSpecNumber}`;
+      if (label === undefined) return anchor;
+
+      const newLabel =
+        label === renderLabel(specNumber) ? renderLabel(newSpecNumber) : label;
+      return `[${newLabel}](${anchor}`;
+    })
+  );
+}
+
+/**
+ * Prunes the specs of the Design Specs section that no longer have a reference,
+ * then numbers the remaining specs 1, 2, 3... in order. Pruned specs are either removed
+ * or moved to a collapsed archive below the section end marker, where they are left alone.
+ * References to renumbered specs must be updated with renumberSpecReferences.
+ * @param {string} body - Markdown body with a Design Specs section
+ * @param {Set<number>} referencedSpecNumbers - Spec numbers that are still referenced
+ * @param {string} mode - "archive" or "remove"
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {{body: string, numbering: Map<number, number>, prunedCount: number}} Updated body, new number of each remaining spec and number of pruned specs
+ */
+function pruneOrphanedSpecs(
+  body,
+  referencedSpecNumbers,
+  mode,
+  config = DEFAULT_CONFIG
+) {
+  const numbering = new Map();
+  const specsAnalysis = analyzeDesignSpecsSection(body, config);
+  // The archive lives after the end marker, so a section without one is left as is
+  if (!specsAnalysis.hasSpecsSection || specsAnalysis.specsEndIndex === -1) {
+    return { body, numbering, prunedCount: 0 };
+  }
+
+  const sectionContent = utils.extractSectionContent(
+    body,
+    specsAnalysis.specsSectionIndex,
+    specsAnalysis.specsEndIndex,
+    regexPatterns.NEXT_SECTION_REGEX
+  );
+  const blocks = specParser.findSpecBlocks(sectionContent);
+  const orphanedBlocks = blocks.filter(
+    (block) => !referencedSpecNumbers.has(block.specNumber)
+  );
+  blocks
+    .filter((block) => referencedSpecNumbers.has(block.specNumber))
+    .forEach((block) => {
+      if (!numbering.has(block.specNumber)) {
+        numbering.set(block.specNumber, numbering.size + 1);
+      }
+    });
+
+  // Walk blocks from last to first so earlier offsets stay valid while rewriting
+  let updatedSection = sectionContent;
+  for (const block of [...blocks].reverse()) {
+    let start = block.start;
+    let end = block.end;
+    let replacement;
+
+    if (numbering.has(block.specNumber)) {
+      replacement = specParser.renumberSpecBlock(
+        block.content,
+        block.specNumber,
+        numbering.get(block.specNumber)
+      );
+    } else {
+      // Take the blank lines the snippet was inserted with along with the block
+      if (updatedSection[start - 1] === "\n") start--;
+      for (let i = 0; i < 2 && updatedSection[end] === "\n"; i++) end++;
+      replacement = "";
+    }
+
+    updatedSection =
+      updatedSection.substring(0, start) +
+      replacement +
+      updatedSection.substring(end);
+  }
+
+  let updatedBody =
+    body.substring(0, specsAnalysis.specsSectionIndex) +
+    updatedSection +
+    body.substring(specsAnalysis.specsSectionIndex + sectionContent.length);
+
+  if (mode === "archive" && orphanedBlocks.length > 0) {
+    updatedBody = addToArchive(
+      updatedBody,
+      orphanedBlocks.map((block) =>
+        specParser.archiveSpecBlock(block.content, block.specNumber)
+      ),
+      config
+    );
+  }
+
+  if (orphanedBlocks.length > 0) {
+    console.log(
+      `${mode === "archive" ? "Archived" : "Removed"} ${orphanedBlocks.length} spec(s) that are no longer referenced`
+    );
+  }
+  return { body: updatedBody, numbering, prunedCount: orphanedBlocks.length };
+}
+
+/**
+ * Adds archived specs to the collapsed archive below the section end marker, creating it if needed
+ * @param {string} body - Markdown body with a Design Specs section and end marker
+ * @param {Array<string>} entries - Archived entries from archiveSpecBlock
+ * @param {Object} [config] - Repository configuration from loadConfig
+ * @returns {string} Updated body
+ */
+function addToArchive(body, entries, config = DEFAULT_CONFIG) {
+  const content = entries.map((entry) => `${entry}\n\n`).join("");
+  const archiveEnd = `</details>\n${ARCHIVE_END_MARKER}`;
+  const archiveEndIndex = body.indexOf(archiveEnd);
+
+  if (body.includes(ARCHIVE_START_MARKER) && archiveEndIndex !== -1) {
+    return (
+      body.substring(0, archiveEndIndex) +
+      content +
+      body.substring(archiveEndIndex)
+    );
+  }
+
+  const endMarker = utils.getDesignSpecsEndMarker(config.section.endMarker);
+  const endMarkerEnd = body.indexOf(endMarker) + endMarker.length;
+  return (
+    body.substring(0, endMarkerEnd) +
+    `\n\n${ARCHIVE_START_MARKER}\n<details>\n<summary>🗄️ Archived specs</summary>\n\n${content}${archiveEnd}` +
+    body.substring(endMarkerEnd)
+  );
+}
+
+/**
+ * Replaces each link with its reference text where it was found, and adds an error marker after each link that failed.
+ * The definitions of replaced reference links are removed once no other link uses them.
+ * @param {string} body - Markdown body the links were found in
+ * @param {Array<{link: Object, referenceText: string|null, error?: string}>} linkSpecs - Links with their replacement, or why they failed
+ * @returns {string} Updated body
+ */
+function replaceFigmaLinks(body, linkSpecs) {
+  // Replacing from the end keeps the positions of the links before it valid
+  const updatedBody = [...linkSpecs]
+    .sort((a, b) => b.link.index - a.link.index)
+    .reduce((updatedBody, { link, referenceText, error }) => {
+      const replacement = error
+        ? link.fullMatch + utils.createLinkErrorMarker(error)
+        : referenceText;
+      return (
+        updatedBody.substring(0, link.index) +
+        replacement +
+        updatedBody.substring(link.index + link.fullMatch.length)
+      );
+    }, body);
+
+  return markdownLinks.removeUnusedDefinitions(
+    updatedBody,
+    linkSpecs
+      .filter(({ link, error }) => !error && link.referenceLabel)
+      .map(({ link }) => link.referenceLabel)
+  );
+}
+
+/**
+ * Removes the error markers added after links that failed, outside the spec blocks
+ * @param {string} content - Markdown body
+ * @returns {string} Body without error markers
+ */
+function removeLinkErrorMarkers(content) {
+  return mapOutsideSpecBlocks(content, (text) =>
+    text.replace(regexPatterns.LINK_ERROR_MARKER_REGEX, "")
+  );
+}
+
+module.exports = {
+  getRefreshOptions,
+  getDriftOptions,
+  getPruneOptions,
+  processBody,
+  processBodyToSpecsComment,
+  processCommentBody,
+  analyzeDesignSpecsSection,
+  findFigmaLinks,
+  findFigmaLinksInContent,
+  prefetchLinkImages,
+  processFigmaLink,
+  getSnapshotVersion,
+  resolveSpecImage,
+  findSectionSpecs,
+  findMatchingSpec,
+  recordLinkTexts,
+  rewriteSpecBlocks,
+  refreshExpiringImages,
+  checkSpecDrift,
+  moveSpecToVersion,
+  findReferencedSpecNumbers,
+  renumberSpecReferences,
+  pruneOrphanedSpecs,
+  updateDesignSpecsSection,
+  removeDesignSpecsSection,
+  mapOutsideSpecBlocks,
+};
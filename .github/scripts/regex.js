@@ -5,17 +5,27 @@
  */
 
 // Base Figma URL pattern components
-const FIGMA_BASE_URL = 'https:\\/\\/www\\.figma\\.com\\/design\\/';
-const FILE_ID_PATTERN = '([^/]+)';
-const FILE_NAME_PATTERN = '[^?\\s)]*';
+const FIGMA_HOST = 'https:\\/\\/(?:www\\.|embed\\.)?figma\\.com\\/';
+const EDITOR_TYPE_PATTERN = '(?:design|file|proto|board)';
+const FILE_ID_PATTERN = '[^/?#\\s)]+';
+const BRANCH_PATTERN = '(?:\\/branch\\/[^/?#\\s)]+)?';
+const FILE_NAME_PATTERN = '(?:\\/[^?\\s)]*)?';
 const QUERY_PARAMS_PATTERN = '[^\\s)]*';
-const NODE_ID_PATTERN = '([^&\\s)]+)';
+const NODE_ID_PATTERN = '[^&\\s)]+';
 
-// Complete Figma URL pattern with node-id (captures file ID and node ID)
-const FIGMA_URL_PATTERN = `${FIGMA_BASE_URL}${FILE_ID_PATTERN}\\/${FILE_NAME_PATTERN}\\?${QUERY_PARAMS_PATTERN}node-id=${NODE_ID_PATTERN}[^\\s)]*`;
+// Direct Figma URL with node-id: /design/, legacy /file/, /proto/, FigJam /board/ and branch URLs
+const FIGMA_DIRECT_URL_PATTERN = `${FIGMA_HOST}${EDITOR_TYPE_PATTERN}\\/${FILE_ID_PATTERN}${BRANCH_PATTERN}${FILE_NAME_PATTERN}\\?${QUERY_PARAMS_PATTERN}node-id=${NODE_ID_PATTERN}[^\\s)]*`;
+
+// Embed URL wrapping an encoded Figma URL with node-id in its url parameter
+const FIGMA_EMBED_URL_PATTERN = `${FIGMA_HOST}embed\\?${QUERY_PARAMS_PATTERN}url=[^&\\s)]*node-id%3D[^\\s)]*`;
+
+// Complete Figma URL pattern (direct or embed)
+const FIGMA_URL_PATTERN = `(?:${FIGMA_EMBED_URL_PATTERN}|${FIGMA_DIRECT_URL_PATTERN})`;
 
 // Example input: "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage--9.2?node-id=3143-20344&m=dev"
-// Example output: Match with groups [1]="PtEQFlGwta7PzrMwRjqquH", [2]="3143-20344"
+// Example input: "https://figma.com/board/abc123/Retro?node-id=1-2", "https://www.figma.com/design/abc123/branch/def456/Homepage?node-id=1-2"
+// Example input: "https://www.figma.com/embed?embed_host=share&url=https%3A%2F%2Fwww.figma.com%2Fdesign%2Fabc123%2FHomepage%3Fnode-id%3D1-2"
+// Example output: Match the whole URL (use parseFigmaUrl to extract its components)
 const FIGMA_URL_REGEX = new RegExp(FIGMA_URL_PATTERN, 'g');
 
 // Example input: "[homepage design](https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage--9.2?node-id=3143-20344)"
@@ -24,13 +34,13 @@ const MARKDOWN_FIGMA_LINK_REGEX = new RegExp(`\\[([^\\]]+)\\]\\((${FIGMA_URL_PAT
 
 // Example input: "Check https://www.figma.com/design/abc123/test?node-id=1-2 for reference"
 // Example output: Match "https://www.figma.com/design/abc123/test?node-id=1-2"
-const EXISTING_FIGMA_LINKS_REGEX = new RegExp(`${FIGMA_BASE_URL}[^\\s)]+`, 'g');
+const EXISTING_FIGMA_LINKS_REGEX = new RegExp(`${FIGMA_HOST}[^\\s)]+`, 'g');
 
 // Individual component patterns for parsing
 
 // Example input: "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage"
 // Example output: Match with group [1]="PtEQFlGwta7PzrMwRjqquH"
-const FILE_ID_REGEX = /\/design\/([^/]+)\//;
+const FILE_ID_REGEX = /\/(?:design|file|proto|board)\/([^/?#]+)/;
 
 // Example input: "?node-id=3143-20344&m=dev"
 // Example output: Match with group [1]="3143-20344"
@@ -46,22 +56,129 @@ const VERSION_ID_REGEX = /version-id=([^&\s)]+)/;
 // Example output: Match "## Design Specs", "### design specs", "# Design Specs"
 const DESIGN_SPECS_SECTION_REGEX = /^#{1,6}\s+Design\s+Specs\s*$/im;
 
+/**
+ * Escapes text so it matches literally inside a regex
+ * @param {string} text - Literal text
+ * @returns {string} Regex source that matches the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds a heading regex like DESIGN_SPECS_SECTION_REGEX for a configured section heading
+ * Example input: "Figma Designs" -> matches "## Figma Designs", "### figma  designs"
+ * @param {string} heading - Section heading text
+ * @returns {RegExp} Case-insensitive, multiline heading regex
+ */
+function createSectionHeadingRegex(heading) {
+  const words = heading
+    .trim()
+    .split(/\s+/)
+    .map(escapeRegExp);
+  return new RegExp(`^#{1,6}\\s+${words.join('\\s+')}\\s*$`, 'im');
+}
+
 // Example input: "Some content\n## Next Section"
 // Example output: Match "\n## " (to find where next section starts)
 const NEXT_SECTION_REGEX = /\n## /;
 
-// Example input: "### Design Spec 1\n### Design Spec 2"
-// Example output: Match "### Design Spec 1", "### Design Spec 2"
-const DESIGN_SPEC_HEADER_REGEX = /### Design Spec \d+/g;
+// Example input: "https://www.figma.com/design/abc123/?node-id=1-2 <!-- FIGMA_LINK_ERROR -->⚠️ Figma link could not be processed: 404 – file or node not found<!-- /FIGMA_LINK_ERROR -->"
+// Example output: Match " <!-- FIGMA_LINK_ERROR -->⚠️ ... <!-- /FIGMA_LINK_ERROR -->" (the marker added after a link that failed)
+const LINK_ERROR_MARKER_REGEX = / ?<!-- FIGMA_LINK_ERROR -->[^\n]*?<!-- \/FIGMA_LINK_ERROR -->/g;
+
+// Spec block patterns (content generated by createDesignSpecSnippet)
+
+// Example input: "<!-- START_SPEC_1 -->\n...\n<!-- END_SPEC_1 -->"
+// Example output: Match with group [1]="1"
+const SPEC_BLOCK_REGEX = /<!-- START_SPEC_(\d+) -->[\s\S]*?<!-- END_SPEC_\1 -->/g;
+
+// Example input: "Login ([Refer to Design Spec 2 below](#design-spec-2)) and see #design-spec-3"
+// Example output: Matches with groups [1]="Refer to Design Spec 2 below", [2]="2" and [1]=undefined, [2]="3"
+const SPEC_REFERENCE_REGEX = /(?:\[([^\]\n]*)\]\()?#design-spec-(\d+)(?!\d)/g;
+
+// Example input: "**Design Link:** [View in Figma](https://www.figma.com/design/abc123/?node-id=1-2&version-id=42&m=dev)"
+// Example output: Match with group [1]="https://www.figma.com/design/abc123/?node-id=1-2&version-id=42&m=dev"
+const SPEC_DESIGN_LINK_REGEX = /\*\*Design Link:\*\* \[View in Figma\]\(([^\s)]+)\)/;
+
+// Example input: '<img alt="Figma Design Preview" src="https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.png" />'
+// Example output: Match with groups [1]='<img alt="Figma Design Preview" src="', [2]="https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.png"
+const SPEC_IMAGE_SRC_REGEX = /(<img alt="[^"]*" src=")([^"]+)/;
+
+// Example input: "**Preview:** [Open pdf export](https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.pdf)"
+// Example output: Match with groups [1]="**Preview:** [Open pdf export](", [2]="https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.pdf"
+const SPEC_IMAGE_LINK_REGEX = /(\*\*Preview:\*\* \[[^\]]*\]\()([^\s)]+)/;
+
+// Example input: "<!-- IMAGE_OPTIONS: fpi-scale=2&fpi-format=jpg -->"
+// Example output: Match with group [1]="fpi-scale=2&fpi-format=jpg"
+const SPEC_IMAGE_OPTIONS_REGEX = /<!-- IMAGE_OPTIONS: (\S*) -->/;
+
+// Example input: '<!-- SPEC_METADATA: {"fileId":"abc123","nodeId":"1:2"} -->'
+// Example output: Match with group [1]='{"fileId":"abc123","nodeId":"1:2"}'
+const SPEC_METADATA_REGEX = /<!-- SPEC_METADATA: (\{[^\r\n]*?\}) -->/;
+
+// Example input: "**Image Expires:** 2025-10-05"
+// Example output: Match with groups [1]="**Image Expires:** ", [2]="2025-10-05"
+const SPEC_IMAGE_EXPIRES_REGEX = /(\*\*Image Expires:\*\* )(\d{4}-\d{2}-\d{2})/;
+
+// Example input: "**Image Expires:** 2025-10-05\n\n**Description:"
+// Example output: Match "**Image Expires:** 2025-10-05\n\n" (the whole line including its trailing blank line)
+const SPEC_IMAGE_EXPIRES_LINE_REGEX = /\*\*Image Expires:\*\* \S+\r?\n\r?\n/;
+
+// Example input: "**Version:** 2260315635405056828"
+// Example output: Match with groups [1]="**Version:** ", [2]="2260315635405056828"
+const SPEC_VERSION_REGEX = /(\*\*Version:\*\* )(\S+)/;
+
+// Example input: "**Version:** 2260315635405056828\n\n**Version Name:** Sign-off"
+// Example output: Match "**Version:** 2260315635405056828\n\n" (the whole line including its trailing blank line)
+const SPEC_VERSION_LINE_REGEX = /\*\*Version:\*\* \S+\r?\n\r?\n/;
+
+// Example input: "**Version Name:** Sign-off\n\n**Version Description:** Final review\n\n"
+// Example output: Matches "**Version Name:** Sign-off\n\n" and "**Version Description:** Final review\n\n"
+const SPEC_VERSION_DETAILS_REGEX = /\*\*Version (?:Name|Description):\*\* [^\r\n]*\r?\n\r?\n/g;
+
+// Example input: "**Snapshot Timestamp:** 2025-09-05T14:29:08Z"
+// Example output: Match with groups [1]="**Snapshot Timestamp:** ", [2]="2025-09-05T14:29:08Z"
+const SPEC_SNAPSHOT_TIMESTAMP_REGEX = /(\*\*Snapshot Timestamp:\*\* )(\S+)/;
+
+// Example input: "**⚠️ Newer design version available (3 versions since snapshot, last edited 2025-09-10)**\n\n"
+// Example output: Match the whole banner line including its trailing blank line
+const SPEC_DRIFT_BANNER_REGEX = /\*\*⚠️ Newer design version available \([^)\r\n]*\)\*\*\r?\n\r?\n/;
+
+// Example input: "<!-- START_SPEC_HISTORY -->\n| Previous (version 41) | Current (version 42) |\n...\n<!-- END_SPEC_HISTORY -->"
+// Example output: Match the whole comparison and version history of an updated spec
+const SPEC_HISTORY_REGEX = /<!-- START_SPEC_HISTORY -->[\s\S]*?<!-- END_SPEC_HISTORY -->/;
+
+// Example input: "| 41 | 2025-09-05T14:29:08Z | [Preview](https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.png) |"
+// Example output: Match with groups [1]="41", [2]="2025-09-05T14:29:08Z", [3]="https://figma-alpha-api.s3.us-west-2.amazonaws.com/abc.png"
+const SPEC_HISTORY_ENTRY_REGEX = /^\| (\S+) \| (\S+) \| \[Preview\]\(([^\s)]+)\) \|$/gm;
 
 module.exports = {
   FIGMA_URL_REGEX,
   MARKDOWN_FIGMA_LINK_REGEX,
   DESIGN_SPECS_SECTION_REGEX,
+  escapeRegExp,
+  createSectionHeadingRegex,
   NEXT_SECTION_REGEX,
   EXISTING_FIGMA_LINKS_REGEX,
-  DESIGN_SPEC_HEADER_REGEX,
   VERSION_ID_REGEX,
   FILE_ID_REGEX,
-  NODE_ID_REGEX
+  NODE_ID_REGEX,
+  LINK_ERROR_MARKER_REGEX,
+  SPEC_BLOCK_REGEX,
+  SPEC_DESIGN_LINK_REGEX,
+  SPEC_REFERENCE_REGEX,
+  SPEC_IMAGE_SRC_REGEX,
+  SPEC_IMAGE_LINK_REGEX,
+  SPEC_IMAGE_OPTIONS_REGEX,
+  SPEC_METADATA_REGEX,
+  SPEC_IMAGE_EXPIRES_REGEX,
+  SPEC_IMAGE_EXPIRES_LINE_REGEX,
+  SPEC_VERSION_REGEX,
+  SPEC_VERSION_LINE_REGEX,
+  SPEC_VERSION_DETAILS_REGEX,
+  SPEC_SNAPSHOT_TIMESTAMP_REGEX,
+  SPEC_DRIFT_BANNER_REGEX,
+  SPEC_HISTORY_REGEX,
+  SPEC_HISTORY_ENTRY_REGEX
 };
\ No newline at end of file
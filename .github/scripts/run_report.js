@@ -0,0 +1,176 @@
+const fs = require("fs");
+const utils = require("./util");
+
+/**
+ * Run report: what happened to each Figma link during a run, written to the
+ * GitHub Actions job summary and step outputs
+ */
+
+// Link outcomes as shown in the job summary
+const STATUS_LABELS = {
+  created: "✅ Spec added",
+  reused: "♻️ Existing spec",
+  failed: "❌ Failed",
+};
+
+/**
+ * Creates an empty report for a run. The pipeline adds an entry per processed link and the maintenance counts.
+ * @returns {{links: Array<{url: string, specNumber: number|null, status: string, versionId: string|null, image: string|null, error: string|null}>, staleSpecs: number, updatedSpecs: number, refreshedImages: number, prunedSpecs: number}} Report
+ */
+function createRunReport() {
+  return {
+    links: [],
+    staleSpecs: 0,
+    updatedSpecs: 0,
+    refreshedImages: 0,
+    prunedSpecs: 0,
+  };
+}
+
+/**
+ * Counts the links that did not get a spec
+ * @param {Object} report - Report from createRunReport
+ * @returns {number} Number of failed links
+ */
+function countFailedLinks(report) {
+  return report.links.filter((link) => link.status === "failed").length;
+}
+
+/**
+ * Creates the step outputs of a run
+ * @param {Object} report - Report from createRunReport
+ * @returns {{specs_added: string, links_failed: string, stale_specs: string, spec_ids: string}} Outputs, with spec_ids as a JSON array of the anchors the links refer to
+ */
+function createStepOutputs(report) {
+  const specIds = report.links
+    .filter((link) => link.specNumber !== null)
+    .map((link) => `design-spec-${link.specNumber}`);
+
+  return {
+    specs_added: String(
+      report.links.filter((link) => link.status === "created").length
+    ),
+    links_failed: String(countFailedLinks(report)),
+    stale_specs: String(report.staleSpecs),
+    spec_ids: JSON.stringify(Array.from(new Set(specIds))),
+  };
+}
+
+/**
+ * Creates the Markdown job summary of a run
+ * @param {Object} report - Report from createRunReport
+ * @param {string} targetLabel - Description of what was processed, e.g. "PR #12"
+ * @returns {string} Markdown summary
+ */
+function createJobSummary(report, targetLabel) {
+  const outputs = createStepOutputs(report);
+  const lines = [
+    "## Figma PR Images",
+    "",
+    `Processed ${report.links.length} Figma link(s) in ${targetLabel}: ${outputs.specs_added} spec(s) added, ${outputs.links_failed} failed.`,
+  ];
+
+  if (report.links.length > 0) {
+    lines.push(
+      "",
+      "| Link | Spec | Version | Image | Result |",
+      "|---|---|---|---|---|",
+      ...report.links.map((link) => {
+        const cells = [
+          `[${utils.escapeTableCell(link.url)}](${link.url})`,
+          link.specNumber === null ? "—" : `#${link.specNumber}`,
+          utils.escapeTableCell(link.versionId),
+          utils.escapeTableCell(link.image),
+          link.error
+            ? `${STATUS_LABELS.failed}: ${utils.escapeTableCell(link.error)}`
+            : STATUS_LABELS[link.status],
+        ];
+        return `| ${cells.join(" | ")} |`;
+      })
+    );
+  }
+
+  const maintenance = [
+    [report.staleSpecs, "stale spec(s) flagged"],
+    [report.updatedSpecs, "stale spec(s) moved to the latest version"],
+    [report.refreshedImages, "expiring image(s) refreshed"],
+    [report.prunedSpecs, "unreferenced spec(s) pruned"],
+  ].filter(([count]) => count > 0);
+  if (maintenance.length > 0) {
+    lines.push(
+      "",
+      ...maintenance.map(([count, description]) => `- ${count} ${description}`)
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Appends a Markdown summary to the job summary, if the run has one
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.GITHUB_STEP_SUMMARY] - Job summary file written by GitHub Actions
+ * @param {string} markdown - Summary to append
+ */
+function writeStepSummary(env, markdown) {
+  if (!env.GITHUB_STEP_SUMMARY) return;
+  fs.appendFileSync(env.GITHUB_STEP_SUMMARY, markdown);
+}
+
+/**
+ * Sets step outputs, if the run has an output file
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.GITHUB_OUTPUT] - Step output file written by GitHub Actions
+ * @param {Object<string, string>} outputs - Single-line output values by name
+ */
+function writeStepOutputs(env, outputs) {
+  if (!env.GITHUB_OUTPUT) return;
+  fs.appendFileSync(
+    env.GITHUB_OUTPUT,
+    Object.entries(outputs)
+      .map(([name, value]) => `${name}=${value}\n`)
+      .join("")
+  );
+}
+
+/**
+ * Reads the failure threshold from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.MAX_FAILED_LINKS] - Fail the run when more links than this fail ("-1", the default, never fails)
+ * @returns {number} Maximum number of failed links, or -1 for no limit
+ * @throws {Error} If MAX_FAILED_LINKS is not a whole number of at least -1
+ */
+function getMaxFailedLinks(env) {
+  if (env.MAX_FAILED_LINKS === undefined || env.MAX_FAILED_LINKS === "") {
+    return -1;
+  }
+
+  const maxFailedLinks = Number(env.MAX_FAILED_LINKS);
+  if (!Number.isInteger(maxFailedLinks) || maxFailedLinks < -1) {
+    throw new Error(
+      `Invalid MAX_FAILED_LINKS "${env.MAX_FAILED_LINKS}". Expected a whole number, or -1 to never fail.`
+    );
+  }
+  return maxFailedLinks;
+}
+
+/**
+ * Checks whether more links failed than the threshold allows
+ * @param {Object} report - Report from createRunReport
+ * @param {number} maxFailedLinks - Threshold from getMaxFailedLinks
+ * @returns {boolean} True if the run should fail
+ */
+function exceedsFailureThreshold(report, maxFailedLinks) {
+  return maxFailedLinks !== -1 && countFailedLinks(report) > maxFailedLinks;
+}
+
+module.exports = {
+  createRunReport,
+  countFailedLinks,
+  createStepOutputs,
+  createJobSummary,
+  writeStepSummary,
+  writeStepOutputs,
+  getMaxFailedLinks,
+  exceedsFailureThreshold,
+};
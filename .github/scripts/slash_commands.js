@@ -0,0 +1,407 @@
+const pipeline = require("./pipeline");
+const regexPatterns = require("./regex");
+const runReport = require("./run_report");
+const specParser = require("./spec_parser");
+const specStatus = require("./spec_status");
+const utils = require("./util");
+const { DEFAULT_CONFIG } = require("./config");
+
+/**
+ * Slash commands in issue and pull request comments, e.g. "/figma update 3", that run
+ * the action on the description without editing it by hand
+ */
+
+// Commands, and whether they take a spec number
+const COMMANDS = {
+  refresh: false,
+  update: true,
+  remove: true,
+  revert: false,
+  status: false,
+};
+
+// Permission levels that may run commands, since commands rewrite the description
+const COMMAND_PERMISSIONS = ["admin", "maintain", "write"];
+
+const COMMAND_USAGE =
+  "Usage: `/figma refresh`, `/figma update <spec number>`, `/figma remove <spec number>`, `/figma revert` or `/figma status`";
+
+// Example input: "/figma update 3\nThe header changed"
+// Example output: Match "/figma update 3" (the first line of the comment)
+const COMMAND_LINE_REGEX = /^\/figma(?:\s[^\n]*)?$/i;
+
+// Stands in for the link text when a reference is rendered as a pattern
+const LINK_TEXT_PLACEHOLDER = "\u0000LINK_TEXT\u0000";
+
+/**
+ * Reads the command of a newly created issue or pull request comment from an event payload
+ * @param {Object|null} payload - Event payload from readEventPayload
+ * @returns {{kind: string, number: number, commentId: number, author: string, commandLine: string}|null}
+ * Target to run the command against ("pull_request" or "issue"), the comment, its author and command line,
+ * or null if the event is not a comment that starts with "/figma"
+ */
+function getCommandEvent(payload) {
+  if (!payload || !payload.comment || !payload.issue || payload.pull_request) {
+    return null;
+  }
+  // Editing a command comment does not run it again
+  if (payload.action && payload.action !== "created") return null;
+
+  const [firstLine] = (payload.comment.body || "").trim().split("\n");
+  const commandLine = firstLine.trim();
+  if (!COMMAND_LINE_REGEX.test(commandLine)) return null;
+
+  return {
+    kind: payload.issue.pull_request ? "pull_request" : "issue",
+    number: payload.issue.number,
+    commentId: payload.comment.id,
+    author: payload.comment.user.login,
+    commandLine,
+  };
+}
+
+/**
+ * Parses a command line
+ * @param {string} commandLine - Command line from getCommandEvent, e.g. "/figma update 3"
+ * @returns {{name: string, specNumber: number|null}} Command
+ * @throws {Error} If the command is unknown or its spec number is missing or invalid
+ */
+function parseCommand(commandLine) {
+  const [, name = "", ...args] = commandLine.trim().split(/\s+/);
+  const command = name.toLowerCase();
+
+  if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw new Error(
+      `${name ? `Unknown command "${name}".` : "Missing command."} ${COMMAND_USAGE}`
+    );
+  }
+
+  if (!COMMANDS[command]) {
+    if (args.length > 0) {
+      throw new Error(
+        `\`/figma ${command}\` takes no arguments. ${COMMAND_USAGE}`
+      );
+    }
+    return { name: command, specNumber: null };
+  }
+
+  if (args.length !== 1 || !/^\d+$/.test(args[0])) {
+    throw new Error(
+      `\`/figma ${command}\` needs the number of a Design Spec, e.g. \`/figma ${command} 2\`.`
+    );
+  }
+  return { name: command, specNumber: parseInt(args[0], 10) };
+}
+
+/**
+ * Checks whether a permission level allows running commands
+ * @param {string} permission - Permission from fetchCollaboratorPermission
+ * @returns {boolean} True for write access and above
+ */
+function canRunCommands(permission) {
+  return COMMAND_PERMISSIONS.includes(permission);
+}
+
+/**
+ * Runs a command against a Markdown body with a Design Specs section
+ * @param {{name: string, specNumber: number|null}} command - Command from parseCommand
+ * @param {string} body - Markdown body (e.g. a PR description)
+ * @param {Object} options - Pipeline options
+ * @param {Object} options.figma - Run-scoped Figma client from createFigmaClient
+ * @param {Object|null} [options.imageStore] - Permanent image store (null to use temporary Figma URLs)
+ * @param {Object} [options.config] - Repository configuration from loadConfig
+ * @returns {Promise<{body: string, message: string}>} Updated body and the outcome to reply with
+ * @throws {Error} If the command cannot be run, e.g. the spec does not exist
+ */
+async function runCommand(
+  command,
+  body,
+  { figma, imageStore = null, config = DEFAULT_CONFIG }
+) {
+  switch (command.name) {
+    case "refresh": {
+      // Images that never expire are left alone, re-rendering them gives the same image
+      const result = await pipeline.refreshExpiringImages(
+        body,
+        figma,
+        Infinity,
+        imageStore,
+        config
+      );
+      return {
+        body: result.body,
+        message: `Re-rendered ${result.refreshedCount} preview image(s).`,
+      };
+    }
+    case "update":
+      return updateSpec(body, command.specNumber, {
+        figma,
+        imageStore,
+        config,
+      });
+    case "remove":
+      return removeSpec(body, command.specNumber, config);
+    case "revert":
+      return revertSpecs(body, config);
+    default:
+      return { body, message: createStatusMessage(body, config) };
+  }
+}
+
+/**
+ * Re-snapshots a spec at the latest version (the latest named version when versions.snapshot is "named")
+ * @param {string} body - Markdown body
+ * @param {number} specNumber - Spec to update
+ * @param {Object} options - Pipeline options, as for runCommand
+ * @returns {Promise<{body: string, message: string}>} Updated body and outcome
+ */
+async function updateSpec(body, specNumber, { figma, imageStore, config }) {
+  const spec = findSpec(body, specNumber, config);
+  const version = await pipeline.getSnapshotVersion(
+    spec.fileId,
+    figma,
+    config
+  );
+  const isCurrent = version.id === spec.versionId;
+
+  const result = await pipeline.rewriteSpecBlocks(
+    body,
+    async (block, parsed) => {
+      if (block.specNumber !== specNumber) return null;
+      return isCurrent
+        ? specParser.setDriftBanner(block.content, null)
+        : pipeline.moveSpecToVersion(
+            block.content,
+            parsed,
+            version,
+            figma,
+            imageStore,
+            config
+          );
+    },
+    config
+  );
+
+  return {
+    body: result.body,
+    message: isCurrent
+      ? `Design Spec ${specNumber} is already at the latest version (${version.id}).`
+      : `Updated Design Spec ${specNumber} from version ${spec.versionId} to ${version.id}.`,
+  };
+}
+
+/**
+ * Removes a spec and its references, and renumbers the specs after it
+ * @param {string} body - Markdown body
+ * @param {number} specNumber - Spec to remove
+ * @param {Object} config - Repository configuration from loadConfig
+ * @returns {{body: string, message: string}} Updated body and outcome
+ */
+function removeSpec(body, specNumber, config) {
+  findSpec(body, specNumber, config);
+
+  // "Login ([Refer to Design Spec 2 below](#design-spec-2))" becomes "Login"
+  const withoutReferences = pipeline.mapOutsideSpecBlocks(body, (text) =>
+    removeReferences(text, specNumber, config)
+  );
+
+  const keptSpecNumbers = new Set(
+    specParser
+      .findSpecBlocks(withoutReferences)
+      .map((block) => block.specNumber)
+      .filter((number) => number !== specNumber)
+  );
+  const pruneResult = pipeline.pruneOrphanedSpecs(
+    withoutReferences,
+    keptSpecNumbers,
+    "remove",
+    config
+  );
+  if (pruneResult.prunedCount === 0) {
+    throw new Error(
+      `Design Spec ${specNumber} could not be removed because the Design Specs section has no end marker.`
+    );
+  }
+
+  return {
+    body: pipeline.renumberSpecReferences(
+      pruneResult.body,
+      pruneResult.numbering,
+      config
+    ),
+    message: `Removed Design Spec ${specNumber} and its references.`,
+  };
+}
+
+/**
+ * Removes the references to a spec from text outside spec blocks, keeping the link text of Markdown links.
+ * The patterns are rendered from the configured reference template, so custom layouts are matched too.
+ * @param {string} text - Text outside spec blocks
+ * @param {number} specNumber - Spec whose references are removed
+ * @param {Object} config - Repository configuration from loadConfig
+ * @returns {string} Text without the references
+ */
+function removeReferences(text, specNumber, config) {
+  const renderReference = (isMarkdownLink, linkText) =>
+    utils.createReferenceText(
+      isMarkdownLink,
+      linkText,
+      specNumber,
+      `design-spec-${specNumber}`,
+      config.referenceText,
+      config.templates.reference
+    );
+
+  // The link text becomes a capture group that cannot run over the brackets of the reference itself
+  const markdownParts = renderReference(true, LINK_TEXT_PLACEHOLDER)
+    .split(LINK_TEXT_PLACEHOLDER)
+    .map(regexPatterns.escapeRegExp);
+  const markdownRegex = new RegExp(
+    markdownParts.join("([^\\[\\]\\n]*?)"),
+    "g"
+  );
+  const hasLinkText = markdownParts.length > 1;
+
+  // Anything left, e.g. a reference made with an earlier template, is removed as a whole
+  const fallbackRegex = new RegExp(
+    `\\[[^\\]\\n]*\\]\\(#design-spec-${specNumber}\\)`,
+    "g"
+  );
+
+  return text
+    .replace(markdownRegex, (match, linkText) =>
+      hasLinkText ? linkText : ""
+    )
+    .split(renderReference(false, null))
+    .join("")
+    .replace(fallbackRegex, "");
+}
+
+/**
+ * Turns references back into the Figma links they replaced and removes the Design Specs section.
+ * Specs with metadata get their original link and link text back; older specs link to the snapshotted version.
+ * @param {string} body - Markdown body
+ * @param {Object} config - Repository configuration from loadConfig
+ * @returns {{body: string, message: string}} Updated body and outcome
+ */
+function revertSpecs(body, config) {
+  const specs = pipeline.findSectionSpecs(body, config);
+  if (specs.length === 0) {
+    throw new Error("There are no Design Specs to revert.");
+  }
+
+  const designUrls = new Map(
+    specs.map((spec) => [spec.specNumber, spec.originalUrl || spec.designUrl])
+  );
+  const restored = pipeline.mapOutsideSpecBlocks(body, (text) => {
+    // "Login ([Refer to Design Spec 1 below](#design-spec-1))" becomes "[Login](https://www.figma.com/...)",
+    // for the text of every link that was replaced by a reference to the spec
+    const withLinks = specs.reduce((updated, spec) => {
+      const linkTexts =
+        spec.linkTexts.length > 0 ? spec.linkTexts : [spec.linkText];
+
+      // Longer texts first, so "Login" does not match the end of "Login again"
+      return linkTexts
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .reduce((restoredText, linkText) => {
+          const reference = utils.createReferenceText(
+            true,
+            linkText,
+            spec.specNumber,
+            `design-spec-${spec.specNumber}`,
+            config.referenceText,
+            config.templates.reference
+          );
+          return restoredText
+            .split(reference)
+            .join(`[${linkText}](${designUrls.get(spec.specNumber)})`);
+        }, updated);
+    }, text);
+
+    // Any other reference, e.g. "[Refer to Design Spec 2 below](#design-spec-2)", becomes the bare URL
+    return withLinks.replace(
+      /\[[^\]\n]*\]\(#design-spec-(\d+)\)/g,
+      (match, number) => designUrls.get(parseInt(number, 10)) || match
+    );
+  });
+
+  return {
+    body: pipeline.removeDesignSpecsSection(restored, config),
+    message: `Restored the Figma links of ${specs.length} Design Spec(s) and removed the Design Specs section.`,
+  };
+}
+
+/**
+ * Describes the health of each spec in a body
+ * @param {string} body - Markdown body
+ * @param {Object} config - Repository configuration from loadConfig
+ * @returns {string} Markdown summary with a table of the specs
+ */
+function createStatusMessage(body, config) {
+  const specs = pipeline.findSectionSpecs(body, config);
+  const failedLinks = (
+    body.match(regexPatterns.LINK_ERROR_MARKER_REGEX) || []
+  ).length;
+  const health = {
+    ...specStatus.summarizeSpecHealth(specs, runReport.createRunReport()),
+    failedLinks,
+  };
+  const summary = `**Design Specs:** ${health.current} current, ${health.stale} stale, ${health.expiredImages} expired image(s), ${health.failedLinks} failed link(s)`;
+  if (specs.length === 0) return summary;
+
+  const rows = specs.map((spec) => {
+    const states = [];
+    if (spec.hasDriftBanner) states.push("⚠️ Stale");
+    if (specParser.isImageExpiring(spec.imageExpires, 0)) {
+      states.push("⏳ Image expired");
+    }
+    return `| [Design Spec ${spec.specNumber}](#design-spec-${spec.specNumber}) | ${spec.versionId || "—"} | ${spec.snapshotTimestamp || "—"} | ${spec.imageExpires || "—"} | ${states.join(", ") || "✅ Current"} |`;
+  });
+
+  return [
+    summary,
+    "",
+    "| Spec | Version | Snapshot Timestamp | Image Expires | State |",
+    "|---|---|---|---|---|",
+    ...rows,
+  ].join("\n");
+}
+
+/**
+ * Finds a spec of the Design Specs section by number
+ * @param {string} body - Markdown body
+ * @param {number} specNumber - Spec number
+ * @param {Object} config - Repository configuration from loadConfig
+ * @returns {Object} Parsed spec from findSectionSpecs
+ * @throws {Error} If the section has no such spec
+ */
+function findSpec(body, specNumber, config) {
+  const spec = pipeline
+    .findSectionSpecs(body, config)
+    .find((sectionSpec) => sectionSpec.specNumber === specNumber);
+  if (!spec) {
+    throw new Error(`Design Spec ${specNumber} does not exist.`);
+  }
+  return spec;
+}
+
+/**
+ * Creates the reply to a command comment
+ * @param {string} commandLine - Command line from getCommandEvent
+ * @param {string} author - Login of the comment author
+ * @param {string} message - Outcome of the command
+ * @param {boolean} succeeded - Whether the command ran
+ * @returns {string} Markdown reply
+ */
+function createCommandReply(commandLine, author, message, succeeded) {
+  return `@${author} ${succeeded ? "✅" : "❌"} \`${commandLine}\`\n\n${message}`;
+}
+
+module.exports = {
+  getCommandEvent,
+  parseCommand,
+  canRunCommands,
+  runCommand,
+  createCommandReply,
+};
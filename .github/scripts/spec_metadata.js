@@ -0,0 +1,88 @@
+const regexPatterns = require("./regex");
+
+/**
+ * Machine-readable metadata stored in a hidden JSON comment at the top of each spec block,
+ * e.g. '<!-- SPEC_METADATA: {"originalUrl":"https://www.figma.com/...","fileId":"abc123",...} -->'.
+ * Later runs read a spec's state from it instead of scraping the rendered Markdown.
+ */
+
+// Stored fields, in the order they are written
+const METADATA_FIELDS = [
+  "originalUrl",
+  "linkText",
+  "linkTexts",
+  "fileId",
+  "nodeId",
+  "versionId",
+  "snapshotTimestamp",
+  "imageUrl",
+  "imageInline",
+  "imageExpires",
+  "stale",
+  "history",
+  "createdAt",
+];
+
+/**
+ * Creates the metadata comment of a spec block
+ * @param {{originalUrl: string, linkText: string|null, linkTexts: Array<string>|null, fileId: string, nodeId: string, versionId: string, snapshotTimestamp: string|null, imageUrl: string, imageInline: boolean, imageExpires: string|null, stale: boolean, history: Array<{versionId: string, snapshotTimestamp: string|null, imageUrl: string}>, createdAt: string}} metadata - Spec metadata (missing fields are stored as null)
+ * @returns {string} HTML comment with the metadata as JSON
+ */
+function createSpecMetadataComment(metadata) {
+  const data = {};
+  for (const field of METADATA_FIELDS) {
+    data[field] = metadata[field] === undefined ? null : metadata[field];
+  }
+
+  // Escaping "<" and ">" keeps link text like "-->" from closing the comment early
+  const json = JSON.stringify(data)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e");
+  return `<!-- SPEC_METADATA: ${json} -->`;
+}
+
+/**
+ * Reads the metadata comment of a spec block
+ * @param {string} blockContent - Content of a single spec block
+ * @returns {Object|null} Spec metadata, or null if the block has none (e.g. it was created before metadata was stored) or it is invalid
+ */
+function parseSpecMetadata(blockContent) {
+  const match = blockContent.match(regexPatterns.SPEC_METADATA_REGEX);
+  if (!match) return null;
+
+  try {
+    const data = JSON.parse(match[1]);
+    if (!data || typeof data !== "object" || Array.isArray(data)) return null;
+
+    const metadata = {};
+    for (const field of METADATA_FIELDS) {
+      metadata[field] = data[field] === undefined ? null : data[field];
+    }
+    return metadata;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Updates fields of a spec block's metadata comment, leaving everything else untouched.
+ * Blocks without metadata are returned unchanged.
+ * @param {string} blockContent - Content of a single spec block
+ * @param {Object} updates - Fields to set, e.g. {imageUrl, imageExpires}
+ * @returns {string} Updated spec block content
+ */
+function setSpecMetadata(blockContent, updates) {
+  const metadata = parseSpecMetadata(blockContent);
+  if (!metadata) return blockContent;
+
+  return blockContent.replace(regexPatterns.SPEC_METADATA_REGEX, () =>
+    createSpecMetadataComment({ ...metadata, ...updates })
+  );
+}
+
+module.exports = {
+  METADATA_FIELDS,
+  createSpecMetadataComment,
+  parseSpecMetadata,
+  setSpecMetadata,
+};
@@ -0,0 +1,400 @@
+const regexPatterns = require("./regex");
+const figmaApi = require("./figma_api");
+const imageOptions = require("./image_options");
+const specMetadata = require("./spec_metadata");
+const utils = require("./util");
+
+/**
+ * Functions for reading and rewriting existing Design Spec blocks
+ */
+
+/**
+ * Finds all protected Design Spec blocks in the given content
+ * @param {string} content - Content to search in (PR body or Design Specs section)
+ * @returns {Array<{specNumber: number, start: number, end: number, content: string}>} Spec blocks in document order
+ */
+function findSpecBlocks(content) {
+  const blocks = [];
+  const blockRegex = new RegExp(regexPatterns.SPEC_BLOCK_REGEX.source, "g");
+  let match;
+
+  while ((match = blockRegex.exec(content)) !== null) {
+    blocks.push({
+      specNumber: parseInt(match[1], 10),
+      start: match.index,
+      end: match.index + match[0].length,
+      content: match[0],
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Reads the Figma coordinates, snapshot and preview image details out of a spec block.
+ * They come from the block's metadata comment. Blocks created before metadata was stored,
+ * or before a field was added to it, are read from their text instead.
+ * @param {string} blockContent - Content of a single spec block
+ * @returns {{designUrl: string, fileId: string, nodeId: string, versionId: string|null, editorType: string, mainFileId: string|null, originalUrl: string|null, linkText: string|null, linkTexts: Array<string>, createdAt: string|null, snapshotTimestamp: string|null, imageUrl: string|null, imageInline: boolean, imageExpires: string|null, imageOverrides: Object, history: Array<Object>, hasDriftBanner: boolean} | null} Parsed spec (originalUrl, linkText and createdAt are null and linkTexts is empty without metadata) or null if the block has no usable design link
+ */
+function parseSpecBlock(blockContent) {
+  const metadata = specMetadata.parseSpecMetadata(blockContent);
+  const designUrl =
+    createDesignUrlFromMetadata(metadata) ||
+    scrapeMatch(blockContent, regexPatterns.SPEC_DESIGN_LINK_REGEX, 1);
+  if (!designUrl) return null;
+
+  const parsed = figmaApi.parseFigmaUrl(designUrl);
+  if (!parsed) return null;
+
+  // Uses the stored field, or scrapes it from the rendered block if it was never stored
+  const read = (field, scrape) =>
+    metadata && metadata[field] !== null ? metadata[field] : scrape();
+
+  return {
+    designUrl,
+    fileId: read("fileId", () => parsed.fileId),
+    nodeId: read("nodeId", () => parsed.nodeId),
+    versionId: read("versionId", () => parsed.versionId),
+    editorType: parsed.editorType,
+    mainFileId: parsed.mainFileId,
+    originalUrl: metadata ? metadata.originalUrl : null,
+    linkText: metadata ? metadata.linkText : null,
+    linkTexts: read("linkTexts", () => []),
+    createdAt: metadata ? metadata.createdAt : null,
+    snapshotTimestamp: read("snapshotTimestamp", () =>
+      scrapeMatch(blockContent, regexPatterns.SPEC_SNAPSHOT_TIMESTAMP_REGEX, 2)
+    ),
+    imageUrl: read(
+      "imageUrl",
+      () =>
+        scrapeMatch(blockContent, regexPatterns.SPEC_IMAGE_SRC_REGEX, 2) ||
+        scrapeMatch(blockContent, regexPatterns.SPEC_IMAGE_LINK_REGEX, 2)
+    ),
+    imageInline: read("imageInline", () =>
+      regexPatterns.SPEC_IMAGE_SRC_REGEX.test(blockContent)
+    ),
+    // Permanently stored images have no expiry, so a stored null is kept
+    imageExpires: metadata
+      ? metadata.imageExpires
+      : scrapeMatch(blockContent, regexPatterns.SPEC_IMAGE_EXPIRES_REGEX, 2),
+    imageOverrides: parseStoredImageOverrides(blockContent),
+    history: read("history", () => parseSpecHistory(blockContent)),
+    hasDriftBanner: read("stale", () =>
+      regexPatterns.SPEC_DRIFT_BANNER_REGEX.test(blockContent)
+    ),
+  };
+}
+
+/**
+ * Scrapes a value from the rendered text of a spec block, for blocks without metadata
+ * @param {string} blockContent - Content of a single spec block
+ * @param {RegExp} regex - Pattern of the rendered field
+ * @param {number} group - Capture group holding the value
+ * @returns {string|null} Captured value, or null if the block doesn't show the field
+ */
+function scrapeMatch(blockContent, regex, group) {
+  const match = blockContent.match(regex);
+  return match ? match[group] : null;
+}
+
+/**
+ * Creates the design link of a spec from its metadata, for custom templates that do not show the link
+ * @param {Object|null} metadata - Spec metadata from parseSpecMetadata
+ * @returns {string|null} Clean Figma URL, or null without metadata
+ */
+function createDesignUrlFromMetadata(metadata) {
+  if (!metadata || !metadata.originalUrl || !metadata.versionId) return null;
+
+  const parsed = figmaApi.parseFigmaUrl(metadata.originalUrl);
+  if (!parsed) return null;
+
+  return utils.createCleanFigmaUrl(
+    metadata.fileId || parsed.fileId,
+    metadata.nodeId || parsed.nodeId,
+    metadata.versionId,
+    parsed.editorType,
+    parsed.mainFileId
+  );
+}
+
+/**
+ * Reads the image option overrides stored in a spec block
+ * @param {string} blockContent - Content of a single spec block
+ * @returns {Object} Image option overrides (empty if none are stored or they are invalid)
+ */
+function parseStoredImageOverrides(blockContent) {
+  const match = blockContent.match(regexPatterns.SPEC_IMAGE_OPTIONS_REGEX);
+  if (!match) return {};
+
+  try {
+    return imageOptions.parseImageOverrides(new URLSearchParams(match[1]));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Rewrites the preview image URL and "Image Expires" line of a spec block and its metadata, leaving everything else untouched
+ * @param {string} blockContent - Content of a single spec block
+ * @param {string} imageUrl - New preview image URL
+ * @param {string|null} expirationString - New image expiration date, or null to drop the line for permanent images
+ * @returns {string} Updated spec block content
+ */
+function replaceSpecImage(blockContent, imageUrl, expirationString) {
+  const updated = blockContent
+    .replace(
+      regexPatterns.SPEC_IMAGE_SRC_REGEX,
+      (match, prefix) => prefix + imageUrl
+    )
+    .replace(
+      regexPatterns.SPEC_IMAGE_LINK_REGEX,
+      (match, prefix) => prefix + imageUrl
+    );
+
+  const withMetadata = specMetadata.setSpecMetadata(updated, {
+    imageUrl,
+    imageExpires: expirationString,
+  });
+
+  if (!expirationString) {
+    return withMetadata.replace(
+      regexPatterns.SPEC_IMAGE_EXPIRES_LINE_REGEX,
+      ""
+    );
+  }
+  return withMetadata.replace(
+    regexPatterns.SPEC_IMAGE_EXPIRES_REGEX,
+    (match, prefix) => prefix + expirationString
+  );
+}
+
+/**
+ * Re-points a spec block at a new Figma version: design link, version, version name and description, snapshot timestamp and image.
+ * Any drift banner is removed since the spec is current afterwards.
+ * @param {string} blockContent - Content of a single spec block
+ * @param {{cleanUrl: string, versionId: string, versionDetails: string, snapshotTimestamp: string, imageUrl: string, expirationString: string|null}} snapshot - New snapshot details, with version fields from createVersionDetails
+ * @returns {string} Updated spec block content
+ */
+function replaceSpecSnapshot(blockContent, snapshot) {
+  const updated = setVersionDetails(
+    setDriftBanner(
+      specMetadata.setSpecMetadata(blockContent, {
+        versionId: snapshot.versionId,
+        snapshotTimestamp: snapshot.snapshotTimestamp,
+      }),
+      null
+    ),
+    snapshot.versionDetails || ""
+  )
+    .replace(
+      regexPatterns.SPEC_DESIGN_LINK_REGEX,
+      (match, url) => match.replace(url, snapshot.cleanUrl)
+    )
+    .replace(
+      regexPatterns.SPEC_VERSION_REGEX,
+      (match, prefix) => prefix + snapshot.versionId
+    )
+    .replace(
+      regexPatterns.SPEC_SNAPSHOT_TIMESTAMP_REGEX,
+      (match, prefix) => prefix + snapshot.snapshotTimestamp
+    );
+
+  return replaceSpecImage(
+    updated,
+    snapshot.imageUrl,
+    snapshot.expirationString
+  );
+}
+
+/**
+ * Replaces the version name and description fields of a spec block. They sit directly below the "Version" field.
+ * @param {string} blockContent - Content of a single spec block
+ * @param {string} versionDetails - Fields created by createVersionDetails ("" to remove them)
+ * @returns {string} Updated spec block content
+ */
+function setVersionDetails(blockContent, versionDetails) {
+  return blockContent
+    .replace(regexPatterns.SPEC_VERSION_DETAILS_REGEX, "")
+    .replace(
+      regexPatterns.SPEC_VERSION_LINE_REGEX,
+      (match) => match + versionDetails
+    );
+}
+
+/**
+ * Adds, replaces or removes the drift banner of a spec block and records whether the spec is stale in its metadata.
+ * The banner sits directly above the "Version" field.
+ * @param {string} blockContent - Content of a single spec block
+ * @param {string|null} banner - Banner created by createDriftBanner, or null to remove it
+ * @returns {string} Updated spec block content
+ */
+function setDriftBanner(blockContent, banner) {
+  const withoutBanner = specMetadata
+    .setSpecMetadata(blockContent, { stale: Boolean(banner) })
+    .replace(regexPatterns.SPEC_DRIFT_BANNER_REGEX, "");
+  if (!banner) return withoutBanner;
+
+  return withoutBanner.replace(
+    regexPatterns.SPEC_VERSION_REGEX,
+    (match) => banner + match
+  );
+}
+
+/**
+ * Reads the earlier snapshots recorded in a spec block's version history
+ * @param {string} blockContent - Content of a single spec block
+ * @returns {Array<{versionId: string, snapshotTimestamp: string|null, imageUrl: string}>} Earlier snapshots, newest first (empty if the spec was never updated)
+ */
+function parseSpecHistory(blockContent) {
+  const match = blockContent.match(regexPatterns.SPEC_HISTORY_REGEX);
+  if (!match) return [];
+
+  return Array.from(
+    match[0].matchAll(regexPatterns.SPEC_HISTORY_ENTRY_REGEX),
+    (entry) => ({
+      versionId: entry[1],
+      snapshotTimestamp: entry[2] === "—" ? null : entry[2],
+      imageUrl: entry[3],
+    })
+  );
+}
+
+/**
+ * Rewrites image URLs in the comparison and version history of a spec block and its metadata,
+ * leaving the rest of the block untouched
+ * @param {string} blockContent - Content of a single spec block
+ * @param {Map<string, string>} imageUrls - New image URLs keyed by the URLs they replace
+ * @returns {string} Updated spec block content
+ */
+function replaceHistoryImages(blockContent, imageUrls) {
+  const metadata = specMetadata.parseSpecMetadata(blockContent);
+  const withMetadata =
+    metadata && metadata.history
+      ? specMetadata.setSpecMetadata(blockContent, {
+          history: metadata.history.map((snapshot) => ({
+            ...snapshot,
+            imageUrl: imageUrls.get(snapshot.imageUrl) || snapshot.imageUrl,
+          })),
+        })
+      : blockContent;
+
+  return withMetadata.replace(regexPatterns.SPEC_HISTORY_REGEX, (history) => {
+    let updated = history;
+    for (const [previousUrl, imageUrl] of imageUrls) {
+      updated = updated.split(previousUrl).join(imageUrl);
+    }
+    return updated;
+  });
+}
+
+/**
+ * Adds or replaces the version history of a spec block. The history sits directly below the preview image,
+ * or above the end marker if the block has no preview.
+ * The earlier snapshots are also stored in the block's metadata.
+ * @param {string} blockContent - Content of a single spec block
+ * @param {string} history - History created by createSpecHistoryMarkdown
+ * @param {Array<{versionId: string, snapshotTimestamp: string|null, imageUrl: string}>} snapshots - Earlier snapshots shown in the history, newest first
+ * @returns {string} Updated spec block content
+ */
+function setSpecHistory(blockContent, history, snapshots) {
+  const withMetadata = specMetadata.setSpecMetadata(blockContent, {
+    history: snapshots.map(({ versionId, snapshotTimestamp, imageUrl }) => ({
+      versionId,
+      snapshotTimestamp,
+      imageUrl,
+    })),
+  });
+  if (regexPatterns.SPEC_HISTORY_REGEX.test(withMetadata)) {
+    return withMetadata.replace(
+      regexPatterns.SPEC_HISTORY_REGEX,
+      () => history
+    );
+  }
+
+  const imageMatch =
+    withMetadata.match(regexPatterns.SPEC_IMAGE_SRC_REGEX) ||
+    withMetadata.match(regexPatterns.SPEC_IMAGE_LINK_REGEX);
+  if (!imageMatch) {
+    return withMetadata.replace(
+      /<!-- END_SPEC_\d+ -->$/,
+      (match) => `${history}\n\n${match}`
+    );
+  }
+
+  const lineEnd = withMetadata.indexOf("\n", imageMatch.index);
+  const insertAt = lineEnd === -1 ? withMetadata.length : lineEnd;
+  const before = withMetadata.slice(0, insertAt);
+  const after = withMetadata.slice(insertAt);
+  return `${before}\n\n${history}${after}`;
+}
+
+/**
+ * Gives a spec block a new number: its markers, anchor and default title
+ * @param {string} blockContent - Content of a single spec block
+ * @param {number} specNumber - Current spec number
+ * @param {number} newSpecNumber - New spec number
+ * @returns {string} Updated spec block content
+ */
+function renumberSpecBlock(blockContent, specNumber, newSpecNumber) {
+  if (specNumber === newSpecNumber) return blockContent;
+
+  const numberRegex = new RegExp(
+    `(START_SPEC_|END_SPEC_|design-spec-|Design Spec )${specNumber}(?!\\d)`,
+    "g"
+  );
+  return blockContent.replace(
+    numberRegex,
+    (match, prefix) => `${prefix}${newSpecNumber}`
+  );
+}
+
+/**
+ * Turns a spec block into an archived entry: without its markers it is no longer a spec,
+ * and its anchor is renamed so it cannot clash with a spec that later gets the same number
+ * @param {string} blockContent - Content of a single spec block
+ * @param {number} specNumber - Spec number
+ * @returns {string} Archived entry
+ */
+function archiveSpecBlock(blockContent, specNumber) {
+  return blockContent
+    .replace(`<!-- START_SPEC_${specNumber} -->`, "")
+    .replace(`<!-- END_SPEC_${specNumber} -->`, "")
+    .replace(
+      new RegExp(`design-spec-${specNumber}(?!\\d)`, "g"),
+      `archived-spec-${specNumber}`
+    )
+    .trim();
+}
+
+/**
+ * Checks whether a spec image expires within the given number of days
+ * @param {string|null} imageExpires - Expiration date in YYYY-MM-DD format
+ * @param {number} withinDays - Number of days ahead to consider as expiring
+ * @param {Date} [now] - Reference date (defaults to current time)
+ * @returns {boolean} True if the image has expired or will expire within the window
+ */
+function isImageExpiring(imageExpires, withinDays, now = new Date()) {
+  if (!imageExpires) return false;
+
+  const expiresAt = new Date(`${imageExpires}T00:00:00Z`);
+  if (isNaN(expiresAt.getTime())) return false;
+
+  const windowEnd = now.getTime() + withinDays * 24 * 60 * 60 * 1000;
+  return expiresAt.getTime() <= windowEnd;
+}
+
+module.exports = {
+  findSpecBlocks,
+  parseSpecBlock,
+  replaceSpecImage,
+  replaceSpecSnapshot,
+  setVersionDetails,
+  setDriftBanner,
+  parseSpecHistory,
+  replaceHistoryImages,
+  setSpecHistory,
+  renumberSpecBlock,
+  archiveSpecBlock,
+  isImageExpiring,
+};
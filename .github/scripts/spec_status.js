@@ -0,0 +1,151 @@
+const specParser = require("./spec_parser");
+const runReport = require("./run_report");
+
+/**
+ * Commit status on the pull request head that summarizes the health of its Design Specs
+ * and fails according to a configurable policy, so it can gate merges
+ */
+
+// Name of the status in the merge box, also what branch protection rules refer to
+const STATUS_CONTEXT = "Figma PR Images / design specs";
+
+// Conditions that can fail the status
+const FAIL_CONDITIONS = ["stale", "expired-images", "failed-links", "no-design"];
+
+// GitHub truncates longer status descriptions
+const MAX_DESCRIPTION_LENGTH = 140;
+
+/**
+ * Reads commit status settings from environment variables
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.COMMIT_STATUS] - "true" to publish a commit status on the pull request head
+ * @param {string} [env.STATUS_FAIL_ON] - Comma-separated conditions that fail the status ("failed-links" by default, "" never fails)
+ * @param {string} [env.DESIGN_REQUIRED_LABEL] - Label that makes "no-design" apply ("needs-design" by default, "" for every pull request)
+ * @returns {{enabled: boolean, failOn: string[], requiredLabel: string}} Status options
+ * @throws {Error} If STATUS_FAIL_ON contains an unknown condition
+ */
+function getStatusOptions(env) {
+  const failOnList =
+    env.STATUS_FAIL_ON === undefined ? "failed-links" : env.STATUS_FAIL_ON;
+  const failOn = failOnList
+    .split(",")
+    .map((condition) => condition.trim())
+    .filter(Boolean);
+
+  const unknown = failOn.find(
+    (condition) => !FAIL_CONDITIONS.includes(condition)
+  );
+  if (unknown) {
+    throw new Error(
+      `Invalid STATUS_FAIL_ON condition "${unknown}". Expected "stale", "expired-images", "failed-links" or "no-design".`
+    );
+  }
+
+  return {
+    enabled: env.COMMIT_STATUS === "true",
+    failOn,
+    requiredLabel:
+      env.DESIGN_REQUIRED_LABEL === undefined
+        ? "needs-design"
+        : env.DESIGN_REQUIRED_LABEL.trim(),
+  };
+}
+
+/**
+ * Counts the specs of a run by health
+ * @param {Array<Object>} specs - Parsed specs from findSectionSpecs, after processing
+ * @param {Object} report - Run report from createRunReport
+ * @param {Date} [now] - Reference date (defaults to current time)
+ * @returns {{total: number, current: number, stale: number, expiredImages: number, failedLinks: number}} Spec health
+ */
+function summarizeSpecHealth(specs, report, now = new Date()) {
+  let current = 0;
+  let stale = 0;
+  let expiredImages = 0;
+
+  for (const spec of specs) {
+    const isExpired = specParser.isImageExpiring(spec.imageExpires, 0, now);
+    if (spec.hasDriftBanner) stale++;
+    if (isExpired) expiredImages++;
+    if (!spec.hasDriftBanner && !isExpired) current++;
+  }
+
+  return {
+    total: specs.length,
+    current,
+    stale,
+    expiredImages,
+    failedLinks: runReport.countFailedLinks(report),
+  };
+}
+
+/**
+ * Applies the status policy to the spec health of a pull request
+ * @param {{total: number, current: number, stale: number, expiredImages: number, failedLinks: number}} health - Spec health from summarizeSpecHealth
+ * @param {{failOn: string[], requiredLabel: string}} options - Status options from getStatusOptions
+ * @param {string[]} labels - Label names of the pull request
+ * @returns {{state: string, description: string}} "success" or "failure", with the counts and any failed conditions
+ */
+function evaluateSpecStatus(health, options, labels) {
+  const designRequired =
+    !options.requiredLabel || labels.includes(options.requiredLabel);
+  const failures = [
+    ["stale", health.stale > 0, `${health.stale} stale spec(s)`],
+    [
+      "expired-images",
+      health.expiredImages > 0,
+      `${health.expiredImages} expired image(s)`,
+    ],
+    [
+      "failed-links",
+      health.failedLinks > 0,
+      `${health.failedLinks} failed link(s)`,
+    ],
+    [
+      "no-design",
+      designRequired && health.total === 0 && health.failedLinks === 0,
+      "no Figma link",
+    ],
+  ]
+    .filter(
+      ([condition, applies]) => applies && options.failOn.includes(condition)
+    )
+    .map(([, , reason]) => reason);
+
+  const counts = `${health.current} current, ${health.stale} stale, ${health.expiredImages} expired image(s), ${health.failedLinks} failed link(s)`;
+  const description =
+    failures.length > 0
+      ? `Failing on ${failures.join(", ")}. ${counts}`
+      : counts;
+
+  return {
+    state: failures.length > 0 ? "failure" : "success",
+    description:
+      description.length > MAX_DESCRIPTION_LENGTH
+        ? `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`
+        : description,
+  };
+}
+
+/**
+ * Links the status to the workflow run, where the job summary lists each link
+ * @param {Object} env - Environment variables object
+ * @param {string} [env.GITHUB_SERVER_URL] - GitHub URL set by GitHub Actions
+ * @param {string} [env.GITHUB_REPOSITORY] - Repository in "owner/repo" format
+ * @param {string} [env.GITHUB_RUN_ID] - ID of the workflow run
+ * @returns {string|null} Workflow run URL, or null outside GitHub Actions
+ */
+function getRunUrl(env) {
+  if (!env.GITHUB_SERVER_URL || !env.GITHUB_REPOSITORY || !env.GITHUB_RUN_ID) {
+    return null;
+  }
+  return `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`;
+}
+
+module.exports = {
+  STATUS_CONTEXT,
+  getStatusOptions,
+  summarizeSpecHealth,
+  evaluateSpecStatus,
+  getRunUrl,
+};
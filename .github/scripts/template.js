@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Placeholder templates for Design Spec snippets and reference text.
+ * Supports {{name}} values, {{#name}}...{{/name}} blocks rendered when a value is set
+ * and {{^name}}...{{/name}} blocks rendered when it is empty.
+ */
+
+// Values available to spec templates
+const SPEC_PLACEHOLDERS = [
+  "spec_number",
+  "spec_id",
+  "image_url",
+  "image_format",
+  "image_inline",
+  "design_url",
+  "version_id",
+  "version_label",
+  "version_description",
+  "snapshot_timestamp",
+  "image_expires",
+  "file_id",
+  "node_id",
+  "link_text",
+  "original_url",
+  "node_name",
+  "node_type",
+  "page_name",
+  "dimensions",
+  "last_editor",
+  "design_tokens",
+];
+
+// Values available to reference templates
+const REFERENCE_PLACEHOLDERS = [
+  "spec_number",
+  "spec_id",
+  "reference_text",
+  "link_text",
+];
+
+const SPEC_START_MARKER = "<!-- START_SPEC_{{spec_number}} -->";
+const SPEC_END_MARKER = "<!-- END_SPEC_{{spec_number}} -->";
+
+// The built-in snippet layout; custom spec templates replace it
+const DEFAULT_SPEC_TEMPLATE = fs
+  .readFileSync(path.join(__dirname, "templates", "design-spec.md"), "utf8")
+  .trim();
+
+// Compact layout used in comments, where specs replace the link in place
+const INLINE_SPEC_TEMPLATE = fs
+  .readFileSync(path.join(__dirname, "templates", "inline-spec.md"), "utf8")
+  .trim();
+
+const DEFAULT_REFERENCE_TEMPLATE =
+  "{{#link_text}}{{link_text}} ([{{reference_text}}](#{{spec_id}})){{/link_text}}" +
+  "{{^link_text}}[{{reference_text}}](#{{spec_id}}){{/link_text}}";
+
+const SECTION_REGEX = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const TAG_REGEX = /\{\{([#^/]?)(\w+)\}\}/g;
+// Blocks and values in one pass, so rendered values are never scanned for placeholders
+const RENDER_REGEX = new RegExp(
+  `${SECTION_REGEX.source}|\\{\\{(\\w+)\\}\\}`,
+  "g"
+);
+
+/**
+ * Checks whether a template value counts as set for {{#name}} blocks
+ * @param {*} value - Template value
+ * @returns {boolean} False for null, undefined, false and empty strings
+ */
+function isSet(value) {
+  return (
+    value !== null && value !== undefined && value !== false && value !== ""
+  );
+}
+
+/**
+ * Renders a template with the given values. Missing values render as empty strings.
+ * @param {string} template - Template text
+ * @param {Object<string, *>} values - Values keyed by placeholder name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  return template.replace(
+    RENDER_REGEX,
+    (match, type, sectionName, inner, valueName) => {
+      if (valueName) {
+        return isSet(values[valueName]) ? String(values[valueName]) : "";
+      }
+
+      const set = isSet(values[sectionName]);
+      const shown = type === "#" ? set : !set;
+      return shown ? renderTemplate(inner, values) : "";
+    }
+  );
+}
+
+/**
+ * Checks a template for unknown placeholders and unclosed blocks
+ * @param {string} template - Template text
+ * @param {string[]} allowedPlaceholders - Placeholder names the template may use
+ * @returns {string[]} Problems found (empty if the template is valid)
+ */
+function validateTemplate(template, allowedPlaceholders) {
+  const errors = [];
+
+  const unknown = new Set();
+  for (const [, , name] of template.matchAll(TAG_REGEX)) {
+    if (!allowedPlaceholders.includes(name)) unknown.add(name);
+  }
+  if (unknown.size > 0) {
+    errors.push(
+      `unknown placeholder(s) ${[...unknown]
+        .map((name) => `{{${name}}}`)
+        .join(", ")} (allowed: ${allowedPlaceholders.join(", ")})`
+    );
+  }
+
+  // Strip complete blocks; any block tag left over is unclosed or unopened
+  let stripped = template;
+  let previous;
+  do {
+    previous = stripped;
+    stripped = stripped.replace(SECTION_REGEX, "");
+  } while (stripped !== previous);
+  const strayTag = stripped.match(/\{\{[#^/]\w+\}\}/);
+  if (strayTag) {
+    errors.push(`block ${strayTag[0]} is not closed or opened`);
+  }
+
+  return errors;
+}
+
+/**
+ * Checks a spec template. Besides valid placeholders it must be wrapped in the protected
+ * START_SPEC/END_SPEC markers so spec contents are never scanned for links, and must
+ * contain the {{spec_id}} anchor that reference links point to.
+ * @param {string} template - Spec template text
+ * @returns {string[]} Problems found (empty if the template is valid)
+ */
+function validateSpecTemplate(template) {
+  const errors = validateTemplate(template, SPEC_PLACEHOLDERS);
+  const trimmed = template.trim();
+
+  if (
+    !trimmed.startsWith(SPEC_START_MARKER) ||
+    !trimmed.endsWith(SPEC_END_MARKER) ||
+    trimmed.split(SPEC_START_MARKER).length !== 2 ||
+    trimmed.split(SPEC_END_MARKER).length !== 2
+  ) {
+    errors.push(
+      `must start with ${SPEC_START_MARKER} and end with ${SPEC_END_MARKER}, each used exactly once`
+    );
+  }
+  if (!trimmed.includes("{{spec_id}}")) {
+    errors.push("must contain {{spec_id}} so references can link to the spec");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SPEC_PLACEHOLDERS,
+  REFERENCE_PLACEHOLDERS,
+  DEFAULT_SPEC_TEMPLATE,
+  DEFAULT_REFERENCE_TEMPLATE,
+  INLINE_SPEC_TEMPLATE,
+  renderTemplate,
+  validateTemplate,
+  validateSpecTemplate,
+};
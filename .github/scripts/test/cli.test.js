@@ -0,0 +1,32 @@
+/**
+ * Jest test for the local CLI
+ * Tests argument parsing and dry-run diff output
+ */
+
+const cli = require("../cli");
+
+describe("Local CLI", () => {
+  test("should parse the process command and its options", () => {
+    expect(cli.parseArgs(["process", "--in", "pr.md", "--out", "out.md", "--dry-run"])).toEqual({
+      command: "process",
+      inPath: "pr.md",
+      outPath: "out.md",
+      dryRun: true,
+      help: false,
+    });
+  });
+
+  test("should reject unknown arguments and missing paths", () => {
+    expect(() => cli.parseArgs(["process", "--verbose"])).toThrow("Unknown argument: --verbose");
+    expect(() => cli.parseArgs(["process", "--in"])).toThrow("Missing file path after --in");
+  });
+
+  test("should create a unified diff of the processed body", () => {
+    const diff = cli.createBodyDiff("See the design\n", "See [Design Spec 1](#design-spec-1)\n", "pr.md");
+
+    expect(diff).toContain("--- a/pr.md");
+    expect(diff).toContain("+++ b/pr.md");
+    expect(diff).toContain("-See the design");
+    expect(diff).toContain("+See [Design Spec 1](#design-spec-1)");
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Jest test for comment output mode
+ * Tests output settings, reading and writing the specs comment and keeping specs out of the description
+ */
+
+const commentOutput = require("../comment_output");
+const pipeline = require("../pipeline");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344`;
+const OTHER_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=1-2`;
+
+describe("Comment Output", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should read output settings from the environment", () => {
+    expect(commentOutput.getOutputOptions({})).toEqual({ mode: "description", replaceLinks: false });
+    expect(commentOutput.getOutputOptions({ OUTPUT: "comment", COMMENT_REFERENCES: "true" })).toEqual({
+      mode: "comment",
+      replaceLinks: true,
+    });
+    expect(() => commentOutput.getOutputOptions({ OUTPUT: "issue" })).toThrow(
+      'Invalid OUTPUT "issue". Expected "description" or "comment".'
+    );
+  });
+
+  test("should find the specs comment by its marker and read it back", () => {
+    const specsBody = "\n## Design Specs\n\n<!-- END -->";
+    const comments = [
+      { id: 1, body: "Looks good" },
+      { id: 2, body: commentOutput.createSpecsComment(specsBody).replace(/\n/g, "\r\n") },
+    ];
+
+    const specsComment = commentOutput.findSpecsComment(comments);
+    expect(specsComment.id).toBe(2);
+    expect(commentOutput.readSpecsComment(specsComment)).toBe(specsBody);
+    expect(commentOutput.findSpecsComment([{ id: 1, body: null }])).toBeNull();
+    expect(commentOutput.readSpecsComment(null)).toBe("");
+  });
+
+  test("should add specs to the specs document and leave the body untouched", async () => {
+    const body = `See ${TEST_URL}\n\nand [button](${TEST_URL}) next to ${OTHER_URL}`;
+    const options = { figma: createFigmaStub(), ...LINKS_ONLY };
+
+    const first = await pipeline.processBodyToSpecsComment(body, "", options);
+    expect(first.body).toBe(body);
+    expect(first.specsBody.match(/<!-- START_SPEC_\d+ -->/g)).toEqual([
+      "<!-- START_SPEC_1 -->",
+      "<!-- START_SPEC_2 -->",
+    ]);
+
+    // Links that already have a spec are not snapshotted again
+    const second = await pipeline.processBodyToSpecsComment(body, first.specsBody, options);
+    expect(second.specsBody).toBe(first.specsBody);
+    expect(options.figma.getNodeImageUrl).toHaveBeenCalledTimes(2);
+  });
+
+  test("should replace links with references to existing and new specs", async () => {
+    const options = { figma: createFigmaStub(), ...LINKS_ONLY };
+    const { specsBody } = await pipeline.processBodyToSpecsComment(OTHER_URL, "", options);
+
+    const result = await pipeline.processBodyToSpecsComment(`[button](${OTHER_URL}) and ${TEST_URL}`, specsBody, {
+      ...options,
+      replaceLinks: true,
+    });
+
+    expect(result.body).toBe(
+      "button ([Refer to Design Spec 1 below](#design-spec-1)) and [Refer to Design Spec 2 below](#design-spec-2)"
+    );
+    expect(result.specsBody.match(/<!-- START_SPEC_\d+ -->/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Jest test for the repository configuration file
+ * Tests schema validation, defaults and loading from .github/figma-pr-images.yml or package.json
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const configLoader = require("../config");
+const regexPatterns = require("../regex");
+const utils = require("../util");
+
+describe("Repository Configuration", () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  function writeFile(relativePath, content) {
+    const filePath = path.join(rootDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  test("should use defaults when no configuration exists", () => {
+    expect(configLoader.loadConfig(rootDir)).toEqual({
+      config: configLoader.DEFAULT_CONFIG,
+      source: null,
+    });
+  });
+
+  test("should merge the YAML file over the defaults", () => {
+    writeFile(
+      ".github/figma-pr-images.yml",
+      "section:\n  heading: Figma Designs\n  heading_level: 3\nreference_text: See design {{spec_number}}\n"
+    );
+
+    const { config, source } = configLoader.loadConfig(rootDir);
+
+    expect(source).toBe(".github/figma-pr-images.yml");
+    expect(config.section).toEqual({
+      heading: "Figma Designs",
+      headingLevel: 3,
+      endMarker: configLoader.DEFAULT_CONFIG.section.endMarker,
+    });
+    expect(config.image.format).toBe("png");
+    expect(utils.createReferenceText(false, null, 2, "design-spec-2", config.referenceText)).toBe(
+      "[See design 2](#design-spec-2)"
+    );
+    expect(utils.createDesignSpecsHeading(config.section)).toBe("### Figma Designs");
+  });
+
+  test("should fall back to the figma key in package.json", () => {
+    writeFile("package.json", JSON.stringify({ name: "app", figma: { image: { format: "jpg" } } }));
+
+    const { config, source } = configLoader.loadConfig(rootDir);
+
+    expect(source).toBe('package.json "figma" key');
+    expect(config.image.format).toBe("jpg");
+  });
+
+  test("should report every unknown key and invalid value", () => {
+    writeFile(
+      ".github/figma-pr-images.yml",
+      "section:\n  heading_level: 9\n  colour: red\nimage:\n  format: gif\nformat: png\n"
+    );
+
+    expect(() => configLoader.loadConfig(rootDir)).toThrow(
+      [
+        "Invalid configuration in .github/figma-pr-images.yml:",
+        "  - section.heading_level must be at most 6 (got 9)",
+        '  - Unknown key "section.colour" (allowed: heading, heading_level, end_marker)',
+        '  - image.format must be one of png, jpg, svg, pdf (got "gif")',
+        '  - Unknown key "format" (allowed: section, reference_text, image, design_tokens, versions, templates)',
+      ].join("\n")
+    );
+  });
+
+  test("should reject values of the wrong type and malformed YAML", () => {
+    expect(() => configLoader.validateConfig({ section: "Design Specs" })).toThrow(
+      "section must be an object (got string)"
+    );
+    expect(() => configLoader.validateConfig({ reference_text: "Design Spec" })).toThrow(
+      "reference_text must be a single line without brackets containing {{spec_number}}"
+    );
+
+    writeFile(".github/figma-pr-images.yml", "section: [unclosed\n");
+    expect(() => configLoader.loadConfig(rootDir)).toThrow("Could not parse .github/figma-pr-images.yml");
+  });
+
+  test("should build a heading regex for a configured section heading", () => {
+    const sectionRegex = regexPatterns.createSectionHeadingRegex("Figma (v2) Designs");
+
+    expect(sectionRegex.test("### figma (v2)  designs")).toBe(true);
+    expect(sectionRegex.test("## Figma v2 Designs")).toBe(false);
+    expect(regexPatterns.createSectionHeadingRegex("Design Specs").source).toBe(
+      regexPatterns.DESIGN_SPECS_SECTION_REGEX.source
+    );
+  });
+});
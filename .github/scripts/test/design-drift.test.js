@@ -0,0 +1,118 @@
+/**
+ * Jest test for design drift detection
+ * Tests the banner on specs behind the latest Figma version, its removal once a spec is current,
+ * and moving stale specs to the latest version
+ */
+
+const specParser = require("../spec_parser");
+const utils = require("../util");
+const { checkSpecDrift, getDriftOptions } = require("../pipeline");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_NODE_ID = "3143:20344";
+
+// Version history after two edits since the snapshot at version 100, newest first
+const NEWER_VERSIONS = [
+  { id: "300", created_at: "2025-02-03T10:00:00Z" },
+  { id: "200", created_at: "2025-01-20T10:00:00Z" },
+  { id: "100", created_at: "2025-01-08T14:29:08Z" },
+];
+
+/**
+ * Creates a description with a spec at version 100
+ * @returns {string} Description with a Design Specs section
+ */
+function createDescription() {
+  const snippet = utils.createDesignSpecSnippet(
+    1,
+    "design-spec-1",
+    "https://example.com/v100.png",
+    utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, "100"),
+    "100",
+    "2025-01-08T14:29:08Z",
+    "2025-02-07"
+  );
+  return `Hero ([Refer to Design Spec 1 below](#design-spec-1))\n\n## Design Specs\n${snippet}\n${utils.getDesignSpecsEndMarker()}`;
+}
+
+/**
+ * Creates a Figma client stub with the given version history
+ * @param {Array<{id: string, created_at: string}>} versions - Versions, newest first
+ * @returns {Object} Figma client
+ */
+function createFigma(versions) {
+  return {
+    getVersions: jest.fn(async () => versions),
+    getLatestVersion: jest.fn(async () => versions[0]),
+    prefetchNodeImages: jest.fn(async () => {}),
+    getNodeImageUrl: jest.fn(async (fileId, nodeId, versionId) => `https://example.com/v${versionId}.png`),
+  };
+}
+
+describe("Design Drift", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should only detect drift when it is enabled", () => {
+    expect(getDriftOptions({})).toEqual({ enabled: false, updateStale: false });
+    expect(getDriftOptions({ DETECT_DRIFT: "false" })).toEqual({ enabled: false, updateStale: false });
+    expect(getDriftOptions({ DETECT_DRIFT: "true", UPDATE_STALE_SPECS: "true" })).toEqual({
+      enabled: true,
+      updateStale: true,
+    });
+  });
+
+  test("should flag stale specs with the number of newer versions", async () => {
+    const result = await checkSpecDrift(createDescription(), createFigma(NEWER_VERSIONS), false);
+
+    expect(result.body).toContain(
+      "**⚠️ Newer design version available (2 versions since snapshot, last edited 2025-02-03)**"
+    );
+    expect(specParser.parseSpecBlock(specParser.findSpecBlocks(result.body)[0].content)).toMatchObject({
+      versionId: "100",
+      imageUrl: "https://example.com/v100.png",
+      hasDriftBanner: true,
+    });
+    expect(result.staleCount).toBe(1);
+    expect(result.updatedCount).toBe(0);
+
+    // The count is a lower bound when the pinned version is older than the history that was fetched
+    const reflagged = await checkSpecDrift(result.body, createFigma(NEWER_VERSIONS.slice(0, 2)), false);
+    expect(reflagged.body).toContain("(2+ versions since snapshot, last edited 2025-02-03)");
+    expect(reflagged.body.match(/Newer design version available/g)).toHaveLength(1);
+  });
+
+  test("should remove the banner once the spec is at the latest version", async () => {
+    const body = createDescription();
+    const flagged = await checkSpecDrift(body, createFigma(NEWER_VERSIONS), false);
+
+    const result = await checkSpecDrift(flagged.body, createFigma(NEWER_VERSIONS.slice(2)), false);
+
+    expect(result.body).toBe(body);
+    expect(result.staleCount).toBe(0);
+  });
+
+  test("should move stale specs to the latest version when updateStale is set", async () => {
+    const flagged = await checkSpecDrift(createDescription(), createFigma(NEWER_VERSIONS), false);
+    const figma = createFigma(NEWER_VERSIONS);
+
+    const result = await checkSpecDrift(flagged.body, figma, true);
+    const spec = specParser.parseSpecBlock(specParser.findSpecBlocks(result.body)[0].content);
+
+    expect(spec).toMatchObject({ versionId: "300", imageUrl: "https://example.com/v300.png", hasDriftBanner: false });
+    expect(result.body).not.toContain("Newer design version available");
+    expect(result.updatedCount).toBe(1);
+    expect(result.staleCount).toBe(0);
+    // Stale specs are rendered together with the snapshot they replace, before any of them is rewritten
+    expect(figma.prefetchNodeImages).toHaveBeenCalledWith([
+      expect.objectContaining({ nodeId: "3143:20344", versionId: "300" }),
+      expect.objectContaining({ nodeId: "3143:20344", versionId: "100" }),
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Jest test for design token extraction
+ * Tests colors, typography, radii and spacing found in a node tree and how they are rendered in specs
+ */
+
+const designTokens = require("../design_tokens");
+const utils = require("../util");
+
+const TEST_STYLES = {
+  "1:10": { name: "Heading/H1", styleType: "TEXT" },
+  "1:11": { name: "Surface/Default", styleType: "FILL" },
+};
+const TEST_VARIABLES = {
+  "VariableID:1:20": "color/brand/primary",
+  "VariableID:1:21": "spacing/md",
+};
+
+const TEST_DOCUMENT = {
+  id: "1:2",
+  name: "Login",
+  type: "FRAME",
+  fills: [{ type: "SOLID", color: { r: 1, g: 1, b: 1, a: 1 } }],
+  styles: { fill: "1:11" },
+  cornerRadius: 8,
+  layoutMode: "VERTICAL",
+  paddingTop: 16,
+  paddingRight: 24,
+  paddingBottom: 16,
+  paddingLeft: 24,
+  itemSpacing: 12,
+  boundVariables: { itemSpacing: { type: "VARIABLE_ALIAS", id: "VariableID:1:21" } },
+  children: [
+    {
+      id: "1:3",
+      name: "Title",
+      type: "TEXT",
+      fills: [{ type: "SOLID", color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 0.5 }],
+      styles: { text: "1:10" },
+      style: { fontFamily: "Inter", fontWeight: 700, fontSize: 32, lineHeightPx: 38.734, lineHeightUnit: "PIXELS" },
+    },
+    {
+      id: "1:4",
+      name: "Button",
+      type: "INSTANCE",
+      fills: [
+        {
+          type: "SOLID",
+          color: { r: 0.102, g: 0.451, b: 0.91, a: 1 },
+          boundVariables: { color: { type: "VARIABLE_ALIAS", id: "VariableID:1:20" } },
+        },
+        { type: "GRADIENT_LINEAR", gradientStops: [] },
+      ],
+      rectangleCornerRadii: [8, 8, 0, 0],
+      children: [],
+    },
+    {
+      id: "1:5",
+      name: "Hidden",
+      type: "RECTANGLE",
+      visible: false,
+      fills: [{ type: "SOLID", color: { r: 1, g: 0, b: 0, a: 1 } }],
+    },
+    {
+      id: "1:6",
+      name: "Duplicate",
+      type: "RECTANGLE",
+      fills: [{ type: "SOLID", color: { r: 1, g: 1, b: 1, a: 1 } }],
+      styles: { fill: "1:11" },
+      cornerRadius: 8,
+    },
+  ],
+};
+
+describe("Design Tokens", () => {
+  test("should extract unique tokens from visible nodes", () => {
+    const tokens = designTokens.extractDesignTokens(TEST_DOCUMENT, TEST_STYLES, TEST_VARIABLES);
+
+    expect(tokens.colors).toEqual([
+      { hex: "#FFFFFF", opacity: 100, name: "Surface/Default" },
+      { hex: "#000000", opacity: 50, name: null },
+      { hex: "#1A73E8", opacity: 100, name: "color/brand/primary" },
+    ]);
+    expect(tokens.typography).toEqual([
+      { fontFamily: "Inter", fontWeight: 700, fontSize: "32", lineHeight: "38.73", name: "Heading/H1" },
+    ]);
+    expect(tokens.radii).toEqual([
+      { value: "8", name: null },
+      { value: "8 8 0 0", name: null },
+    ]);
+    expect(tokens.spacing).toEqual([
+      { layer: "Login", direction: "Vertical", padding: "16 24", gap: "12", name: "spacing/md" },
+    ]);
+  });
+
+  test("should fall back to raw values without style or variable names", () => {
+    const tokens = designTokens.extractDesignTokens(TEST_DOCUMENT);
+
+    expect(tokens.colors[0].name).toBeNull();
+    expect(tokens.typography[0].name).toBeNull();
+    expect(tokens.spacing[0].name).toBeNull();
+  });
+
+  test("should render tokens as tables in the spec snippet", () => {
+    const metadata = utils.createNodeMetadata(TEST_DOCUMENT, null, null);
+    metadata.designTokens = utils.createDesignTokensMarkdown(
+      designTokens.extractDesignTokens(TEST_DOCUMENT, TEST_STYLES, TEST_VARIABLES)
+    );
+    const specSnippet = utils.createDesignSpecSnippet(
+      1,
+      "design-spec-1",
+      "https://example.com/image.png",
+      "https://www.figma.com/design/x",
+      "1",
+      "2025-01-08T14:29:08Z",
+      null,
+      undefined,
+      { metadata }
+    );
+
+    expect(specSnippet).toContain("<summary>🎛️ Design Tokens</summary>");
+    expect(specSnippet).toContain("| $\\color{#1A73E8}{\\blacksquare}$ | `#1A73E8` | color/brand/primary |");
+    expect(specSnippet).toContain("| `#000000` 50% |");
+    expect(specSnippet).toContain("| Inter | 700 | 32 | 38.73 | Heading/H1 |");
+    expect(specSnippet).toContain("| Login | Vertical | 16 24 | 12 | spacing/md |");
+  });
+
+  test("should omit empty groups and the section when there are no tokens", () => {
+    const markdown = utils.createDesignTokensMarkdown({
+      colors: [],
+      typography: [],
+      radii: [{ value: "4", name: "radius|sm" }],
+      spacing: [],
+    });
+
+    expect(markdown).toBe("**Corner Radii**\n\n| Radius | Name |\n|---|---|\n| 4 | radius\\|sm |");
+    expect(
+      utils.createDesignTokensMarkdown({ colors: [], typography: [], radii: [], spacing: [] })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Jest test for the run-scoped Figma client
+ * Tests that node images are rendered in batches per file, that version history is fetched once per file
+ * and that nodes are placed on their page however deeply they are nested
+ */
+
+const http = require("../http");
+const figmaApi = require("../figma_api");
+
+const FILE_IDS = ["PtEQFlGwta7PzrMwRjqquH", "Xk29fHq0aL3mBv7cNd1e8Z"];
+const IMAGES_URL_REGEX = /^https:\/\/api\.figma\.com\/v1\/images\/([^?]+)\?ids=([^&]+)/;
+
+/**
+ * Creates node IDs "1:1", "1:2", ...
+ * @param {number} count - Number of nodes
+ * @returns {string[]} Node IDs in colon format
+ */
+function createNodeIds(count) {
+  return Array.from({ length: count }, (_, index) => `1:${index + 1}`);
+}
+
+/**
+ * Lists the images requests that were sent
+ * @returns {Array<{fileId: string, nodeIds: string[]}>} File and node IDs of each request
+ */
+function getImageRequests() {
+  return http.get.mock.calls
+    .map(([url]) => url.match(IMAGES_URL_REGEX))
+    .filter(Boolean)
+    .map(([, fileId, ids]) => ({ fileId, nodeIds: ids.split(",") }));
+}
+
+describe("Figma Client", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(http, "get").mockImplementation(async (url) => {
+      const imagesMatch = url.match(IMAGES_URL_REGEX);
+      if (imagesMatch) {
+        const images = {};
+        for (const nodeId of imagesMatch[2].split(",")) {
+          images[nodeId] = `https://example.com/${imagesMatch[1]}/${nodeId}.png`;
+        }
+        return { data: { images } };
+      }
+      return { data: { versions: [{ id: "100", created_at: "2025-01-08T14:29:08Z" }], pagination: {} } };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should render the nodes of one file in a single images request", async () => {
+    const figma = figmaApi.createFigmaClient("token");
+    const nodeIds = createNodeIds(15);
+
+    await figma.prefetchNodeImages(nodeIds.map((nodeId) => ({ fileId: FILE_IDS[0], nodeId, versionId: "100" })));
+    const imageUrls = await Promise.all(nodeIds.map((nodeId) => figma.getNodeImageUrl(FILE_IDS[0], nodeId, "100")));
+
+    expect(getImageRequests()).toEqual([{ fileId: FILE_IDS[0], nodeIds }]);
+    expect(http.get.mock.calls[0][0]).toContain(`?ids=${nodeIds.join(",")}&`);
+    expect(imageUrls[14]).toBe(`https://example.com/${FILE_IDS[0]}/1:15.png`);
+    expect(http.get).toHaveBeenCalledTimes(1);
+  });
+
+  test("should split large batches and keep files and versions apart", async () => {
+    const figma = figmaApi.createFigmaClient("token");
+    const nodeIds = createNodeIds(60);
+
+    await figma.prefetchNodeImages([
+      ...nodeIds.map((nodeId) => ({ fileId: FILE_IDS[0], nodeId, versionId: "100" })),
+      { fileId: FILE_IDS[1], nodeId: "1:1", versionId: "100" },
+      { fileId: FILE_IDS[0], nodeId: "1:1", versionId: "90" },
+    ]);
+
+    expect(getImageRequests()).toEqual([
+      { fileId: FILE_IDS[0], nodeIds: nodeIds.slice(0, figmaApi.IMAGE_BATCH_SIZE) },
+      { fileId: FILE_IDS[0], nodeIds: nodeIds.slice(figmaApi.IMAGE_BATCH_SIZE) },
+      { fileId: FILE_IDS[1], nodeIds: ["1:1"] },
+      { fileId: FILE_IDS[0], nodeIds: ["1:1"] },
+    ]);
+    expect(http.get.mock.calls[3][0]).toContain("&version=90");
+  });
+
+  test("should fetch version history once per file", async () => {
+    const figma = figmaApi.createFigmaClient("token");
+
+    await Promise.all([
+      figma.getLatestVersion(FILE_IDS[0]),
+      figma.getLatestVersion(FILE_IDS[0]),
+      figma.getLatestVersion(FILE_IDS[1]),
+    ]);
+    await figma.getVersions(FILE_IDS[0]);
+    await figma.getVersion(FILE_IDS[1], "100");
+
+    expect(http.get.mock.calls.map(([url]) => url)).toEqual([
+      `https://api.figma.com/v1/files/${FILE_IDS[0]}/versions`,
+      `https://api.figma.com/v1/files/${FILE_IDS[1]}/versions`,
+    ]);
+  });
+
+  test("should find the page of nested nodes with depth-limited file requests", async () => {
+    const fileUrl = `https://api.figma.com/v1/files/${FILE_IDS[0]}?`;
+    // The path from each page to the requested nodes
+    const document = {
+      children: [
+        { id: "0:1", name: "Cover", children: [{ id: "1:1", name: "Title", children: [] }] },
+        {
+          id: "0:2",
+          name: "Checkout",
+          children: [{ id: "5:1", children: [{ id: "5:2", children: [{ id: "5:3", name: "Pay button" }] }] }],
+        },
+      ],
+    };
+    const cutOff = (node, depth) => ({
+      ...node,
+      children: depth > 0 ? (node.children || []).map((child) => cutOff(child, depth - 1)) : undefined,
+    });
+    http.get.mockImplementation(async (url) => {
+      if (url.startsWith(fileUrl)) {
+        return { data: { document: cutOff(document, Number(new URL(url).searchParams.get("depth"))) } };
+      }
+      const nodes = {};
+      for (const nodeId of new URL(url).searchParams.get("ids").split(",")) {
+        nodes[nodeId] = { document: { id: nodeId, name: "Node", type: "INSTANCE" }, styles: {} };
+      }
+      return { data: { nodes } };
+    });
+    const figma = figmaApi.createFigmaClient("token");
+
+    await figma.prefetchNodeDetails([
+      { fileId: FILE_IDS[0], nodeId: "5:3" },
+      { fileId: FILE_IDS[0], nodeId: "1:1" },
+    ]);
+    const details = await figma.getNodeDetails(FILE_IDS[0], "5:3");
+
+    expect(details.pageName).toBe("Checkout");
+    expect((await figma.getNodeDetails(FILE_IDS[0], "1:1")).pageName).toBe("Cover");
+    // Page names are cached per file, so reading the node at another version doesn't look them up again
+    expect((await figma.getNodeDetails(FILE_IDS[0], "5:3", "100")).pageName).toBe("Checkout");
+    expect(http.get.mock.calls.map(([url]) => url).filter((url) => url.startsWith(fileUrl))).toEqual([
+      `${fileUrl}ids=5:3,1:1&depth=2`,
+      `${fileUrl}ids=5:3&depth=4`,
+    ]);
+  });
+});
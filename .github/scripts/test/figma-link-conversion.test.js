@@ -115,6 +115,37 @@ describe("Figma Link Conversion", () => {
     expect(specSnippet).toContain("design-spec-1");
   });
 
+  test("should show node metadata in design spec snippet", () => {
+    const metadata = utils.createNodeMetadata(
+      {
+        name: "Login <Mobile>",
+        type: "COMPONENT_SET",
+        absoluteBoundingBox: { width: 375.4, height: 812 },
+      },
+      "Onboarding",
+      "dana"
+    );
+    const specSnippet = utils.createDesignSpecSnippet(
+      1,
+      "design-spec-1",
+      TEST_IMAGE_URL,
+      "https://www.figma.com/design/x",
+      TEST_VERSION_ID,
+      "2025-01-08T14:29:08Z",
+      null,
+      undefined,
+      { metadata }
+    );
+
+    expect(specSnippet).toContain("🎨 Login &lt;Mobile&gt;</strong>");
+    expect(specSnippet).toContain('<img alt="Login &lt;Mobile&gt;"');
+    expect(specSnippet).toContain("**Node:** Login &lt;Mobile&gt; (Component set)");
+    expect(specSnippet).toContain("**Page:** Onboarding");
+    expect(specSnippet).toContain("**Dimensions:** 375 × 812");
+    expect(specSnippet).toContain("**Last Edited By:** dana");
+    expect(specSnippet).not.toContain("Design Spec 1");
+  });
+
   test("should create reference text", () => {
     const referenceText = utils.createReferenceText(false, null, 1, "design-spec-1");
     const expectedReference = "[Refer to Design Spec 1 below](#design-spec-1)";
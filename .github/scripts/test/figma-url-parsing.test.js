@@ -0,0 +1,136 @@
+/**
+ * Jest test for Figma URL detection and parsing
+ * Tests every supported Figma URL shape against the detection regexes and parseFigmaUrl
+ */
+
+const regexPatterns = require("../regex");
+const utils = require("../util");
+const figmaApi = require("../figma_api");
+
+// Test data
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_BRANCH_KEY = "Xk2bRbnEp9vY1aXfDBCq8u";
+const TEST_NODE_ID = "3143:20344";
+const TEST_VERSION_ID = "2260315635405056828";
+
+// One fixture per supported URL shape
+const URL_FIXTURES = [
+  {
+    name: "design link",
+    url: `https://www.figma.com/design/${TEST_FILE_ID}/Homepage--9.2?node-id=3143-20344`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "design link without www",
+    url: `https://figma.com/design/${TEST_FILE_ID}/Homepage--9.2?node-id=3143-20344&t=abc123-0`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "design link without file name",
+    url: `https://www.figma.com/design/${TEST_FILE_ID}?node-id=3143-20344`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "legacy file link",
+    url: `https://www.figma.com/file/${TEST_FILE_ID}/Homepage?type=design&node-id=3143-20344&mode=design`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "prototype link",
+    url: `https://www.figma.com/proto/${TEST_FILE_ID}/Homepage?page-id=0%3A1&node-id=3143-20344&starting-point-node-id=3143%3A20344`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "FigJam board link",
+    url: `https://www.figma.com/board/${TEST_FILE_ID}/Retro?node-id=3143-20344`,
+    expected: { fileId: TEST_FILE_ID, editorType: "board", mainFileId: null },
+  },
+  {
+    name: "branch link",
+    url: `https://www.figma.com/design/${TEST_FILE_ID}/branch/${TEST_BRANCH_KEY}/Homepage?node-id=3143-20344`,
+    expected: { fileId: TEST_BRANCH_KEY, editorType: "design", mainFileId: TEST_FILE_ID },
+  },
+  {
+    name: "embed link",
+    url: `https://www.figma.com/embed?embed_host=share&url=https%3A%2F%2Fwww.figma.com%2Fdesign%2F${TEST_FILE_ID}%2FHomepage%3Fnode-id%3D3143-20344`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+  {
+    name: "embed host link",
+    url: `https://embed.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344&embed-host=share`,
+    expected: { fileId: TEST_FILE_ID, editorType: "design", mainFileId: null },
+  },
+];
+
+describe("Figma URL Parsing", () => {
+  describe.each(URL_FIXTURES)("$name", ({ url, expected }) => {
+    test("should be detected as a standalone URL", () => {
+      const content = `Please check ${url} before merging`;
+      const matches = content.match(new RegExp(regexPatterns.FIGMA_URL_REGEX.source, "g"));
+
+      expect(matches).toEqual([url]);
+    });
+
+    test("should be detected inside a markdown link", () => {
+      const content = `See [the design](${url}) for details`;
+      const match = new RegExp(regexPatterns.MARKDOWN_FIGMA_LINK_REGEX.source).exec(content);
+
+      expect(match[1]).toBe("the design");
+      expect(match[2]).toBe(url);
+    });
+
+    test("should parse file ID, node ID and editor type", () => {
+      const parsed = figmaApi.parseFigmaUrl(url);
+
+      expect(parsed).toEqual({
+        ...expected,
+        nodeId: TEST_NODE_ID,
+        versionId: null,
+      });
+    });
+
+    test("should round-trip through a clean URL", () => {
+      const parsed = figmaApi.parseFigmaUrl(url);
+      const cleanUrl = utils.createCleanFigmaUrl(
+        parsed.fileId,
+        parsed.nodeId,
+        TEST_VERSION_ID,
+        parsed.editorType,
+        parsed.mainFileId
+      );
+
+      expect(figmaApi.parseFigmaUrl(cleanUrl)).toEqual({
+        ...parsed,
+        versionId: TEST_VERSION_ID,
+      });
+    });
+  });
+
+  test("should read pinned version IDs", () => {
+    const parsed = figmaApi.parseFigmaUrl(
+      `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344&version-id=${TEST_VERSION_ID}&m=dev`
+    );
+
+    expect(parsed.versionId).toBe(TEST_VERSION_ID);
+  });
+
+  test("should create clean FigJam and branch URLs", () => {
+    expect(utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, TEST_VERSION_ID, "board")).toBe(
+      `https://www.figma.com/board/${TEST_FILE_ID}/?node-id=3143-20344&version-id=${TEST_VERSION_ID}`
+    );
+    expect(
+      utils.createCleanFigmaUrl(TEST_BRANCH_KEY, TEST_NODE_ID, TEST_VERSION_ID, "design", TEST_FILE_ID)
+    ).toBe(
+      `https://www.figma.com/design/${TEST_FILE_ID}/branch/${TEST_BRANCH_KEY}/?node-id=3143-20344&version-id=${TEST_VERSION_ID}&m=dev`
+    );
+  });
+
+  test.each([
+    ["links without a node", `https://www.figma.com/design/${TEST_FILE_ID}/Homepage`],
+    ["non-Figma hosts", `https://www.figma.com.evil.example/design/${TEST_FILE_ID}/Homepage?node-id=1-2`],
+    ["unsupported editors", `https://www.figma.com/slides/${TEST_FILE_ID}/Deck?node-id=1-2`],
+    ["embed links without a node", `https://www.figma.com/embed?embed_host=share&url=https%3A%2F%2Fwww.figma.com%2Fdesign%2F${TEST_FILE_ID}%2FHomepage`],
+  ])("should ignore %s", (description, url) => {
+    expect(figmaApi.parseFigmaUrl(url)).toBeNull();
+  });
+});
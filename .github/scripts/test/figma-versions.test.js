@@ -0,0 +1,115 @@
+/**
+ * Jest test for Figma version lookups
+ * Tests paging through version history for pinned and named versions and showing version names in specs
+ */
+
+const http = require("../http");
+const figmaApi = require("../figma_api");
+const pipeline = require("../pipeline");
+const configLoader = require("../config");
+const specParser = require("../spec_parser");
+const utils = require("../util");
+const { LINKS_ONLY } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344`;
+const VERSIONS_URL = `https://api.figma.com/v1/files/${TEST_FILE_ID}/versions`;
+const OLDER_PAGE_URL = `${VERSIONS_URL}?page_size=30&before=200`;
+
+// Two pages of version history: autosaves on the first page, a named version on the second
+const VERSION_PAGES = {
+  [VERSIONS_URL]: {
+    versions: [
+      { id: "300", created_at: "2025-03-01T09:00:00Z", label: null, description: null, user: { handle: "robin" } },
+      { id: "200", created_at: "2025-02-01T09:00:00Z", label: "", description: "", user: { handle: "robin" } },
+    ],
+    pagination: { next_page: OLDER_PAGE_URL },
+  },
+  [OLDER_PAGE_URL]: {
+    versions: [
+      {
+        id: "100",
+        created_at: "2025-01-08T14:29:08Z",
+        label: "Sign-off v1",
+        description: "Approved by\n<design> review",
+        user: { handle: "sam" },
+      },
+    ],
+    pagination: {},
+  },
+};
+
+describe("Figma Versions", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(http, "get").mockImplementation(async (url) => ({ data: VERSION_PAGES[url] }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should page through version history for pinned and named versions", async () => {
+    const figma = figmaApi.createFigmaClient("token");
+
+    expect((await figma.getLatestVersion(TEST_FILE_ID)).id).toBe("300");
+    expect((await figma.getLatestNamedVersion(TEST_FILE_ID)).label).toBe("Sign-off v1");
+    expect(await figma.getVersion(TEST_FILE_ID, "100")).toMatchObject({ id: "100", created_at: "2025-01-08T14:29:08Z" });
+    // Each page is fetched once per run
+    expect(http.get).toHaveBeenCalledTimes(2);
+
+    expect(await figma.getVersion(TEST_FILE_ID, "42")).toEqual({ id: "42", created_at: null });
+  });
+
+  test("should snapshot the most recent named version and show its name, description and author", async () => {
+    const figma = {
+      ...figmaApi.createFigmaClient("token"),
+      prefetchNodeImages: async () => {},
+      prefetchNodeDetails: async () => {},
+      getNodeImageUrl: async () => "https://example.com/hero.png",
+      getNodeDetails: async () => ({ document: { name: "Hero", type: "FRAME" }, styles: {}, pageName: null }),
+    };
+    const config = configLoader.validateConfig({ versions: { snapshot: "named" } });
+
+    const body = await pipeline.processBody(`Hero ${TEST_URL}`, {
+      figma,
+      ...LINKS_ONLY,
+      config,
+    });
+    const [block] = specParser.findSpecBlocks(body);
+
+    expect(body).toContain("version-id=100");
+    expect(body).toContain(
+      "**Version:** 100\n\n**Version Name:** Sign-off v1\n\n**Version Description:** Approved by &lt;design&gt; review\n\n**Snapshot Timestamp:** 2025-01-08T14:29:08Z"
+    );
+    expect(body).toContain("**Last Edited By:** sam");
+
+    // Moving the spec to an unnamed version drops the name and description
+    const updated = specParser.replaceSpecSnapshot(block.content, {
+      cleanUrl: `https://www.figma.com/design/${TEST_FILE_ID}/?node-id=3143-20344&version-id=300&m=dev`,
+      versionId: "300",
+      versionDetails: utils.createVersionDetails(utils.createVersionMetadata(VERSION_PAGES[VERSIONS_URL].versions[0])),
+      snapshotTimestamp: "2025-03-01T09:00:00Z",
+      imageUrl: "https://example.com/hero-300.png",
+      expirationString: null,
+    });
+    expect(updated).toContain("**Version:** 300\n\n**Snapshot Timestamp:** 2025-03-01T09:00:00Z");
+    expect(updated).not.toContain("Sign-off v1");
+  });
+
+  test("should drop the snapshot timestamp of pinned versions that cannot be found", () => {
+    const snippet = utils.createDesignSpecSnippet(
+      1,
+      "design-spec-1",
+      "https://example.com/hero.png",
+      `https://www.figma.com/design/${TEST_FILE_ID}/?node-id=3143-20344&version-id=42&m=dev`,
+      "42",
+      null,
+      "2025-02-07"
+    );
+
+    expect(snippet).toContain("**Version:** 42\n\n**Image Expires:** 2025-02-07");
+    expect(snippet).not.toContain("Snapshot Timestamp");
+    expect(snippet).not.toContain("Version Name");
+  });
+});
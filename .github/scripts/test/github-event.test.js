@@ -0,0 +1,143 @@
+/**
+ * Jest test for event detection and comment processing
+ * Tests which resource each event targets, updates that run into concurrent edits and the compact inline specs used in comments
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const githubEvent = require("../github_event");
+const pipeline = require("../pipeline");
+
+const TEST_URL = "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage?node-id=3143-20344";
+
+describe("GitHub Event", () => {
+  test.each([
+    ["pull_request", { action: "edited", pull_request: { number: 3 } }, { kind: "pull_request", number: 3, commentId: null }],
+    ["issues", { action: "opened", issue: { number: 5 } }, { kind: "issue", number: 5, commentId: null }],
+    [
+      "issue_comment",
+      { action: "created", issue: { number: 5 }, comment: { id: 9 } },
+      { kind: "issue_comment", number: 5, commentId: 9 },
+    ],
+    [
+      "pull_request_review_comment",
+      { action: "created", pull_request: { number: 3 }, comment: { id: 11 } },
+      { kind: "review_comment", number: 3, commentId: 11 },
+    ],
+    ["push", { ref: "refs/heads/main" }, null],
+  ])("should detect the target of a %s event", (eventName, payload, expected) => {
+    expect(githubEvent.getEventTarget(payload)).toEqual(expected);
+  });
+
+  test("should read the event payload and fall back to PR_NUMBER", () => {
+    const eventPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "event-")), "event.json");
+    fs.writeFileSync(eventPath, JSON.stringify({ issue: { number: 5 }, comment: { id: 9 } }));
+
+    const target = githubEvent.loadEventTarget({ GITHUB_EVENT_PATH: eventPath, PR_NUMBER: "3" });
+    expect(target).toEqual({ kind: "issue_comment", number: 5, commentId: 9 });
+    expect(githubEvent.isCommentTarget(target)).toBe(true);
+    expect(githubEvent.describeTarget(target)).toBe("comment 9 on #5");
+
+    const prTarget = githubEvent.loadEventTarget({ PR_NUMBER: "3" });
+    expect(githubEvent.isCommentTarget(prTarget)).toBe(false);
+    expect(githubEvent.describeTarget(prTarget)).toBe("PR #3");
+
+    expect(() => githubEvent.loadEventTarget({})).toThrow("GITHUB_EVENT_PATH and PR_NUMBER are not set");
+  });
+});
+
+describe("Concurrent Edits", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should reprocess a body that was edited while it was being processed", async () => {
+    const bodies = ["original", "edited by author", "edited by author"];
+    const fetchBody = jest.fn(async () => bodies.shift());
+    const updateBody = jest.fn(async () => 200);
+
+    const result = await githubEvent.updateLatestBody({ fetchBody, updateBody }, async (body) => `${body} + specs`);
+
+    expect(result).toEqual({ updated: true, body: "edited by author + specs" });
+    expect(updateBody).toHaveBeenCalledTimes(1);
+    expect(updateBody).toHaveBeenCalledWith("edited by author + specs", "edited by author");
+  });
+
+  test("should give up without writing if the body keeps changing", async () => {
+    let edits = 0;
+    const fetchBody = jest.fn(async () => `edit ${edits++}`);
+    const updateBody = jest.fn();
+    const transform = jest.fn(async (body) => `${body} + specs`);
+
+    await expect(githubEvent.updateLatestBody({ fetchBody, updateBody }, transform, 2)).rejects.toThrow(
+      "Gave up after 2 attempts without overwriting it"
+    );
+    expect(transform).toHaveBeenCalledTimes(2);
+    expect(updateBody).not.toHaveBeenCalled();
+  });
+
+  test("should not fetch again or write when nothing changes", async () => {
+    const fetchBody = jest.fn(async () => "no links");
+    const updateBody = jest.fn();
+
+    const result = await githubEvent.updateLatestBody({ fetchBody, updateBody }, async (body) => body);
+
+    expect(result).toEqual({ updated: false, body: "no links" });
+    expect(fetchBody).toHaveBeenCalledTimes(1);
+    expect(updateBody).not.toHaveBeenCalled();
+  });
+});
+
+describe("Comment Processing", () => {
+  const figma = {
+    getLatestVersion: async () => ({ id: "100", created_at: "2025-01-08T14:29:08Z" }),
+    prefetchNodeImages: async () => {},
+    getNodeImageUrl: async (fileId, nodeId) => `https://example.com/${nodeId}.png`,
+    prefetchNodeDetails: async () => {},
+    getNodeDetails: async () => ({
+      document: { name: "Hero", type: "FRAME" },
+      styles: {},
+      pageName: null,
+    }),
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should replace links with compact inline specs", async () => {
+    const body = `Check [the hero](${TEST_URL}) please`;
+
+    const updatedBody = await pipeline.processCommentBody(body, { figma });
+
+    expect(updatedBody).toMatch(
+      /^Check \n<!-- START_SPEC_1 -->\n<!-- SPEC_METADATA: [^\n]* -->\n<details>\n<summary>🎨 the hero<\/summary>/
+    );
+    expect(updatedBody).toContain('<img alt="Hero" src="https://example.com/3143:20344.png" width="480" />');
+    expect(updatedBody).toContain("· Version 100 · Image expires");
+    expect(updatedBody).toMatch(/<!-- END_SPEC_1 -->\n please$/);
+    expect(updatedBody).not.toContain("## Design Specs");
+
+    // Links inside inline specs are not processed again
+    expect(await pipeline.processCommentBody(updatedBody, { figma })).toBe(updatedBody);
+  });
+
+  test("should escape link text in the summary of inline specs", async () => {
+    const body = `Check [<b>Hero</b> & "CTA"](${TEST_URL})`;
+
+    const updatedBody = await pipeline.processCommentBody(body, { figma });
+
+    expect(updatedBody).toContain("<summary>🎨 &lt;b&gt;Hero&lt;/b&gt; &amp; &quot;CTA&quot;</summary>");
+    // The metadata keeps the original text, so reverting restores it unchanged
+    expect(updatedBody).toContain('"linkText":"\\u003cb\\u003eHero\\u003c/b\\u003e & \\"CTA\\""');
+  });
+});
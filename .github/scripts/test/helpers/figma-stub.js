@@ -0,0 +1,59 @@
+/**
+ * Shared Figma client stub and pipeline option presets for tests
+ */
+
+// Turns off image refresh or drift detection
+const DISABLED = { enabled: false };
+
+// Pipeline options that only convert links, without refreshing images or checking for drift
+const LINKS_ONLY = { refreshOptions: DISABLED, driftOptions: DISABLED };
+
+const DEFAULT_VERSIONS = [{ id: "100", created_at: "2025-01-08T14:29:08Z" }];
+
+/**
+ * Renders every node to an example URL
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID (in colon format)
+ * @returns {string} Image URL
+ */
+function renderNode(fileId, nodeId) {
+  return `https://example.com/${nodeId}.png`;
+}
+
+/**
+ * Creates a Figma client stub whose methods are jest mocks. Node details are never available.
+ * @param {Object} [options] - Stub settings
+ * @param {Array<{id: string, created_at: string}>} [options.versions] - Version history of the file, newest first (version 100 by default)
+ * @param {function(string, string, string): string} [options.renderImage] - Returns the image URL of a node at a version, or throws to fail the render
+ * @returns {Object} Figma client
+ */
+function createFigmaStub({
+  versions = DEFAULT_VERSIONS,
+  renderImage = renderNode,
+} = {}) {
+  return {
+    getLatestVersion: jest.fn(async () => versions[0]),
+    getVersions: jest.fn(async () => versions),
+    getVersion: jest.fn(
+      async (fileId, versionId) =>
+        versions.find((version) => version.id === versionId) || {
+          id: versionId,
+          created_at: null,
+        }
+    ),
+    prefetchNodeImages: jest.fn(async () => {}),
+    getNodeImageUrl: jest.fn(async (fileId, nodeId, versionId) =>
+      renderImage(fileId, nodeId, versionId)
+    ),
+    prefetchNodeDetails: jest.fn(async () => {}),
+    getNodeDetails: jest.fn(async () => {
+      throw new Error("no details in tests");
+    }),
+  };
+}
+
+module.exports = {
+  DISABLED,
+  LINKS_ONLY,
+  createFigmaStub,
+};
@@ -0,0 +1,153 @@
+/**
+ * Jest test for the shared HTTP layer
+ * Tests retries, backoff, rate-limit headers and the per-run wait budget with mocked axios
+ */
+
+const axios = require("axios");
+const http = require("../http");
+
+// Mock axios so no real requests are made
+jest.mock("axios");
+
+const TEST_URL = "https://api.figma.com/v1/files/abc123/versions";
+
+function createHttpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe("HTTP Layer", () => {
+  let sleep;
+
+  beforeEach(() => {
+    sleep = jest.fn().mockResolvedValue();
+    http.configureHttp({ sleep });
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test("should pass the timeout to axios", async () => {
+    axios.request.mockResolvedValue({ status: 200, data: {} });
+
+    await http.get(TEST_URL, { headers: { "X-Figma-Token": "fake-token" } });
+
+    expect(axios.request).toHaveBeenCalledWith({
+      timeout: http.DEFAULT_HTTP_OPTIONS.timeoutMs,
+      headers: { "X-Figma-Token": "fake-token" },
+      method: "get",
+      url: TEST_URL,
+    });
+  });
+
+  test("should retry 429 responses honoring Retry-After", async () => {
+    axios.request
+      .mockRejectedValueOnce(createHttpError(429, { "retry-after": "7" }))
+      .mockResolvedValueOnce({ status: 200, data: { versions: [] } });
+
+    const response = await http.get(TEST_URL);
+
+    expect(response.data).toEqual({ versions: [] });
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(7000);
+  });
+
+  test("should retry network errors and 5xx responses", async () => {
+    const networkError = new Error("socket hang up");
+    networkError.code = "ECONNRESET";
+    axios.request
+      .mockRejectedValueOnce(networkError)
+      .mockRejectedValueOnce(createHttpError(502))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await http.get(TEST_URL);
+
+    expect(axios.request).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test("should not retry writes that may already have been applied", async () => {
+    const timeout = new Error("timeout of 30000ms exceeded");
+    timeout.code = "ECONNABORTED";
+    axios.request.mockRejectedValueOnce(timeout);
+
+    await expect(http.post(TEST_URL, { body: "Design Specs" })).rejects.toThrow("timeout of 30000ms exceeded");
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+    expect(http.isRetryableError(createHttpError(502), "patch")).toBe(false);
+  });
+
+  test("should retry writes that were rate limited", async () => {
+    axios.request
+      .mockRejectedValueOnce(createHttpError(429, { "retry-after": "1" }))
+      .mockRejectedValueOnce(createHttpError(403, { "x-ratelimit-remaining": "0" }))
+      .mockResolvedValueOnce({ status: 201, data: { id: 1 } });
+
+    const response = await http.post(TEST_URL, { body: "Design Specs" });
+
+    expect(response.data).toEqual({ id: 1 });
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test("should not retry client errors", async () => {
+    axios.request.mockRejectedValue(createHttpError(404));
+
+    await expect(http.get(TEST_URL)).rejects.toThrow("status code 404");
+    expect(axios.request).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test("should give up after the maximum number of retries", async () => {
+    http.configureHttp({ maxRetries: 2 });
+    axios.request.mockRejectedValue(createHttpError(503));
+
+    await expect(http.get(TEST_URL)).rejects.toThrow("status code 503");
+    expect(axios.request).toHaveBeenCalledTimes(3);
+  });
+
+  test("should stop retrying once the wait budget is exhausted", async () => {
+    http.configureHttp({ maxTotalWaitMs: 10000 });
+    axios.request.mockRejectedValue(createHttpError(429, { "retry-after": "6" }));
+
+    await expect(http.get(TEST_URL)).rejects.toThrow("retry wait budget of 10000ms exhausted");
+    expect(axios.request).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  test("should treat exhausted GitHub rate limits as retryable", () => {
+    expect(http.isRetryableError(createHttpError(403, { "x-ratelimit-remaining": "0" }))).toBe(true);
+    expect(http.isRetryableError(createHttpError(403, { "x-ratelimit-remaining": "12" }))).toBe(false);
+  });
+
+  test("should wait until GitHub's rate limit resets", () => {
+    const now = 1700000000000;
+    const error = createHttpError(403, {
+      "x-ratelimit-remaining": "0",
+      "x-ratelimit-reset": String(now / 1000 + 30),
+    });
+
+    expect(http.getRetryDelayMs(error, 0, now)).toBe(30000);
+  });
+
+  test("should back off exponentially without rate-limit headers", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0);
+    const error = createHttpError(500);
+
+    expect(http.getRetryDelayMs(error, 0)).toBe(1000);
+    expect(http.getRetryDelayMs(error, 2)).toBe(4000);
+    expect(http.getRetryDelayMs(error, 10)).toBe(http.DEFAULT_HTTP_OPTIONS.maxDelayMs);
+  });
+
+  test("should read HTTP settings from environment variables", () => {
+    expect(http.getHttpOptionsFromEnv({ HTTP_TIMEOUT_MS: "5000", HTTP_MAX_RETRIES: "" })).toEqual({
+      timeoutMs: 5000,
+    });
+    expect(() => http.getHttpOptionsFromEnv({ HTTP_MAX_RETRIES: "many" })).toThrow(
+      'Invalid HTTP setting maxRetries: "many"'
+    );
+  });
+});
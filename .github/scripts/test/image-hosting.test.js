@@ -0,0 +1,191 @@
+/**
+ * Jest test for permanent image hosting on a branch
+ * Tests image paths, reusing stored images, and committing to a new or existing branch while other runs commit too
+ */
+
+const http = require("../http");
+const githubApi = require("../github_api");
+const imageHosting = require("../image_hosting");
+
+const GIT_URL = "https://api.github.com/repos/acme/app/git";
+const CONTENTS_URL = "https://api.github.com/repos/acme/app/contents";
+const IMAGE_PATH = "previews/PtEQFlGwta7PzrMwRjqquH/3143-20344/100.png";
+
+/**
+ * Creates an HTTP error as thrown by axios
+ * @param {number} status - Response status
+ * @returns {Error} Error with a response
+ */
+function createHttpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {} };
+  return error;
+}
+
+/**
+ * Replaces the HTTP layer with a fake GitHub repository
+ * @param {Object} repository - Fake repository state
+ * @param {string|null} repository.head - Commit the image branch points to (null if it does not exist)
+ * @param {string[]} [repository.files] - Paths stored on the image branch
+ * @param {function(): void} [repository.beforeRefUpdate] - Runs before each ref update, e.g. to let another run commit
+ * @returns {Object} The repository, whose head is moved by successful ref updates
+ */
+function mockGithub(repository) {
+  let commitCount = 0;
+  const files = repository.files || [];
+
+  jest.spyOn(http, "get").mockImplementation(async (url) => {
+    if (url.startsWith(CONTENTS_URL)) {
+      const path = url.slice(CONTENTS_URL.length + 1).split("?")[0];
+      if (!files.includes(path)) throw createHttpError(404);
+      return { data: {} };
+    }
+    if (url === `${GIT_URL}/ref/heads/figma-previews`) {
+      if (!repository.head) throw createHttpError(404);
+      return { data: { object: { sha: repository.head } } };
+    }
+    if (url.startsWith(`${GIT_URL}/commits/`)) {
+      return { data: { tree: { sha: `tree-of-${url.split("/").pop()}` } } };
+    }
+    return { data: Buffer.from("png") };
+  });
+  jest.spyOn(http, "post").mockImplementation(async (url, data) => {
+    if (url === `${GIT_URL}/blobs`) return { data: { sha: "blob-1" } };
+    if (url === `${GIT_URL}/trees`) return { data: { sha: "tree-new" } };
+    if (url === `${GIT_URL}/commits`) {
+      commitCount++;
+      return { data: { sha: `commit-${commitCount}` } };
+    }
+    // Creating the branch
+    if (repository.beforeRefUpdate) repository.beforeRefUpdate();
+    if (repository.head) throw createHttpError(422);
+    repository.head = data.sha;
+    return { data: {} };
+  });
+  jest.spyOn(http, "patch").mockImplementation(async (url, data) => {
+    const parent = http.post.mock.calls.filter(([postUrl]) => postUrl === `${GIT_URL}/commits`).pop()[1].parents[0];
+    if (repository.beforeRefUpdate) repository.beforeRefUpdate();
+    if (parent !== repository.head) throw createHttpError(422);
+    repository.head = data.sha;
+    return { data: {} };
+  });
+
+  return repository;
+}
+
+/**
+ * Lists the bodies of the POST requests to a git data endpoint
+ * @param {string} endpoint - Endpoint, e.g. "trees"
+ * @returns {Array<Object>} Request bodies in order
+ */
+function getPostedBodies(endpoint) {
+  return http.post.mock.calls.filter(([url]) => url === `${GIT_URL}/${endpoint}`).map(([, data]) => data);
+}
+
+describe("Image Hosting", () => {
+  const store = imageHosting.createBranchImageStore({
+    owner: "acme",
+    repo: "app",
+    branch: "figma-previews",
+    path: "previews",
+    githubToken: "token",
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should key image paths by file, node, version and export settings", () => {
+    expect(imageHosting.createImagePath("previews", "abc123", "3143:20344", "100")).toBe(
+      "previews/abc123/3143-20344/100.png"
+    );
+    expect(
+      imageHosting.createImagePath("", "abc123", "I1:2;3:4", "100", { format: "jpg", scale: 2, useAbsoluteBounds: true })
+    ).toBe("abc123/I1-2-3-4/100@2x-bounds.jpg");
+  });
+
+  test("should reuse an image that is already stored", async () => {
+    mockGithub({ head: "commit-0", files: [IMAGE_PATH] });
+    const renderImage = jest.fn();
+
+    const imageUrl = await store.getImageUrl("PtEQFlGwta7PzrMwRjqquH", "3143:20344", "100", renderImage);
+
+    expect(imageUrl).toBe(`https://github.com/acme/app/raw/figma-previews/${IMAGE_PATH}`);
+    expect(renderImage).not.toHaveBeenCalled();
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  test("should create the branch as an orphan branch for the first image", async () => {
+    const repository = mockGithub({ head: null });
+
+    await store.getImageUrl("PtEQFlGwta7PzrMwRjqquH", "3143:20344", "100", async () => "https://figma.com/render.png");
+
+    expect(getPostedBodies("trees")).toEqual([
+      { tree: [{ path: IMAGE_PATH, mode: "100644", type: "blob", sha: "blob-1" }] },
+    ]);
+    expect(getPostedBodies("commits")[0].parents).toEqual([]);
+    expect(getPostedBodies("refs")).toEqual([{ ref: "refs/heads/figma-previews", sha: "commit-1" }]);
+    expect(http.patch).not.toHaveBeenCalled();
+    expect(repository.head).toBe("commit-1");
+  });
+
+  test("should append a commit to an existing branch", async () => {
+    const repository = mockGithub({ head: "commit-0" });
+
+    const commitSha = await githubApi.commitFileToBranch(
+      "acme",
+      "app",
+      "figma-previews",
+      IMAGE_PATH,
+      Buffer.from("png"),
+      "Add preview",
+      "token"
+    );
+
+    expect(commitSha).toBe("commit-1");
+    expect(getPostedBodies("trees")[0].base_tree).toBe("tree-of-commit-0");
+    expect(getPostedBodies("commits")[0].parents).toEqual(["commit-0"]);
+    expect(repository.head).toBe("commit-1");
+  });
+
+  test("should rebuild the commit on the new head when another run moved the branch", async () => {
+    let otherRuns = 1;
+    const repository = mockGithub({
+      head: "commit-0",
+      beforeRefUpdate: () => {
+        if (otherRuns-- > 0) repository.head = "commit-other";
+      },
+    });
+
+    const commitSha = await githubApi.commitFileToBranch(
+      "acme",
+      "app",
+      "figma-previews",
+      IMAGE_PATH,
+      Buffer.from("png"),
+      "Add preview",
+      "token"
+    );
+
+    expect(commitSha).toBe("commit-2");
+    expect(getPostedBodies("blobs")).toHaveLength(1);
+    expect(getPostedBodies("commits").map((commit) => commit.parents)).toEqual([["commit-0"], ["commit-other"]]);
+    expect(repository.head).toBe("commit-2");
+  });
+
+  test("should give up after repeated conflicts", async () => {
+    const repository = mockGithub({ head: "commit-0" });
+    repository.beforeRefUpdate = () => {
+      repository.head = `${repository.head}-moved`;
+    };
+
+    await expect(
+      githubApi.commitFileToBranch("acme", "app", "figma-previews", IMAGE_PATH, Buffer.from("png"), "Add preview", "token")
+    ).rejects.toThrow("status code 422");
+    expect(getPostedBodies("commits")).toHaveLength(5);
+  });
+});
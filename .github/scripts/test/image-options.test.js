@@ -0,0 +1,83 @@
+/**
+ * Jest test for image export options
+ * Tests per-link overrides, Figma images API parameters and how overrides are kept in spec blocks
+ */
+
+const imageOptions = require("../image_options");
+const imageHosting = require("../image_hosting");
+const specParser = require("../spec_parser");
+const utils = require("../util");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_CLEAN_URL = `https://www.figma.com/design/${TEST_FILE_ID}/?node-id=3143-20344&version-id=2260315635405056828&m=dev`;
+const DEFAULT_OPTIONS = { format: "png", scale: 1, useAbsoluteBounds: false };
+
+describe("Image Options", () => {
+  test("should read overrides from a Figma link", () => {
+    const url = `https://www.figma.com/design/${TEST_FILE_ID}/Home?node-id=3143-20344&fpi-scale=2&fpi-format=jpg&fpi-use-absolute-bounds=true`;
+
+    expect(imageOptions.parseImageOverridesFromUrl(url)).toEqual({
+      format: "jpg",
+      scale: 2,
+      useAbsoluteBounds: true,
+    });
+    expect(imageOptions.parseImageOverridesFromUrl(`https://www.figma.com/design/${TEST_FILE_ID}/Home?node-id=1-2`)).toEqual({});
+  });
+
+  test.each([
+    ["fpi-scale=0", 'Invalid fpi-scale "0": expected a number from 0.01 to 4'],
+    ["fpi-scale=", 'Invalid fpi-scale "": expected a number from 0.01 to 4'],
+    ["fpi-format=gif", 'Invalid fpi-format "gif": expected one of png, jpg, svg, pdf'],
+    ["fpi-use-absolute-bounds=yes", 'Invalid fpi-use-absolute-bounds "yes": expected true or false'],
+  ])("should reject %s", (params, message) => {
+    expect(() => imageOptions.parseImageOverrides(new URLSearchParams(params))).toThrow(message);
+  });
+
+  test("should only send non-default options to the images API", () => {
+    expect(imageOptions.createImageQueryParams(DEFAULT_OPTIONS)).toBe("&format=png");
+    expect(imageOptions.createImageQueryParams({ format: "svg", scale: 0.5, useAbsoluteBounds: true })).toBe(
+      "&format=svg&scale=0.5&use_absolute_bounds=true"
+    );
+  });
+
+  test("should key stored images by their export settings", () => {
+    expect(imageHosting.createImagePath("previews", TEST_FILE_ID, "1:2", "42", DEFAULT_OPTIONS)).toBe(
+      `previews/${TEST_FILE_ID}/1-2/42.png`
+    );
+    expect(
+      imageHosting.createImagePath("previews", TEST_FILE_ID, "1:2", "42", { format: "jpg", scale: 2, useAbsoluteBounds: true })
+    ).toBe(`previews/${TEST_FILE_ID}/1-2/42@2x-bounds.jpg`);
+  });
+
+  test("should link PDF exports and keep overrides in the spec block", () => {
+    const snippet = utils.createDesignSpecSnippet(
+      1,
+      "design-spec-1",
+      "https://example.com/old.pdf",
+      TEST_CLEAN_URL,
+      "2260315635405056828",
+      "2025-01-08T14:29:08Z",
+      "2025-02-07",
+      undefined,
+      { imageFormat: "pdf", imageInline: false, imageOverrides: { format: "pdf", scale: 2 } }
+    );
+    const [block] = specParser.findSpecBlocks(snippet);
+
+    expect(block.content).toMatch(/^<!-- START_SPEC_1 -->\n<!-- IMAGE_OPTIONS: fpi-format=pdf&fpi-scale=2 -->\n/);
+    expect(block.content).toContain("**Preview:** [Open pdf export](https://example.com/old.pdf)");
+    expect(block.content).not.toContain("<img");
+
+    const spec = specParser.parseSpecBlock(block.content);
+    expect(spec.imageUrl).toBe("https://example.com/old.pdf");
+    expect(spec.imageOverrides).toEqual({ format: "pdf", scale: 2 });
+
+    const refreshed = specParser.replaceSpecImage(block.content, "https://example.com/new.pdf", "2025-03-09");
+    expect(refreshed).toContain("[Open pdf export](https://example.com/new.pdf)");
+  });
+
+  test("should not inline SVGs served from a repository branch", () => {
+    expect(imageOptions.isInlineImageFormat("svg")).toBe(true);
+    expect(imageOptions.isInlineImageFormat("svg", true)).toBe(false);
+    expect(imageOptions.isInlineImageFormat("pdf")).toBe(false);
+  });
+});
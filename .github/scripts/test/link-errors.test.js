@@ -0,0 +1,87 @@
+/**
+ * Jest test for link error markers
+ * Tests how Figma errors are explained and that failed links are marked in place and retried on the next run
+ */
+
+const figmaApi = require("../figma_api");
+const pipeline = require("../pipeline");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_URL = "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage?node-id=3143-20344";
+
+/**
+ * Creates an error like the ones Axios throws for failed requests
+ * @param {number} status - HTTP status
+ * @param {Object} [data] - Response body
+ * @returns {Error} Request error
+ */
+function createRequestError(status, data = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers: {} };
+  return error;
+}
+
+/**
+ * Creates a Figma client stub whose image requests fail while failing is true
+ * @param {{failing: boolean}} state - Whether requests fail
+ * @returns {Object} Figma client
+ */
+function createFailingFigmaStub(state) {
+  return createFigmaStub({
+    renderImage: (fileId, nodeId) => {
+      if (state.failing) throw createRequestError(403, { status: 403, err: "Forbidden" });
+      return `https://example.com/${nodeId}.png`;
+    },
+  });
+}
+
+describe("Link Errors", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    [createRequestError(403), "403 – token lacks access to file, or the file_content:read scope"],
+    [createRequestError(404), "404 – file or node not found, it may have been deleted"],
+    [createRequestError(502), "502 – Figma server error, will retry on the next run"],
+    [createRequestError(418, { err: "I'm a\nteapot" }), "418 – I'm a teapot"],
+    [new Error("timeout of 30000ms exceeded"), "timeout of 30000ms exceeded"],
+  ])("should explain %s", (error, expected) => {
+    expect(figmaApi.describeFigmaError(error)).toBe(expected);
+  });
+
+  test("should mark failed links in place and retry them on the next run", async () => {
+    const state = { failing: true };
+    const options = { figma: createFailingFigmaStub(state), ...LINKS_ONLY };
+    const body = `See [login](${TEST_URL}) for details`;
+
+    const failed = await pipeline.processBody(body, options);
+    expect(failed).toBe(
+      `See [login](${TEST_URL}) <!-- FIGMA_LINK_ERROR -->⚠️ Figma link could not be processed: 403 – token lacks access to file, or the file_content:read scope<!-- /FIGMA_LINK_ERROR --> for details`
+    );
+
+    // Still failing: the marker is replaced by the same marker, so there is nothing to update
+    expect(await pipeline.processBody(failed, options)).toBe(failed);
+
+    state.failing = false;
+    const fixed = await pipeline.processBody(failed, options);
+    expect(fixed).toMatch(/^See login \(\[Refer to Design Spec 1 below\]\(#design-spec-1\)\) for details\n/);
+    expect(fixed).not.toContain("FIGMA_LINK_ERROR");
+  });
+
+  test("should mark failed links in comments", async () => {
+    const options = { figma: createFailingFigmaStub({ failing: true }) };
+
+    const updatedBody = await pipeline.processCommentBody(`Check ${TEST_URL}`, options);
+
+    expect(updatedBody).toBe(
+      `Check ${TEST_URL} <!-- FIGMA_LINK_ERROR -->⚠️ Figma link could not be processed: 403 – token lacks access to file, or the file_content:read scope<!-- /FIGMA_LINK_ERROR -->`
+    );
+    expect(await pipeline.processCommentBody(updatedBody, options)).toBe(updatedBody);
+  });
+});
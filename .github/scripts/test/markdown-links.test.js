@@ -0,0 +1,187 @@
+/**
+ * Jest test for Markdown link detection
+ * Tests that links are found with their positions in every link syntax, that code is skipped,
+ * and that the pipeline replaces each link exactly where it occurs
+ */
+
+const markdownLinks = require("../markdown_links");
+const pipeline = require("../pipeline");
+const regexPatterns = require("../regex");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_URL = "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage?node-id=3143-20344";
+const OTHER_URL = "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage?node-id=1-2";
+
+/**
+ * Lists the links of Markdown content as the source text, kind, URL and text of each
+ * @param {string} content - Markdown content
+ * @returns {Array<Array>} [source, kind, url, text] per link
+ */
+function describeLinks(content) {
+  return markdownLinks
+    .findMarkdownLinks(content)
+    .map((link) => [content.substring(link.start, link.end), link.kind, link.url, link.text]);
+}
+
+describe("Markdown Links", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should find links in every syntax, in document order", () => {
+    const content = [
+      "See <https://example.com/auto> and [Hero](https://example.com/hero \"Title\").",
+      "![Mock](<https://example.com/mock.png>) then [Hero][hero], [Footer][] and [hero].",
+      '<a href="https://example.com/a?x=1&amp;y=2">Card <b>v2</b></a> or https://example.com/bare.',
+      "",
+      "[hero]: https://example.com/ref",
+      "[Footer]: <https://example.com/footer>",
+    ].join("\n");
+
+    expect(describeLinks(content)).toEqual([
+      ["<https://example.com/auto>", "autolink", "https://example.com/auto", null],
+      ['[Hero](https://example.com/hero "Title")', "inline", "https://example.com/hero", "Hero"],
+      ["![Mock](<https://example.com/mock.png>)", "image", "https://example.com/mock.png", "Mock"],
+      ["[Hero][hero]", "reference", "https://example.com/ref", "Hero"],
+      ["[Footer][]", "reference", "https://example.com/footer", "Footer"],
+      ["[hero]", "reference", "https://example.com/ref", "hero"],
+      ['<a href="https://example.com/a?x=1&amp;y=2">Card <b>v2</b></a>', "html", "https://example.com/a?x=1&y=2", "Card v2"],
+      ["https://example.com/bare", "bare", "https://example.com/bare", null],
+    ]);
+  });
+
+  test("should skip code, comments and tag attributes", () => {
+    const content = [
+      "Inline `https://example.com/code` and ``https://example.com/`tick`` code.",
+      "<!-- https://example.com/comment -->",
+      '<img src="https://example.com/img.png" /> [undefined] (https://example.com/paren)',
+      "",
+      "```md",
+      "[Hero](https://example.com/fenced)",
+      "```",
+      "",
+      "    https://example.com/indented",
+      "",
+      "- item",
+      "",
+      "    https://example.com/list-continuation",
+      "",
+      "\\[Escaped](https://example.com/escaped)",
+    ].join("\n");
+
+    expect(describeLinks(content).map(([source]) => source)).toEqual([
+      "https://example.com/paren",
+      "https://example.com/list-continuation",
+      "https://example.com/escaped",
+    ]);
+  });
+
+  test("should skip HTML blocks but not the Markdown after them", () => {
+    const content = [
+      "<pre>",
+      "https://example.com/pre",
+      "",
+      "https://example.com/pre-after-blank",
+      "</pre>",
+      "<div>",
+      "https://example.com/div",
+      "</div>",
+      "",
+      "<p>https://example.com/paragraph</p>",
+      "",
+      "<details>",
+      "<summary>Designs</summary>",
+      "",
+      "https://example.com/markdown",
+      "",
+      "</details>",
+    ].join("\n");
+
+    expect(describeLinks(content).map(([source]) => source)).toEqual(["https://example.com/markdown"]);
+  });
+
+  test("should not close link text at a bracket in a code span or tag", async () => {
+    const content = `[\`a]\` and <b title="]">b</b>](${TEST_URL})`;
+
+    expect(describeLinks(content)).toEqual([[content, "inline", TEST_URL, "`a]` and <b title=\"]\">b</b>"]]);
+
+    const updated = await pipeline.processBody(`See [\`a]\`](${TEST_URL})`, {
+      figma: createFigmaStub(),
+      ...LINKS_ONLY,
+    });
+    expect(updated).toContain("See `a]` ([Refer to Design Spec 1 below](#design-spec-1))");
+  });
+
+  test("should only find bare URLs that match the given pattern", () => {
+    const content = `Read https://example.com/docs, then ${TEST_URL}.`;
+    const links = markdownLinks.findMarkdownLinks(content, regexPatterns.FIGMA_URL_REGEX);
+
+    expect(links).toEqual([{ kind: "bare", start: 36, end: 36 + TEST_URL.length, url: TEST_URL, text: null }]);
+  });
+
+  test("should find links in lists, quotes and tables at their source position", () => {
+    const content = [
+      "- [List](https://example.com/list)",
+      "> Quote https://example.com/quote",
+      "",
+      "| A | B |",
+      "| - | - |",
+      "| [A](https://example.com/a) | [B](https://example.com/b) |",
+    ].join("\r\n");
+
+    expect(describeLinks(content).map(([source]) => source)).toEqual([
+      "[List](https://example.com/list)",
+      "https://example.com/quote",
+      "[A](https://example.com/a)",
+      "[B](https://example.com/b)",
+    ]);
+  });
+
+  test("should only remove the definitions of the given labels that no link uses", () => {
+    const content = [
+      "[Used][a] and text.",
+      "",
+      "[a]: https://example.com/a",
+      "[b]: https://example.com/b",
+      "[c]: https://example.com/c",
+    ].join("\n");
+
+    // Labels match as Markdown matches them, ignoring case
+    expect(markdownLinks.findMarkdownLinks(content)[0].label).toBe("A");
+    expect(markdownLinks.removeUnusedDefinitions(content, ["A", "b"])).toBe(
+      ["[Used][a] and text.", "", "[a]: https://example.com/a", "[c]: https://example.com/c"].join("\n")
+    );
+  });
+
+  test("should replace each Figma link where it occurs and leave code untouched", async () => {
+    const body = [
+      `Use \`${TEST_URL}\` in docs.`,
+      "",
+      "```",
+      TEST_URL,
+      "```",
+      "",
+      `Hero [Hero][hero], then <${OTHER_URL}> and <a href="${TEST_URL}">the hero</a>.`,
+      "",
+      `[hero]: ${TEST_URL}`,
+    ].join("\n");
+
+    const updated = await pipeline.processBody(body, {
+      figma: createFigmaStub(),
+      ...LINKS_ONLY,
+    });
+    const [above] = updated.split("## Design Specs");
+
+    expect(above).toContain(`Use \`${TEST_URL}\` in docs.\n\n\`\`\`\n${TEST_URL}\n\`\`\``);
+    expect(above).not.toContain(`[hero]: ${TEST_URL}`);
+    expect(above).not.toContain("[Hero][hero]");
+    expect(above).not.toContain(`<${OTHER_URL}>`);
+    expect(above).not.toContain("<a href");
+    expect(above.match(/#design-spec-1/g)).toHaveLength(2);
+    expect(above.match(/#design-spec-2/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Jest test for the run report
+ * Tests what is recorded for each link, the job summary, step outputs and the failure threshold
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pipeline = require("../pipeline");
+const runReport = require("../run_report");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344`;
+const BROKEN_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=9-9`;
+
+/**
+ * Renders every node except node 9:9, which does not exist
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID (in colon format)
+ * @returns {string} Image URL
+ */
+function renderExistingNode(fileId, nodeId) {
+  if (nodeId === "9:9") throw new Error("Node not found | 404");
+  return `https://example.com/${nodeId}.png`;
+}
+
+describe("Run Report", () => {
+  let report;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    report = runReport.createRunReport();
+    await pipeline.processBody(`${TEST_URL} ${BROKEN_URL} ${TEST_URL}`, {
+      figma: createFigmaStub({ renderImage: renderExistingNode }),
+      ...LINKS_ONLY,
+      report,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should record what happened to each link", () => {
+    expect(report.links.map(({ specNumber, status, versionId }) => [specNumber, status, versionId])).toEqual([
+      [1, "created", "100"],
+      [null, "failed", null],
+      [1, "reused", "100"],
+    ]);
+    expect(report.links[0].image).toMatch(/^Figma URL, expires \d{4}-\d{2}-\d{2}$/);
+    expect(report.links[1].error).toBe("Node not found | 404");
+
+    expect(runReport.createStepOutputs(report)).toEqual({
+      specs_added: "1",
+      links_failed: "1",
+      stale_specs: "0",
+      spec_ids: '["design-spec-1"]',
+    });
+  });
+
+  test("should summarize the run as Markdown", () => {
+    const summary = runReport.createJobSummary(report, "PR #3");
+
+    expect(summary).toContain("Processed 3 Figma link(s) in PR #3: 1 spec(s) added, 1 failed.");
+    expect(summary).toContain(`| [${TEST_URL}](${TEST_URL}) | #1 | 100 |`);
+    expect(summary).toContain(`| [${BROKEN_URL}](${BROKEN_URL}) | — | — | — | ❌ Failed: Node not found \\| 404 |`);
+    expect(summary).toContain("| ♻️ Existing spec |");
+  });
+
+  test("should write the summary and outputs to the files GitHub Actions provides", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-report-"));
+    const env = { GITHUB_STEP_SUMMARY: path.join(dir, "summary.md"), GITHUB_OUTPUT: path.join(dir, "output") };
+
+    runReport.writeStepSummary(env, "## Report\n");
+    runReport.writeStepOutputs(env, runReport.createStepOutputs(report));
+
+    expect(fs.readFileSync(env.GITHUB_STEP_SUMMARY, "utf8")).toBe("## Report\n");
+    expect(fs.readFileSync(env.GITHUB_OUTPUT, "utf8")).toBe(
+      'specs_added=1\nlinks_failed=1\nstale_specs=0\nspec_ids=["design-spec-1"]\n'
+    );
+    expect(() => runReport.writeStepSummary({}, "ignored")).not.toThrow();
+  });
+
+  test("should fail the run only when more links failed than allowed", () => {
+    expect(runReport.getMaxFailedLinks({})).toBe(-1);
+    expect(runReport.exceedsFailureThreshold(report, -1)).toBe(false);
+    expect(runReport.exceedsFailureThreshold(report, runReport.getMaxFailedLinks({ MAX_FAILED_LINKS: "0" }))).toBe(true);
+    expect(runReport.exceedsFailureThreshold(report, 1)).toBe(false);
+    expect(() => runReport.getMaxFailedLinks({ MAX_FAILED_LINKS: "some" })).toThrow(
+      'Invalid MAX_FAILED_LINKS "some". Expected a whole number, or -1 to never fail.'
+    );
+  });
+});
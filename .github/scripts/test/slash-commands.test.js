@@ -0,0 +1,180 @@
+/**
+ * Jest test for slash commands
+ * Tests reading commands from comment events and running them against a description with Design Specs
+ */
+
+const pipeline = require("../pipeline");
+const slashCommands = require("../slash_commands");
+const specParser = require("../spec_parser");
+const { DEFAULT_CONFIG } = require("../config");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URLS = ["1-2", "3-4"].map(
+  (nodeId) => `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=${nodeId}`
+);
+
+// References laid out as "Login — [see spec 1](#design-spec-1)"
+const CUSTOM_REFERENCE_CONFIG = {
+  ...DEFAULT_CONFIG,
+  referenceText: "see spec {{spec_number}}",
+  templates: {
+    ...DEFAULT_CONFIG.templates,
+    reference: "{{#link_text}}{{link_text}} — {{/link_text}}[{{reference_text}}](#{{spec_id}})",
+  },
+};
+
+/**
+ * Creates a description with two specs at version 100
+ * @param {string} [links] - Links between the intro and the notes
+ * @param {Object} [config] - Repository configuration
+ * @returns {Promise<string>} Processed description
+ */
+function createDescription(links = `[Login](${TEST_URLS[0]}) and ${TEST_URLS[1]}`, config = DEFAULT_CONFIG) {
+  return pipeline.processBody(`Intro\n\n${links}\n\n## Notes\n\nKeep me`, {
+    figma: createFigmaStub(),
+    ...LINKS_ONLY,
+    config,
+  });
+}
+
+describe("Slash Commands", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should only read commands from new comments that start with /figma", () => {
+    const payload = {
+      action: "created",
+      issue: { number: 12, pull_request: { url: "https://api.github.com/repos/acme/app/pulls/12" } },
+      comment: { id: 345, body: " /figma update 3\nThe header changed", user: { login: "robin" } },
+    };
+
+    expect(slashCommands.getCommandEvent(payload)).toEqual({
+      kind: "pull_request",
+      number: 12,
+      commentId: 345,
+      author: "robin",
+      commandLine: "/figma update 3",
+    });
+    expect(slashCommands.getCommandEvent({ ...payload, issue: { number: 7 } }).kind).toBe("issue");
+    expect(slashCommands.getCommandEvent({ ...payload, action: "edited" })).toBeNull();
+    expect(slashCommands.getCommandEvent({ ...payload, comment: { ...payload.comment, body: "See /figma status" } })).toBeNull();
+    expect(slashCommands.getCommandEvent({ ...payload, comment: { ...payload.comment, body: "/figmas" } })).toBeNull();
+  });
+
+  test("should parse commands and explain invalid ones", () => {
+    expect(slashCommands.parseCommand("/figma refresh")).toEqual({ name: "refresh", specNumber: null });
+    expect(slashCommands.parseCommand("/Figma REMOVE 2")).toEqual({ name: "remove", specNumber: 2 });
+    expect(() => slashCommands.parseCommand("/figma")).toThrow(/^Missing command\. Usage:/);
+    expect(() => slashCommands.parseCommand("/figma sync")).toThrow(/^Unknown command "sync"\./);
+    expect(() => slashCommands.parseCommand("/figma update")).toThrow("`/figma update` needs the number of a Design Spec");
+    expect(() => slashCommands.parseCommand("/figma status now")).toThrow("`/figma status` takes no arguments.");
+  });
+
+  test("should only let collaborators with write access run commands", () => {
+    expect(["admin", "maintain", "write"].every(slashCommands.canRunCommands)).toBe(true);
+    expect(["triage", "read", "none"].some(slashCommands.canRunCommands)).toBe(false);
+  });
+
+  test("should update a single spec to the latest version", async () => {
+    const body = await createDescription();
+    const options = { figma: createFigmaStub({ versions: [{ id: "200", created_at: "2025-01-15T10:00:00Z" }] }) };
+
+    const result = await slashCommands.runCommand({ name: "update", specNumber: 2 }, body, options);
+    const specs = pipeline.findSectionSpecs(result.body);
+
+    expect(result.message).toBe("Updated Design Spec 2 from version 100 to 200.");
+    expect(specs.map((spec) => spec.versionId)).toEqual(["100", "200"]);
+
+    const again = await slashCommands.runCommand({ name: "update", specNumber: 2 }, result.body, options);
+    expect(again).toEqual({ body: result.body, message: "Design Spec 2 is already at the latest version (200)." });
+    await expect(slashCommands.runCommand({ name: "update", specNumber: 5 }, body, options)).rejects.toThrow(
+      "Design Spec 5 does not exist."
+    );
+  });
+
+  test("should remove a spec with its references and renumber the rest", async () => {
+    const body = await createDescription();
+
+    const result = await slashCommands.runCommand({ name: "remove", specNumber: 1 }, body, {
+      figma: createFigmaStub(),
+    });
+
+    expect(result.message).toBe("Removed Design Spec 1 and its references.");
+    expect(result.body).toContain("Login and [Refer to Design Spec 1 below](#design-spec-1)");
+    expect(specParser.findSpecBlocks(result.body).map((block) => block.specNumber)).toEqual([1]);
+    expect(pipeline.findSectionSpecs(result.body)[0].nodeId).toBe("3:4");
+  });
+
+  test("should remove references laid out by a custom reference template", async () => {
+    const body = await createDescription(undefined, CUSTOM_REFERENCE_CONFIG);
+    expect(body).toContain("Login — [see spec 1](#design-spec-1) and [see spec 2](#design-spec-2)");
+
+    const result = await slashCommands.runCommand({ name: "remove", specNumber: 1 }, body, {
+      figma: createFigmaStub(),
+      config: CUSTOM_REFERENCE_CONFIG,
+    });
+
+    expect(result.body).toContain("Intro\n\nLogin and [see spec 1](#design-spec-1)\n\n");
+    expect(pipeline.findSectionSpecs(result.body, CUSTOM_REFERENCE_CONFIG)[0].nodeId).toBe("3:4");
+  });
+
+  test("should restore links and remove the Design Specs section on revert", async () => {
+    const body = await createDescription();
+
+    const result = await slashCommands.runCommand({ name: "revert", specNumber: null }, body, {
+      figma: createFigmaStub(),
+    });
+
+    expect(result.body).toBe(
+      "Intro\n\n" +
+        `[Login](${TEST_URLS[0]}) and ${TEST_URLS[1]}\n\n## Notes\n\nKeep me`
+    );
+    expect(result.message).toBe("Restored the Figma links of 2 Design Spec(s) and removed the Design Specs section.");
+  });
+
+  test("should restore every link to a spec with its own text on revert", async () => {
+    const links = `[Login](${TEST_URLS[0]}), [Login again](${TEST_URLS[0]}) and [Login](${TEST_URLS[0]})`;
+    const body = await createDescription(links);
+    // A later edit links to the same node again
+    const edited = await pipeline.processBody(body.replace("Intro", `Intro [Sign in](${TEST_URLS[0]})`), {
+      figma: createFigmaStub(),
+      ...LINKS_ONLY,
+    });
+    expect(pipeline.findSectionSpecs(edited)).toHaveLength(1);
+
+    const result = await slashCommands.runCommand({ name: "revert", specNumber: null }, edited, {
+      figma: createFigmaStub(),
+    });
+
+    expect(result.body).toBe(
+      `Intro [Sign in](${TEST_URLS[0]})\n\n` +
+        `[Login](${TEST_URLS[0]}), [Login again](${TEST_URLS[0]}) and [Login](${TEST_URLS[0]})` +
+        "\n\n## Notes\n\nKeep me"
+    );
+  });
+
+  test("should report the health of each spec on status", async () => {
+    const body = await createDescription();
+
+    const result = await slashCommands.runCommand({ name: "status", specNumber: null }, body, {
+      figma: createFigmaStub(),
+    });
+
+    expect(result.body).toBe(body);
+    expect(result.message).toContain("**Design Specs:** 2 current, 0 stale, 0 expired image(s), 0 failed link(s)");
+    expect(result.message).toContain("| [Design Spec 1](#design-spec-1) | 100 | 2025-01-08T14:29:08Z |");
+    expect(result.message).toContain("| ✅ Current |");
+  });
+
+  test("should reply to the author with the outcome", () => {
+    expect(slashCommands.createCommandReply("/figma remove 2", "robin", "Removed Design Spec 2.", true)).toBe(
+      "@robin ✅ `/figma remove 2`\n\nRemoved Design Spec 2."
+    );
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Jest test for spec deduplication
+ * Tests that repeated links and links to nodes that already have a spec share a single spec
+ */
+
+const pipeline = require("../pipeline");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344`;
+const OTHER_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Other-name?node-id=1-2`;
+const PINNED_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344&version-id=42`;
+const BROKEN_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=9-9`;
+
+/**
+ * Lists the spec numbers of a body in order
+ * @param {string} body - Markdown body
+ * @returns {Array<string>} Spec numbers
+ */
+function getSpecNumbers(body) {
+  return Array.from(body.matchAll(/<!-- START_SPEC_(\d+) -->/g), (match) => match[1]);
+}
+
+/**
+ * Renders every node except node 9:9, which does not exist
+ * @param {string} fileId - Figma file ID
+ * @param {string} nodeId - Figma node ID (in colon format)
+ * @returns {string} Image URL
+ */
+function renderExistingNode(fileId, nodeId) {
+  if (nodeId === "9:9") throw new Error("Node not found");
+  return `https://example.com/${nodeId}.png`;
+}
+
+describe("Spec Deduplication", () => {
+  const options = () => ({ figma: createFigmaStub({ renderImage: renderExistingNode }), ...LINKS_ONLY });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should create one spec for repeated links to the same node", async () => {
+    const body = `See [hero](${TEST_URL}), ${TEST_URL} and ${OTHER_URL}\n\nAgain: ${TEST_URL}`;
+    const pipelineOptions = options();
+
+    const updatedBody = await pipeline.processBody(body, pipelineOptions);
+
+    expect(getSpecNumbers(updatedBody)).toEqual(["1", "2"]);
+    expect(updatedBody).toContain(
+      "See hero ([Refer to Design Spec 1 below](#design-spec-1)), [Refer to Design Spec 1 below](#design-spec-1) and [Refer to Design Spec 2 below](#design-spec-2)\n\nAgain: [Refer to Design Spec 1 below](#design-spec-1)"
+    );
+    expect(pipelineOptions.figma.getNodeImageUrl).toHaveBeenCalledTimes(2);
+  });
+
+  test("should reuse existing specs and number new ones after the highest", async () => {
+    const first = await pipeline.processBody(`${OTHER_URL} ${TEST_URL}`, options());
+    const pipelineOptions = options();
+
+    const second = await pipeline.processBody(`More: ${TEST_URL} ${PINNED_URL}\n\n${first}`, pipelineOptions);
+
+    expect(second).toContain(
+      "More: [Refer to Design Spec 2 below](#design-spec-2) [Refer to Design Spec 3 below](#design-spec-3)"
+    );
+    expect(getSpecNumbers(second)).toEqual(["1", "2", "3"]);
+    expect(pipelineOptions.figma.getNodeImageUrl).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not allocate spec numbers to links that fail", async () => {
+    const body = `${BROKEN_URL} ${TEST_URL} ${BROKEN_URL}`;
+
+    const updatedBody = await pipeline.processBody(body, options());
+
+    const errorMarker =
+      " <!-- FIGMA_LINK_ERROR -->⚠️ Figma link could not be processed: Node not found<!-- /FIGMA_LINK_ERROR -->";
+    expect(updatedBody.split("\n")[0]).toBe(
+      `${BROKEN_URL}${errorMarker} [Refer to Design Spec 1 below](#design-spec-1) ${BROKEN_URL}${errorMarker}`
+    );
+    expect(getSpecNumbers(updatedBody)).toEqual(["1"]);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Jest test for the version history of updated specs
+ * Tests the before/after comparison and the timeline that accumulates when stale specs are moved to newer versions
+ */
+
+const pipeline = require("../pipeline");
+const specParser = require("../spec_parser");
+const { DISABLED, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_URL = "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/Homepage?node-id=3143-20344";
+
+/**
+ * Moves the specs of a body to the given version
+ * @param {string} body - Markdown body
+ * @param {string} versionId - Latest version of the file
+ * @param {string} createdAt - Creation timestamp of the latest version
+ * @returns {Promise<string>} Updated body
+ */
+function updateSpecs(body, versionId, createdAt) {
+  return pipeline.processBody(body, {
+    figma: createFigmaStub({
+      versions: [{ id: versionId, created_at: createdAt }],
+      renderImage: (fileId, nodeId, version) => `https://example.com/v${version}.png`,
+    }),
+    refreshOptions: DISABLED,
+    driftOptions: { enabled: true, updateStale: true },
+  });
+}
+
+describe("Spec History", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should compare the previous and current snapshot and accumulate a timeline", async () => {
+    const created = await updateSpecs(`Hero ${TEST_URL}`, "100", "2025-01-08T14:29:08Z");
+    expect(created).not.toContain("START_SPEC_HISTORY");
+
+    const updated = await updateSpecs(created, "200", "2025-02-03T10:00:00Z");
+    const [block] = specParser.findSpecBlocks(updated);
+
+    expect(block.content).toContain(
+      "| Previous (version 100) | Current (version 200) |\n|---|---|\n" +
+        '| <img src="https://example.com/v100.png" alt="Version 100" width="320" /> | <img src="https://example.com/v200.png" alt="Version 200" width="320" /> |'
+    );
+    expect(block.content).toContain("<summary>🕘 Version history (1 earlier version)</summary>");
+    expect(specParser.parseSpecBlock(block.content).imageUrl).toBe("https://example.com/v200.png");
+    expect(specParser.parseSpecHistory(block.content)).toEqual([
+      { versionId: "100", snapshotTimestamp: "2025-01-08T14:29:08Z", imageUrl: "https://example.com/v100.png" },
+    ]);
+
+    const updatedAgain = await updateSpecs(updated, "300", "2025-03-01T09:00:00Z");
+    const [blockAgain] = specParser.findSpecBlocks(updatedAgain);
+
+    expect(blockAgain.content.match(/START_SPEC_HISTORY/g)).toHaveLength(1);
+    expect(blockAgain.content).toContain("| Previous (version 200) | Current (version 300) |");
+    expect(blockAgain.content).toContain("<summary>🕘 Version history (2 earlier versions)</summary>");
+    expect(specParser.parseSpecHistory(blockAgain.content).map((entry) => entry.versionId)).toEqual(["200", "100"]);
+
+    // Nothing changes while the spec is current
+    expect(await updateSpecs(updatedAgain, "300", "2025-03-01T09:00:00Z")).toBe(updatedAgain);
+  });
+
+  test("should refresh the images in the version history along with the current image", async () => {
+    const created = await updateSpecs(`Hero ${TEST_URL}`, "100", "2025-01-08T14:29:08Z");
+    const updated = await updateSpecs(
+      await updateSpecs(created, "200", "2025-02-03T10:00:00Z"),
+      "300",
+      "2025-03-01T09:00:00Z"
+    );
+
+    const refreshed = await pipeline.processBody(updated, {
+      figma: createFigmaStub({
+        versions: [{ id: "300", created_at: "2025-03-01T09:00:00Z" }],
+        renderImage: (fileId, nodeId, version) => `https://example.com/v${version}-refreshed.png`,
+      }),
+      refreshOptions: { enabled: true, withinDays: 31 },
+      driftOptions: DISABLED,
+    });
+    const [block] = specParser.findSpecBlocks(refreshed);
+
+    expect(block.content).toContain(
+      '| <img src="https://example.com/v200-refreshed.png" alt="Version 200" width="320" /> | <img src="https://example.com/v300-refreshed.png" alt="Version 300" width="320" /> |'
+    );
+    expect(specParser.parseSpecHistory(block.content).map((entry) => entry.imageUrl)).toEqual([
+      "https://example.com/v200-refreshed.png",
+      "https://example.com/v100-refreshed.png",
+    ]);
+    expect(block.content).not.toMatch(/v\d00\.png/);
+  });
+});
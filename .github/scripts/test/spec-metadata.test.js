@@ -0,0 +1,169 @@
+/**
+ * Jest test for the metadata stored in spec blocks
+ * Tests writing and reading the metadata comment, and that parsed specs and rewrites rely on it
+ */
+
+const pipeline = require("../pipeline");
+const specMetadata = require("../spec_metadata");
+const specParser = require("../spec_parser");
+const utils = require("../util");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_NODE_ID = "3143:20344";
+const TEST_URL = `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=3143-20344`;
+const TEST_METADATA = {
+  originalUrl: TEST_URL,
+  linkText: "Hero <!-- draft -->",
+  linkTexts: null,
+  fileId: TEST_FILE_ID,
+  nodeId: TEST_NODE_ID,
+  versionId: "100",
+  snapshotTimestamp: "2025-01-08T14:29:08Z",
+  imageUrl: "https://example.com/hero.png",
+  imageInline: true,
+  imageExpires: "2025-02-07",
+  stale: false,
+  history: [],
+  createdAt: "2025-01-08T15:00:00.000Z",
+};
+
+/**
+ * Creates a spec block from a template
+ * @param {string} template - Spec template
+ * @returns {string} Spec block content
+ */
+function createTestBlock(template) {
+  return utils
+    .createDesignSpecSnippet(
+      1,
+      "design-spec-1",
+      TEST_METADATA.imageUrl,
+      utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, "100"),
+      "100",
+      TEST_METADATA.snapshotTimestamp,
+      TEST_METADATA.imageExpires,
+      template,
+      {
+        fileId: TEST_FILE_ID,
+        nodeId: TEST_NODE_ID,
+        linkText: TEST_METADATA.linkText,
+        originalUrl: TEST_URL,
+        createdAt: TEST_METADATA.createdAt,
+      }
+    )
+    .trim();
+}
+
+describe("Spec Metadata", () => {
+  test("should write metadata as a comment that link text cannot close", () => {
+    const comment = specMetadata.createSpecMetadataComment(TEST_METADATA);
+
+    expect(comment.match(/-->/g)).toHaveLength(1);
+    expect(comment).toContain('"linkText":"Hero \\u003c!-- draft --\\u003e"');
+    expect(specMetadata.parseSpecMetadata(`Intro\n${comment}\nOutro`)).toEqual(TEST_METADATA);
+    expect(specMetadata.parseSpecMetadata("<!-- SPEC_METADATA: {not json} -->")).toBeNull();
+    expect(specMetadata.parseSpecMetadata("<!-- START_SPEC_1 -->")).toBeNull();
+  });
+
+  test("should only update blocks that have metadata", () => {
+    const block = createTestBlock();
+    const updated = specMetadata.setSpecMetadata(block, { imageExpires: null });
+
+    expect(specMetadata.parseSpecMetadata(updated)).toEqual({ ...TEST_METADATA, imageExpires: null });
+    expect(specMetadata.setSpecMetadata("<!-- START_SPEC_1 -->\n<!-- END_SPEC_1 -->", { versionId: "200" })).toBe(
+      "<!-- START_SPEC_1 -->\n<!-- END_SPEC_1 -->"
+    );
+  });
+
+  test("should parse specs from their metadata, even when the template does not show the design link", () => {
+    const block = createTestBlock("<!-- START_SPEC_{{spec_number}} -->\n<a id=\"{{spec_id}}\"></a>\n<!-- END_SPEC_{{spec_number}} -->");
+    const spec = specParser.parseSpecBlock(block);
+
+    expect(spec).toMatchObject({
+      designUrl: `https://www.figma.com/design/${TEST_FILE_ID}/?node-id=3143-20344&version-id=100&m=dev`,
+      fileId: TEST_FILE_ID,
+      nodeId: TEST_NODE_ID,
+      versionId: "100",
+      originalUrl: TEST_URL,
+      linkText: TEST_METADATA.linkText,
+      createdAt: TEST_METADATA.createdAt,
+      imageUrl: TEST_METADATA.imageUrl,
+      imageExpires: "2025-02-07",
+    });
+  });
+
+  test("should keep metadata in sync when a spec moves to a new version", () => {
+    const updated = specParser.replaceSpecSnapshot(createTestBlock(), {
+      cleanUrl: utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, "200"),
+      versionId: "200",
+      versionDetails: "",
+      snapshotTimestamp: "2025-02-01T10:00:00Z",
+      imageUrl: "https://example.com/hero-v200.png",
+      expirationString: null,
+    });
+
+    expect(specMetadata.parseSpecMetadata(updated)).toEqual({
+      ...TEST_METADATA,
+      versionId: "200",
+      snapshotTimestamp: "2025-02-01T10:00:00Z",
+      imageUrl: "https://example.com/hero-v200.png",
+      imageExpires: null,
+    });
+    expect(specParser.parseSpecBlock(updated)).toMatchObject({
+      versionId: "200",
+      snapshotTimestamp: "2025-02-01T10:00:00Z",
+      imageExpires: null,
+    });
+  });
+
+  test("should read specs from their metadata rather than the rendered text", () => {
+    const block = createTestBlock()
+      .replace("version-id=100", "version-id=999")
+      .replace(`**Snapshot Timestamp:** ${TEST_METADATA.snapshotTimestamp}`, "**Snapshot Timestamp:** 2020-01-01T00:00:00Z");
+    const flagged = specParser.setDriftBanner(block, utils.createDriftBanner(2, false, "2025-02-03T10:00:00Z"));
+
+    expect(specParser.parseSpecBlock(block)).toMatchObject({
+      designUrl: utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, "100"),
+      versionId: "100",
+      snapshotTimestamp: TEST_METADATA.snapshotTimestamp,
+      imageInline: true,
+      history: [],
+      hasDriftBanner: false,
+    });
+    expect(specMetadata.parseSpecMetadata(flagged).stale).toBe(true);
+    expect(specParser.parseSpecBlock(flagged.replace(/\*\*⚠️[^\n]*\n\n/, "")).hasDriftBanner).toBe(true);
+    expect(specMetadata.parseSpecMetadata(specParser.setDriftBanner(flagged, null)).stale).toBe(false);
+  });
+
+  test("should read specs without metadata from their rendered text", () => {
+    const block = createTestBlock().replace(/<!-- SPEC_METADATA: .* -->\n/, "");
+    const flagged = specParser.setDriftBanner(block, utils.createDriftBanner(2, false, "2025-02-03T10:00:00Z"));
+
+    expect(specParser.parseSpecBlock(flagged)).toMatchObject({
+      versionId: "100",
+      snapshotTimestamp: TEST_METADATA.snapshotTimestamp,
+      imageUrl: TEST_METADATA.imageUrl,
+      imageInline: true,
+      imageExpires: "2025-02-07",
+      history: [],
+      hasDriftBanner: true,
+    });
+  });
+
+  test("should record the text of every Markdown link that refers to a spec", async () => {
+    const options = { figma: createFigmaStub(), ...LINKS_ONLY };
+    const body = await pipeline.processBody(`[Login](${TEST_URL}), ${TEST_URL} and [Login again](${TEST_URL})`, options);
+    const edited = await pipeline.processBody(`[Sign in](${TEST_URL})\n\n${body}`, options);
+
+    expect(specParser.parseSpecBlock(specParser.findSpecBlocks(body)[0].content).linkTexts).toEqual([
+      "Login",
+      "Login again",
+    ]);
+    expect(specParser.findSpecBlocks(edited)).toHaveLength(1);
+    expect(specParser.parseSpecBlock(specParser.findSpecBlocks(edited)[0].content)).toMatchObject({
+      linkText: "Login",
+      linkTexts: ["Login", "Login again", "Sign in"],
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Jest test for reading and rewriting existing Design Spec blocks
+ * Tests that refresh mode only touches the image URL and expiration date of a spec
+ */
+
+const utils = require("../util");
+const specParser = require("../spec_parser");
+
+// Test data
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_NODE_ID = "3143:20344";
+const TEST_VERSION_ID = "2260315635405056828";
+const OLD_IMAGE_URL = "https://figma-alpha-api.s3.us-west-2.amazonaws.com/old-image.png";
+const NEW_IMAGE_URL = "https://figma-alpha-api.s3.us-west-2.amazonaws.com/new-image.png";
+
+function createTestSnippet(specNumber, expirationString) {
+  return utils.createDesignSpecSnippet(
+    specNumber,
+    `design-spec-${specNumber}`,
+    OLD_IMAGE_URL,
+    utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, TEST_VERSION_ID),
+    TEST_VERSION_ID,
+    "2025-01-08T14:29:08Z",
+    expirationString,
+    undefined,
+    { createdAt: "2025-01-08T15:00:00.000Z" }
+  );
+}
+
+describe("Spec Parser", () => {
+  test("should find spec blocks with their positions", () => {
+    const body = `Intro\n## Design Specs\n${createTestSnippet(1, "2025-02-07")}${createTestSnippet(2, "2025-02-07")}`;
+    const blocks = specParser.findSpecBlocks(body);
+
+    expect(blocks.map((block) => block.specNumber)).toEqual([1, 2]);
+    expect(body.substring(blocks[0].start, blocks[0].end)).toBe(blocks[0].content);
+    expect(blocks[1].content.startsWith("<!-- START_SPEC_2 -->")).toBe(true);
+    expect(blocks[1].content.endsWith("<!-- END_SPEC_2 -->")).toBe(true);
+  });
+
+  test("should parse Figma coordinates and image details from a spec block", () => {
+    const [block] = specParser.findSpecBlocks(createTestSnippet(1, "2025-02-07"));
+    const spec = specParser.parseSpecBlock(block.content);
+
+    expect(spec.fileId).toBe(TEST_FILE_ID);
+    expect(spec.nodeId).toBe(TEST_NODE_ID);
+    expect(spec.versionId).toBe(TEST_VERSION_ID);
+    expect(spec.imageUrl).toBe(OLD_IMAGE_URL);
+    expect(spec.imageExpires).toBe("2025-02-07");
+  });
+
+  test("should return null for blocks without a design link", () => {
+    const spec = specParser.parseSpecBlock("<!-- START_SPEC_1 -->\nEdited by hand\n<!-- END_SPEC_1 -->");
+
+    expect(spec).toBeNull();
+  });
+
+  test("should only rewrite image URL and expiration date", () => {
+    const [block] = specParser.findSpecBlocks(createTestSnippet(1, "2025-02-07"));
+    const editedBlock = block.content.replace(
+      "**Description: (enter description here)**",
+      "**Description:** Checkout flow"
+    );
+    const refreshed = specParser.replaceSpecImage(editedBlock, NEW_IMAGE_URL, "2025-03-09");
+
+    expect(refreshed).toContain(`src="${NEW_IMAGE_URL}"`);
+    expect(refreshed).toContain("**Image Expires:** 2025-03-09");
+    expect(refreshed).toContain("**Description:** Checkout flow");
+    expect(refreshed).not.toContain(OLD_IMAGE_URL);
+    expect(refreshed.replaceAll(NEW_IMAGE_URL, OLD_IMAGE_URL).replaceAll("2025-03-09", "2025-02-07")).toBe(editedBlock);
+  });
+
+  test("should drop the expiration line when moving to a permanent image", () => {
+    const [block] = specParser.findSpecBlocks(createTestSnippet(1, "2025-02-07"));
+    const refreshed = specParser.replaceSpecImage(block.content, NEW_IMAGE_URL, null);
+    const spec = specParser.parseSpecBlock(refreshed);
+
+    expect(spec.imageUrl).toBe(NEW_IMAGE_URL);
+    expect(spec.imageExpires).toBeNull();
+    expect(refreshed).toBe(createTestSnippet(1, null).trim().replaceAll(OLD_IMAGE_URL, NEW_IMAGE_URL));
+  });
+
+  test("should add, replace and remove the drift banner next to the version field", () => {
+    const [block] = specParser.findSpecBlocks(createTestSnippet(1, "2025-02-07"));
+    const flagged = specParser.setDriftBanner(
+      block.content,
+      utils.createDriftBanner(2, false, "2025-02-03T10:00:00Z")
+    );
+    const reflagged = specParser.setDriftBanner(
+      flagged,
+      utils.createDriftBanner(30, true, "2025-02-04T10:00:00Z")
+    );
+
+    expect(flagged).toContain(
+      `**⚠️ Newer design version available (2 versions since snapshot, last edited 2025-02-03)**\n\n**Version:** ${TEST_VERSION_ID}`
+    );
+    expect(specParser.parseSpecBlock(flagged).hasDriftBanner).toBe(true);
+    expect(reflagged).toContain("(30+ versions since snapshot, last edited 2025-02-04)");
+    expect(reflagged).not.toContain("(2 versions since snapshot");
+    expect(specParser.setDriftBanner(reflagged, null)).toBe(block.content);
+  });
+
+  test("should move a spec to a new snapshot", () => {
+    const [block] = specParser.findSpecBlocks(createTestSnippet(1, "2025-02-07"));
+    const flagged = specParser.setDriftBanner(
+      block.content,
+      utils.createDriftBanner(1, false, "2025-02-03T10:00:00Z")
+    );
+    const updated = specParser.replaceSpecSnapshot(flagged, {
+      cleanUrl: utils.createCleanFigmaUrl(TEST_FILE_ID, TEST_NODE_ID, "999"),
+      versionId: "999",
+      snapshotTimestamp: "2025-02-03T10:00:00Z",
+      imageUrl: NEW_IMAGE_URL,
+      expirationString: "2025-03-05",
+    });
+    const spec = specParser.parseSpecBlock(updated);
+
+    expect(spec.versionId).toBe("999");
+    expect(spec.snapshotTimestamp).toBe("2025-02-03T10:00:00Z");
+    expect(spec.imageUrl).toBe(NEW_IMAGE_URL);
+    expect(spec.imageExpires).toBe("2025-03-05");
+    expect(spec.hasDriftBanner).toBe(false);
+    expect(updated).toContain("**Version:** 999");
+  });
+
+  test("should detect images expiring within the refresh window", () => {
+    const now = new Date("2025-02-01T12:00:00Z");
+
+    expect(specParser.isImageExpiring("2025-02-05", 7, now)).toBe(true);
+    expect(specParser.isImageExpiring("2025-01-20", 7, now)).toBe(true);
+    expect(specParser.isImageExpiring("2025-02-20", 7, now)).toBe(false);
+    expect(specParser.isImageExpiring(null, 7, now)).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Jest test for pruning orphaned specs
+ * Tests archiving and removing specs that are no longer referenced and renumbering the rest
+ */
+
+const pipeline = require("../pipeline");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URLS = ["1-2", "3-4", "5-6"].map(
+  (nodeId) => `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=${nodeId}`
+);
+
+/**
+ * Lists the spec numbers of a body in order
+ * @param {string} body - Markdown body
+ * @returns {Array<string>} Spec numbers
+ */
+function getSpecNumbers(body) {
+  return Array.from(body.matchAll(/<!-- START_SPEC_(\d+) -->/g), (match) => match[1]);
+}
+
+describe("Spec Pruning", () => {
+  const options = (mode) => ({
+    figma: createFigmaStub(),
+    ...LINKS_ONLY,
+    pruneOptions: pipeline.getPruneOptions({ PRUNE_SPECS: mode }),
+  });
+  let body;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    body = await pipeline.processBody(
+      `Header ${TEST_URLS[0]}\n\nLogin ${TEST_URLS[1]}\n\nFooter ${TEST_URLS[2]}`,
+      options("off")
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should read prune settings from the environment", () => {
+    expect(pipeline.getPruneOptions({})).toEqual({ enabled: false, mode: "off" });
+    expect(pipeline.getPruneOptions({ PRUNE_SPECS: "remove" })).toEqual({ enabled: true, mode: "remove" });
+    expect(pipeline.getPruneOptions({ PRUNE_SPECS: "delete" })).toEqual({ enabled: false, mode: "off" });
+    expect(console.log).toHaveBeenCalledWith(
+      'Invalid PRUNE_SPECS "delete", not pruning specs. Expected "off", "archive" or "remove".'
+    );
+  });
+
+  test("should archive unreferenced specs and renumber the rest", async () => {
+    const edited = body.replace(/\n\nLogin [^\n]*/, "");
+
+    const pruned = await pipeline.processBody(edited, options("archive"));
+
+    expect(pruned).toMatch(
+      /^Header \[Refer to Design Spec 1 below\]\(#design-spec-1\)\n\nFooter \[Refer to Design Spec 2 below\]\(#design-spec-2\)/
+    );
+    expect(getSpecNumbers(pruned)).toEqual(["1", "2"]);
+    expect(pruned).toContain('<a id="design-spec-2"></a>');
+    expect(pruned).toContain("node-id=5-6");
+
+    const [, archive] = pruned.split("<!-- END_DESIGN_SPECS - WILL NOT DETECT FIGMA LINKS BELOW THIS LINE -->");
+    expect(archive).toMatch(/^\n\n<!-- START_ARCHIVED_SPECS -->\n<details>\n<summary>🗄️ Archived specs<\/summary>/);
+    expect(archive).toContain('<a id="archived-spec-2"></a>');
+    expect(archive).toContain("node-id=3-4");
+    expect(archive).toMatch(/<\/details>\n<!-- END_ARCHIVED_SPECS -->$/);
+
+    // Nothing changes once every remaining spec is referenced
+    expect(await pipeline.processBody(pruned, options("archive"))).toBe(pruned);
+  });
+
+  test("should remove unreferenced specs and keep custom reference labels", async () => {
+    const edited = body
+      .replace(/Header [^\n]*/, "Header")
+      .replace("[Refer to Design Spec 3 below](#design-spec-3)", "[the footer](#design-spec-3)");
+
+    const pruned = await pipeline.processBody(edited, options("remove"));
+
+    expect(pruned).toContain("Login [Refer to Design Spec 1 below](#design-spec-1)");
+    expect(pruned).toContain("Footer [the footer](#design-spec-2)");
+    expect(getSpecNumbers(pruned)).toEqual(["1", "2"]);
+    expect(pruned).not.toContain("node-id=1-2");
+    expect(pruned).not.toContain("ARCHIVED_SPECS");
+    expect(pruned).toContain("<!-- END_SPEC_2 -->\n\n\n<!-- END_DESIGN_SPECS");
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Jest test for the design spec commit status
+ * Tests counting specs by health and the policy that decides when the status fails
+ */
+
+const pipeline = require("../pipeline");
+const runReport = require("../run_report");
+const specParser = require("../spec_parser");
+const specStatus = require("../spec_status");
+const { LINKS_ONLY, createFigmaStub } = require("./helpers/figma-stub");
+
+const TEST_FILE_ID = "PtEQFlGwta7PzrMwRjqquH";
+const TEST_URLS = ["1-2", "3-4"].map(
+  (nodeId) => `https://www.figma.com/design/${TEST_FILE_ID}/Homepage?node-id=${nodeId}`
+);
+// The file is at version 100, with an older version 90
+const VERSIONS = [
+  { id: "100", created_at: "2025-01-08T14:29:08Z" },
+  { id: "90", created_at: "2025-01-01T10:00:00Z" },
+];
+
+describe("Spec Status", () => {
+  const health = { total: 2, current: 1, stale: 1, expiredImages: 0, failedLinks: 0 };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should read status settings from the environment", () => {
+    expect(specStatus.getStatusOptions({})).toEqual({
+      enabled: false,
+      failOn: ["failed-links"],
+      requiredLabel: "needs-design",
+    });
+    expect(
+      specStatus.getStatusOptions({ COMMIT_STATUS: "true", STATUS_FAIL_ON: "stale, no-design", DESIGN_REQUIRED_LABEL: "" })
+    ).toEqual({ enabled: true, failOn: ["stale", "no-design"], requiredLabel: "" });
+    expect(specStatus.getStatusOptions({ STATUS_FAIL_ON: "" }).failOn).toEqual([]);
+    expect(() => specStatus.getStatusOptions({ STATUS_FAIL_ON: "stale,outdated" })).toThrow(
+      'Invalid STATUS_FAIL_ON condition "outdated".'
+    );
+  });
+
+  test("should count current, stale and expired specs after processing", async () => {
+    const options = { figma: createFigmaStub({ versions: VERSIONS }), ...LINKS_ONLY };
+    const body = await pipeline.processBody(`${TEST_URLS[0]} ${TEST_URLS[1]}`, options);
+    // Pin the second spec to the older version so drift detection flags it
+    const [, block] = specParser.findSpecBlocks(body);
+    const pinned = body.replace(
+      block.content,
+      block.content
+        .replace('"versionId":"100"', '"versionId":"90"')
+        .replace("version-id=100", "version-id=90")
+        .replace("**Version:** 100", "**Version:** 90")
+    );
+    const report = runReport.createRunReport();
+
+    const processed = await pipeline.processBody(pinned, {
+      ...options,
+      driftOptions: { enabled: true, updateStale: false },
+      report,
+    });
+    const specs = pipeline.findSectionSpecs(processed);
+
+    expect(specStatus.summarizeSpecHealth(specs, report, new Date())).toEqual({
+      total: 2,
+      current: 1,
+      stale: 1,
+      expiredImages: 0,
+      failedLinks: 0,
+    });
+    expect(specStatus.summarizeSpecHealth(specs, report, new Date(Date.now() + 60 * 24 * 60 * 60 * 1000))).toMatchObject({
+      current: 0,
+      expiredImages: 2,
+    });
+  });
+
+  test("should only fail on the configured conditions", () => {
+    const options = specStatus.getStatusOptions({ STATUS_FAIL_ON: "failed-links" });
+    expect(specStatus.evaluateSpecStatus(health, options, [])).toEqual({
+      state: "success",
+      description: "1 current, 1 stale, 0 expired image(s), 0 failed link(s)",
+    });
+
+    const strict = specStatus.getStatusOptions({ STATUS_FAIL_ON: "stale,failed-links" });
+    expect(specStatus.evaluateSpecStatus(health, strict, [])).toEqual({
+      state: "failure",
+      description: "Failing on 1 stale spec(s). 1 current, 1 stale, 0 expired image(s), 0 failed link(s)",
+    });
+  });
+
+  test("should require a Figma link only when the label is set", () => {
+    const noDesign = { total: 0, current: 0, stale: 0, expiredImages: 0, failedLinks: 0 };
+    const options = specStatus.getStatusOptions({ STATUS_FAIL_ON: "no-design" });
+
+    expect(specStatus.evaluateSpecStatus(noDesign, options, ["bug"]).state).toBe("success");
+    expect(specStatus.evaluateSpecStatus(noDesign, options, ["needs-design"])).toMatchObject({
+      state: "failure",
+      description: expect.stringMatching(/^Failing on no Figma link\./),
+    });
+    expect(specStatus.evaluateSpecStatus(health, options, ["needs-design"]).state).toBe("success");
+
+    const everyPr = specStatus.getStatusOptions({ STATUS_FAIL_ON: "no-design", DESIGN_REQUIRED_LABEL: "" });
+    expect(specStatus.evaluateSpecStatus(noDesign, everyPr, []).state).toBe("failure");
+  });
+
+  test("should link to the workflow run", () => {
+    expect(
+      specStatus.getRunUrl({ GITHUB_SERVER_URL: "https://github.com", GITHUB_REPOSITORY: "acme/app", GITHUB_RUN_ID: "42" })
+    ).toBe("https://github.com/acme/app/actions/runs/42");
+    expect(specStatus.getRunUrl({})).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Jest test for Design Spec and reference templates
+ * Tests placeholder rendering, template validation and loading a custom spec template
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const templates = require("../template");
+const configLoader = require("../config");
+const utils = require("../util");
+const specParser = require("../spec_parser");
+
+const TEST_CLEAN_URL =
+  "https://www.figma.com/design/PtEQFlGwta7PzrMwRjqquH/?node-id=3143-20344&version-id=2260315635405056828&m=dev";
+const TEST_IMAGE_URL = "https://figma-alpha-api.s3.us-west-2.amazonaws.com/test-image.png";
+
+// Image outside the collapsible and a table of fields, as in the README example
+const TABLE_TEMPLATE = `<!-- START_SPEC_{{spec_number}} -->
+
+<a id="{{spec_id}}"></a>
+
+#### Design Spec {{spec_number}}{{#link_text}}: {{link_text}}{{/link_text}}
+
+<img alt="{{node_id}}" src="{{image_url}}" width="600" />
+
+<details>
+<summary>Details</summary>
+
+| Field | Value |
+| --- | --- |
+| Figma | [Open]({{design_url}}) |
+| Version | {{version_id}} |
+{{#image_expires}}| Image expires | {{image_expires}} |
+{{/image_expires}}
+</details>
+
+<!-- END_SPEC_{{spec_number}} -->
+`;
+
+describe("Templates", () => {
+  test("should render values and conditional blocks", () => {
+    const template = "{{#name}}Hi {{name}}{{/name}}{{^name}}Hi there{{/name}} ({{count}})";
+
+    expect(templates.renderTemplate(template, { name: "Ada", count: 2 })).toBe("Hi Ada (2)");
+    expect(templates.renderTemplate(template, { name: null })).toBe("Hi there ()");
+  });
+
+  test("should not expand placeholders inside rendered values", () => {
+    expect(templates.renderTemplate("{{link_text}}", { link_text: "{{spec_id}}", spec_id: "x" })).toBe(
+      "{{spec_id}}"
+    );
+  });
+
+  test("should report unknown placeholders and unclosed blocks", () => {
+    expect(templates.validateTemplate("{{#link_text}}{{node_name}}", templates.REFERENCE_PLACEHOLDERS)).toEqual([
+      "unknown placeholder(s) {{node_name}} (allowed: spec_number, spec_id, reference_text, link_text)",
+      "block {{#link_text}} is not closed or opened",
+    ]);
+  });
+
+  test("should require the protected markers and anchor in spec templates", () => {
+    expect(templates.validateSpecTemplate(templates.DEFAULT_SPEC_TEMPLATE)).toEqual([]);
+    expect(templates.validateSpecTemplate("<img src=\"{{image_url}}\" />\n<!-- END_SPEC_{{spec_number}} -->")).toEqual([
+      "must start with <!-- START_SPEC_{{spec_number}} --> and end with <!-- END_SPEC_{{spec_number}} -->, each used exactly once",
+      "must contain {{spec_id}} so references can link to the spec",
+    ]);
+  });
+
+  test("should render a custom spec template inside protected markers", () => {
+    const snippet = utils.createDesignSpecSnippet(
+      2,
+      "design-spec-2",
+      TEST_IMAGE_URL,
+      TEST_CLEAN_URL,
+      "2260315635405056828",
+      "2025-01-08T14:29:08Z",
+      null,
+      TABLE_TEMPLATE,
+      { nodeId: "3143:20344", linkText: "Homepage" }
+    );
+
+    expect(snippet).toContain("#### Design Spec 2: Homepage");
+    expect(snippet).toContain(`| Figma | [Open](${TEST_CLEAN_URL}) |`);
+    expect(snippet).not.toContain("Image expires");
+    expect(utils.extractUnprotectedSpecsContent(snippet).trim()).toBe("");
+    expect(specParser.findSpecBlocks(snippet)).toHaveLength(1);
+  });
+
+  test("should render a custom reference template", () => {
+    const template = "{{#link_text}}**{{link_text}}** {{/link_text}}→ [{{reference_text}}](#{{spec_id}})";
+
+    expect(utils.createReferenceText(true, "homepage", 1, "design-spec-1", "Spec {{spec_number}}", template)).toBe(
+      "**homepage** → [Spec 1](#design-spec-1)"
+    );
+    expect(utils.createReferenceText(false, null, 1, "design-spec-1", "Spec {{spec_number}}", template)).toBe(
+      "→ [Spec 1](#design-spec-1)"
+    );
+  });
+
+  describe("loading from the repository configuration", () => {
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "figma-template-"));
+      fs.mkdirSync(path.join(rootDir, ".github"));
+      jest.spyOn(console, "log").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    test("should read the spec template file", () => {
+      fs.writeFileSync(path.join(rootDir, ".github/figma-pr-images.yml"), "templates:\n  spec: .github/spec.md\n");
+      fs.writeFileSync(path.join(rootDir, ".github/spec.md"), TABLE_TEMPLATE);
+
+      const { config } = configLoader.loadConfig(rootDir);
+
+      expect(config.templates.spec).toBe(TABLE_TEMPLATE);
+      expect(config.templates.reference).toBe(templates.DEFAULT_REFERENCE_TEMPLATE);
+      // Specs are read back from their metadata, so a template without the design link is fine
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test("should reject missing and invalid spec template files", () => {
+      fs.writeFileSync(path.join(rootDir, ".github/figma-pr-images.yml"), "templates:\n  spec: .github/spec.md\n");
+      expect(() => configLoader.loadConfig(rootDir)).toThrow('templates.spec file ".github/spec.md" does not exist');
+
+      fs.writeFileSync(path.join(rootDir, ".github/spec.md"), "{{image_url}}");
+      expect(() => configLoader.loadConfig(rootDir)).toThrow("Invalid spec template .github/spec.md");
+    });
+  });
+});
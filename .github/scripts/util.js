@@ -1,3 +1,8 @@
+const { DEFAULT_CONFIG } = require("./config");
+const templates = require("./template");
+const imageOptions = require("./image_options");
+const specMetadata = require("./spec_metadata");
+
 /**
  * Utility functions for formatting and text processing
  */
@@ -14,14 +19,25 @@ function calculateImageExpirationDate() {
 
 /**
  * Creates a clean Figma URL with only essential parameters
- * @param {string} fileId - Figma file ID
+ * @param {string} fileId - Figma file ID (branch key for branch links)
  * @param {string} nodeId - Figma node ID (in colon format, e.g., "3143:20344")
  * @param {string} versionId - Figma version ID
+ * @param {string} [editorType] - "design" or "board" (FigJam)
+ * @param {string|null} [mainFileId] - Main file ID when fileId is a branch key
  * @returns {string} Clean Figma URL
  */
-function createCleanFigmaUrl(fileId, nodeId, versionId) {
-  const dashNodeId = nodeId.replace(":", "-");
-  return `https://www.figma.com/design/${fileId}/?node-id=${dashNodeId}&version-id=${versionId}&m=dev`;
+function createCleanFigmaUrl(
+  fileId,
+  nodeId,
+  versionId,
+  editorType = "design",
+  mainFileId = null
+) {
+  const dashNodeId = nodeId.replace(/:/g, "-");
+  const filePath = mainFileId ? `${mainFileId}/branch/${fileId}` : fileId;
+  // Dev Mode only exists in the design editor
+  const modeParam = editorType === "design" ? "&m=dev" : "";
+  return `https://www.figma.com/${editorType}/${filePath}/?node-id=${dashNodeId}&version-id=${versionId}${modeParam}`;
 }
 
 /**
@@ -30,7 +46,7 @@ function createCleanFigmaUrl(fileId, nodeId, versionId) {
  * @returns {string} Node ID in colon format (e.g., "3143:20344")
  */
 function convertNodeIdToColonFormat(nodeId) {
-  return nodeId.replace("-", ":");
+  return nodeId.replace(/-/g, ":");
 }
 
 /**
@@ -40,8 +56,10 @@ function convertNodeIdToColonFormat(nodeId) {
  * @param {string} attachmentUrl - URL of the design preview image
  * @param {string} cleanUrl - Clean Figma URL
  * @param {string} versionId - Figma version ID
- * @param {string} snapshotTimestamp - Version creation timestamp
- * @param {string} expirationString - Image expiration date
+ * @param {string|null} snapshotTimestamp - Version creation timestamp (null if unknown)
+ * @param {string|null} expirationString - Image expiration date (null for permanently hosted images)
+ * @param {string} [template] - Spec template (config templates.spec)
+ * @param {{fileId: string, nodeId: string, linkText: string|null, originalUrl: string, imageFormat: string, imageInline: boolean, imageOverrides: Object, metadata: Object|null, versionMetadata: Object, createdAt?: string}} [details] - Extra values for custom templates, the link's image option overrides, node metadata from createNodeMetadata, version metadata from createVersionMetadata and when the spec was created (defaults to now)
  * @returns {string} Formatted design spec markdown
  */
 function createDesignSpecSnippet(
@@ -51,69 +69,318 @@ function createDesignSpecSnippet(
   cleanUrl,
   versionId,
   snapshotTimestamp,
-  expirationString
+  expirationString,
+  template = templates.DEFAULT_SPEC_TEMPLATE,
+  details = {}
 ) {
-  const startMarker = `<!-- START_SPEC_${specNumber} -->`;
-  const endMarker = `<!-- END_SPEC_${specNumber} -->`;
+  const metadata = details.metadata || {};
+  const versionMetadata = details.versionMetadata || {};
+  const snippet = templates.renderTemplate(template.trim(), {
+    spec_number: specNumber,
+    spec_id: specId,
+    image_url: attachmentUrl,
+    image_format: details.imageFormat || DEFAULT_CONFIG.image.format,
+    image_inline: details.imageInline !== false,
+    design_url: cleanUrl,
+    version_id: versionId,
+    version_label: versionMetadata.label,
+    version_description: versionMetadata.description,
+    snapshot_timestamp: snapshotTimestamp,
+    image_expires: expirationString,
+    file_id: details.fileId,
+    node_id: details.nodeId,
+    // Link text is Markdown, but spec templates may put it in HTML such as <summary>
+    link_text: details.linkText ? escapeHtml(details.linkText) : null,
+    original_url: details.originalUrl,
+    node_name: metadata.nodeName,
+    node_type: metadata.nodeType,
+    page_name: metadata.pageName,
+    dimensions: metadata.dimensions,
+    last_editor: metadata.lastEditor,
+    design_tokens: metadata.designTokens,
+  });
 
-  return `
-${startMarker}
+  // Store the spec's state as data so later runs do not have to scrape the rendered Markdown
+  const metadataComment = specMetadata.createSpecMetadataComment({
+    originalUrl: details.originalUrl,
+    linkText: details.linkText,
+    fileId: details.fileId,
+    nodeId: details.nodeId,
+    versionId,
+    snapshotTimestamp,
+    imageUrl: attachmentUrl,
+    imageInline: details.imageInline !== false,
+    imageExpires: expirationString,
+    stale: false,
+    history: [],
+    createdAt: details.createdAt || new Date().toISOString(),
+  });
+  // Keep per-link image overrides with the spec so later refreshes render the same way
+  const overrides = imageOptions.formatImageOverrides(
+    details.imageOverrides || {}
+  );
+  const hiddenComments = overrides
+    ? `<!-- IMAGE_OPTIONS: ${overrides} -->\n${metadataComment}`
+    : metadataComment;
+  const snippetWithComments = snippet.replace(
+    /^.*/,
+    (startMarker) => `${startMarker}\n${hiddenComments}`
+  );
 
-<a id="${specId}"></a>
+  return `\n${snippetWithComments}\n\n`;
+}
 
-<details>
-<summary><strong>🎨 Design Spec ${specNumber}</strong> <a href="#${specId}">#</a></summary>
+/**
+ * Creates a reference text to replace original Figma URLs
+ * @param {boolean} isMarkdownLink - Whether the original was a markdown link
+ * @param {string|null} linkText - Text from markdown link (null for standalone URLs)
+ * @param {number} specNumber - Sequential spec number
+ * @param {string} specId - Anchor ID for the spec
+ * @param {string} [labelTemplate] - Link label with a {{spec_number}} placeholder (config referenceText)
+ * @param {string} [template] - Reference template (config templates.reference)
+ * @returns {string} Reference text to replace original URL
+ */
+function createReferenceText(
+  isMarkdownLink,
+  linkText,
+  specNumber,
+  specId,
+  labelTemplate = DEFAULT_CONFIG.referenceText,
+  template = templates.DEFAULT_REFERENCE_TEMPLATE
+) {
+  return templates.renderTemplate(template, {
+    spec_number: specNumber,
+    spec_id: specId,
+    reference_text: templates.renderTemplate(labelTemplate, {
+      spec_number: specNumber,
+    }),
+    link_text: isMarkdownLink ? linkText : null,
+  });
+}
+
+/**
+ * Escapes text for use in HTML attributes and inline HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-<br>
+/**
+ * Summarizes a Figma node for display in its spec
+ * @param {Object} document - Node document from the Figma nodes endpoint
+ * @param {string|null} pageName - Name of the page the node is on
+ * @param {string|null} lastEditor - Handle of the user who created the snapshot version
+ * @returns {{nodeName: string, nodeType: string, pageName: string|null, dimensions: string|null, lastEditor: string|null, designTokens: string|null}} Escaped display values (designTokens is set separately)
+ */
+function createNodeMetadata(document, pageName, lastEditor) {
+  // e.g. "COMPONENT_SET" -> "Component set"
+  const type = document.type.toLowerCase().replace(/_/g, " ");
+  const box = document.absoluteBoundingBox;
 
-<kbd><img alt="Figma Design Preview" src="${attachmentUrl}" /></kbd>
+  return {
+    nodeName: escapeHtml(document.name),
+    nodeType: type.charAt(0).toUpperCase() + type.slice(1),
+    pageName: pageName ? escapeHtml(pageName) : null,
+    dimensions: box
+      ? `${Math.round(box.width)} × ${Math.round(box.height)}`
+      : null,
+    lastEditor: lastEditor ? escapeHtml(lastEditor) : null,
+    designTokens: null,
+  };
+}
 
-<details>
-<summary>📋 Spec Details</summary>
+/**
+ * Prepares the name and description of a Figma version for display in its spec
+ * @param {{label?: string|null, description?: string|null}} version - Version from the versions endpoint
+ * @returns {{label: string|null, description: string|null}} Escaped single-line values (null when not set)
+ */
+function createVersionMetadata(version) {
+  const toLine = (text) =>
+    text && text.trim() ? escapeHtml(text.replace(/\s+/g, " ").trim()) : null;
 
-**Design Link:** [View in Figma](${cleanUrl}) (Cmd+Click to open in new tab)
+  return {
+    label: toLine(version.label),
+    description: toLine(version.description),
+  };
+}
 
-**Version:** ${versionId}
+/**
+ * Creates the version name and description fields shown below the Version field of a spec
+ * @param {{label: string|null, description: string|null}} versionMetadata - Version metadata from createVersionMetadata
+ * @returns {string} Fields, each followed by a blank line ("" for unnamed versions)
+ */
+function createVersionDetails(versionMetadata) {
+  return [
+    versionMetadata.label && `**Version Name:** ${versionMetadata.label}\n\n`,
+    versionMetadata.description &&
+      `**Version Description:** ${versionMetadata.description}\n\n`,
+  ]
+    .filter(Boolean)
+    .join("");
+}
 
-**Snapshot Timestamp:** ${snapshotTimestamp}
+// Maximum number of tokens listed per group, so large frames don't overflow the PR body
+const MAX_TOKENS_PER_GROUP = 20;
 
-**Image Expires:** ${expirationString}
+/**
+ * Escapes text for use in a Markdown table cell
+ * @param {string|null} text - Raw text
+ * @returns {string} Escaped text ("—" when empty)
+ */
+function escapeTableCell(text) {
+  return text ? escapeHtml(String(text)).replace(/\|/g, "\\|") : "—";
+}
 
-**Description: (enter description here)**
+/**
+ * Creates a Markdown table for a group of design tokens
+ * @param {string} title - Group title
+ * @param {string[]} headers - Column headers
+ * @param {Object[]} tokens - Tokens in the group
+ * @param {function(Object): string[]} toCells - Returns the cells of a token's row
+ * @returns {string|null} Table with a title, or null if the group is empty
+ */
+function createTokenTable(title, headers, tokens, toCells) {
+  if (tokens.length === 0) return null;
 
-</details>
+  const rows = tokens
+    .slice(0, MAX_TOKENS_PER_GROUP)
+    .map((token) => `| ${toCells(token).join(" | ")} |`);
+  const more =
+    tokens.length > MAX_TOKENS_PER_GROUP
+      ? `\n\n_…and ${tokens.length - MAX_TOKENS_PER_GROUP} more_`
+      : "";
 
-</details>
+  return `**${title}**\n\n| ${headers.join(" | ")} |\n|${headers
+    .map(() => "---")
+    .join("|")}|\n${rows.join("\n")}${more}`;
+}
 
----
+/**
+ * Renders extracted design tokens as Markdown tables
+ * @param {{colors: Object[], typography: Object[], radii: Object[], spacing: Object[]}} tokens - Tokens from extractDesignTokens
+ * @returns {string|null} Token tables, or null if the node has no tokens
+ */
+function createDesignTokensMarkdown(tokens) {
+  const tables = [
+    createTokenTable("Colors", ["", "Color", "Name"], tokens.colors, (color) => [
+      `$\\color{${color.hex}}{\\blacksquare}$`,
+      `\`${color.hex}\`${color.opacity < 100 ? ` ${color.opacity}%` : ""}`,
+      escapeTableCell(color.name),
+    ]),
+    createTokenTable(
+      "Typography",
+      ["Font", "Weight", "Size", "Line height", "Name"],
+      tokens.typography,
+      (text) => [
+        escapeTableCell(text.fontFamily),
+        text.fontWeight,
+        text.fontSize,
+        text.lineHeight,
+        escapeTableCell(text.name),
+      ]
+    ),
+    createTokenTable(
+      "Corner Radii",
+      ["Radius", "Name"],
+      tokens.radii,
+      (radius) => [radius.value, escapeTableCell(radius.name)]
+    ),
+    createTokenTable(
+      "Spacing",
+      ["Layer", "Direction", "Padding", "Gap", "Name"],
+      tokens.spacing,
+      (spacing) => [
+        escapeTableCell(spacing.layer),
+        spacing.direction,
+        spacing.padding,
+        spacing.gap,
+        escapeTableCell(spacing.name),
+      ]
+    ),
+  ].filter(Boolean);
 
-${endMarker}
+  return tables.length > 0 ? tables.join("\n\n") : null;
+}
 
-`;
+/**
+ * Creates the banner shown inside a spec whose Figma file has newer versions than the snapshot
+ * @param {number} versionsBehind - Number of versions created since the snapshot
+ * @param {boolean} isLowerBound - Whether the snapshot is older than the fetched history (count is a minimum)
+ * @param {string} lastEditedAt - Creation timestamp of the latest version
+ * @returns {string} Banner line followed by a blank line
+ */
+function createDriftBanner(versionsBehind, isLowerBound, lastEditedAt) {
+  const count = `${versionsBehind}${isLowerBound ? "+" : ""}`;
+  const lastEditedDate = lastEditedAt.split("T")[0];
+  return `**⚠️ Newer design version available (${count} versions since snapshot, last edited ${lastEditedDate})**\n\n`;
 }
 
 /**
- * Creates a reference text to replace original Figma URLs
- * @param {boolean} isMarkdownLink - Whether the original was a markdown link
- * @param {string|null} linkText - Text from markdown link (null for standalone URLs)
- * @param {number} specNumber - Sequential spec number
- * @param {string} specId - Anchor ID for the spec
- * @returns {string} Reference text to replace original URL
+ * Creates the before/after comparison and version history shown in a spec that was moved to a newer version
+ * @param {{versionId: string, imageUrl: string, isInline: boolean}} current - Snapshot the spec now shows
+ * @param {Array<{versionId: string, snapshotTimestamp: string|null, imageUrl: string, isInline?: boolean}>} history - Earlier snapshots, newest first
+ * @returns {string} Comparison table and collapsed history between START_SPEC_HISTORY and END_SPEC_HISTORY markers
  */
-function createReferenceText(isMarkdownLink, linkText, specNumber, specId) {
-  if (isMarkdownLink && linkText) {
-    return `${linkText} ([Refer to Design Spec ${specNumber} below](#${specId}))`;
-  } else {
-    return `[Refer to Design Spec ${specNumber} below](#${specId})`;
-  }
+function createSpecHistoryMarkdown(current, history) {
+  const [previous] = history;
+  const cell = (snapshot) =>
+    snapshot.isInline
+      ? `<img src="${snapshot.imageUrl}" alt="Version ${escapeHtml(
+          snapshot.versionId
+        )}" width="320" />`
+      : `[Open export](${snapshot.imageUrl})`;
+
+  return [
+    "<!-- START_SPEC_HISTORY -->",
+    `| Previous (version ${escapeTableCell(
+      previous.versionId
+    )}) | Current (version ${escapeTableCell(current.versionId)}) |`,
+    "|---|---|",
+    `| ${cell(previous)} | ${cell(current)} |`,
+    "",
+    "<details>",
+    `<summary>🕘 Version history (${history.length} earlier version${
+      history.length === 1 ? "" : "s"
+    })</summary>`,
+    "",
+    "| Version | Snapshot Timestamp | Image |",
+    "|---|---|---|",
+    ...history.map(
+      (snapshot) =>
+        `| ${escapeTableCell(snapshot.versionId)} | ${escapeTableCell(
+          snapshot.snapshotTimestamp
+        )} | [Preview](${snapshot.imageUrl}) |`
+    ),
+    "",
+    "</details>",
+    "<!-- END_SPEC_HISTORY -->",
+  ].join("\n");
 }
 
 /**
  * Generates the end marker comment for the Design Specs section
+ * @param {string} [markerText] - Text inside the comment (config section.endMarker)
  * @returns {string} HTML comment marker
  */
-function getDesignSpecsEndMarker() {
-  return "<!-- END_DESIGN_SPECS - WILL NOT DETECT FIGMA LINKS BELOW THIS LINE -->";
+function getDesignSpecsEndMarker(
+  markerText = DEFAULT_CONFIG.section.endMarker
+) {
+  return `<!-- ${markerText} -->`;
+}
+
+/**
+ * Generates the heading line that starts a newly created Design Specs section
+ * @param {{heading: string, headingLevel: number}} [section] - Section settings (config section)
+ * @returns {string} Markdown heading
+ */
+function createDesignSpecsHeading(section = DEFAULT_CONFIG.section) {
+  return `${"#".repeat(section.headingLevel)} ${section.heading}`;
 }
 
 /**
@@ -141,6 +408,17 @@ function extractSectionContent(
   }
 }
 
+/**
+ * Creates the visible marker added after a link that could not be processed.
+ * Hidden comments around it let the next run find and remove it before retrying the link.
+ * @param {string} message - Explanation from describeFigmaError
+ * @returns {string} Marker, starting with a space
+ */
+function createLinkErrorMarker(message) {
+  const text = message.replace(/\s+/g, " ").replace(/-->/g, "→");
+  return ` <!-- FIGMA_LINK_ERROR -->⚠️ Figma link could not be processed: ${text}<!-- /FIGMA_LINK_ERROR -->`;
+}
+
 /**
  * Creates a standardized link object from parsed Figma URL components
  * @param {string} url - Original Figma URL
@@ -150,6 +428,8 @@ function extractSectionContent(
  * @param {boolean} isMarkdownLink - Whether this was originally a markdown link
  * @param {string|null} linkText - Text from markdown link (null for standalone URLs)
  * @param {boolean} isInSpecsSection - Whether this link was found within the Design Specs section
+ * @param {number} [index] - Position of fullMatch in the body (-1 if unknown)
+ * @param {string|null} [referenceLabel] - Label of the reference definition the link uses (null for other links)
  * @returns {Object} Standardized link object
  */
 function createLinkObject(
@@ -159,7 +439,9 @@ function createLinkObject(
   fullMatch,
   isMarkdownLink,
   linkText = null,
-  isInSpecsSection = false
+  isInSpecsSection = false,
+  index = -1,
+  referenceLabel = null
 ) {
   return {
     url,
@@ -169,6 +451,8 @@ function createLinkObject(
     isMarkdownLink,
     linkText,
     isInSpecsSection,
+    index,
+    referenceLabel,
   };
 }
 
@@ -190,8 +474,17 @@ module.exports = {
   convertNodeIdToColonFormat,
   createDesignSpecSnippet,
   createReferenceText,
+  createNodeMetadata,
+  escapeTableCell,
+  createDesignTokensMarkdown,
+  createDriftBanner,
+  createSpecHistoryMarkdown,
+  createVersionMetadata,
+  createVersionDetails,
   getDesignSpecsEndMarker,
+  createDesignSpecsHeading,
   extractSectionContent,
+  createLinkErrorMarker,
   createLinkObject,
   extractUnprotectedSpecsContent,
 };